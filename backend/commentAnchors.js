@@ -0,0 +1,92 @@
+import { getAnchoredComments, updateCommentAnchorPositions } from './db.js';
+import { broadcastCommentEvent } from './commentEvents.js';
+import { opToChanges } from '../shared/textDiff.js';
+
+// Fields a comment can be anchored to: the collaborative document suffixes
+const ANCHOR_FIELD_REGEX = /^(definition|details|section-[^/]+)$/;
+
+// Anchor updates per document, run one at a time so concurrent ops don't
+// overwrite each other's positions
+const anchorQueues = new Map();
+
+export function isValidAnchorField(field) {
+  return typeof field === 'string' && ANCHOR_FIELD_REGEX.test(field);
+}
+
+// Text inserted where a range starts or ends stays outside it
+function transformStart(position, { index, deleted, inserted }) {
+  if (position < index) return position;
+  if (position < index + deleted) return index + inserted;
+  return position - deleted + inserted;
+}
+
+function transformEnd(position, { index, deleted, inserted }) {
+  if (position <= index) return position;
+  if (position <= index + deleted) return index;
+  return position - deleted + inserted;
+}
+
+/**
+ * Move an anchored range through a text change. The range is detached once all
+ * of its text has been deleted.
+ * @param {{positionStart, positionEnd}} anchor - Range to move
+ * @param {{index, deleted, inserted}} change - Change from diffText
+ * @returns {{positionStart, positionEnd, detached}}
+ */
+export function transformAnchor(anchor, change) {
+  const positionStart = transformStart(anchor.positionStart, change);
+  const positionEnd = Math.max(positionStart, transformEnd(anchor.positionEnd, change));
+  return { positionStart, positionEnd, detached: positionStart >= positionEnd };
+}
+
+async function applyChanges(sessionId, filename, field, changes) {
+  const anchors = await getAnchoredComments(sessionId, filename, field);
+  if (anchors.length === 0) return;
+
+  const updates = [];
+  anchors.forEach(anchor => {
+    let moved = { ...anchor, detached: false };
+    for (const change of changes) {
+      moved = { ...moved, ...transformAnchor(moved, change) };
+      if (moved.detached) break;
+    }
+
+    if (moved.detached || moved.positionStart !== anchor.positionStart || moved.positionEnd !== anchor.positionEnd) {
+      updates.push({ id: anchor.id, ...moved });
+    }
+  });
+
+  if (updates.length > 0) {
+    await updateCommentAnchorPositions(updates);
+    const detached = updates.filter(update => update.detached);
+    if (detached.length > 0) {
+      console.log(`💬 Detached ${detached.length} comment(s) on ${filename} "${field}": their text was deleted`);
+      detached.forEach(update => {
+        broadcastCommentEvent(sessionId, filename, 'updated', { id: update.id, detached: true });
+      });
+    }
+  }
+}
+
+/**
+ * Keep the comments anchored to a field document on the same text after an op
+ * @param {object} docTarget - Parsed document ID (see parsePageDocId)
+ * @param {Array} op - json0 op that was applied
+ */
+export function updateAnchorsForOp(docTarget, op) {
+  const field = docTarget.sectionId ? `section-${docTarget.sectionId}` : docTarget.fieldName;
+  const changes = opToChanges(op);
+  if (!field || changes.length === 0) return Promise.resolve();
+
+  const key = `${docTarget.sessionId}/${docTarget.filename}-${field}`;
+  const previous = anchorQueues.get(key) || Promise.resolve();
+  const next = previous
+    .then(() => applyChanges(docTarget.sessionId, docTarget.filename, field, changes))
+    .catch(err => console.error(`Error moving comment anchors on ${key}:`, err));
+
+  anchorQueues.set(key, next);
+  next.then(() => {
+    if (anchorQueues.get(key) === next) anchorQueues.delete(key);
+  });
+  return next;
+}
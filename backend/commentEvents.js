@@ -0,0 +1,100 @@
+import WebSocket from 'ws';
+import { admin } from './auth.js';
+import { getCachedSessionRole, hasSessionRole } from './permissions.js';
+
+// Clients connect to /comments (/ws/comments through the production proxy)
+const COMMENTS_PATHS = ['/comments', '/ws/comments'];
+
+// Subscribed sockets: ws -> { sessionId, pageFilename, userId, sessionRoles }
+const subscriptions = new Map();
+
+export function isCommentsUrl(url) {
+  return COMMENTS_PATHS.includes((url || '').split('?')[0]);
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Handle a comments websocket. The client subscribes to a page with
+ * { type: 'subscribe', token, sessionId, pageFilename } and is then sent a
+ * { type: 'comment-event', ... } message for every change to that page's comments.
+ * Without a pageFilename it gets the events of every page in the session.
+ */
+export function setupCommentsConnection(ws) {
+  console.log('💬 Comments client connected');
+
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+
+      if (data.type === 'subscribe') {
+        if (!data.token || !data.sessionId) {
+          send(ws, { type: 'error', error: 'token and sessionId are required' });
+          return;
+        }
+
+        const decodedToken = await admin.auth().verifyIdToken(data.token);
+        const sessionRoles = new Map();
+        const role = await getCachedSessionRole(sessionRoles, data.sessionId, decodedToken.uid);
+        if (!hasSessionRole(role, 'viewer')) {
+          send(ws, { type: 'error', error: 'You are not a member of this session' });
+          return;
+        }
+
+        subscriptions.set(ws, {
+          sessionId: data.sessionId,
+          pageFilename: data.pageFilename || null,
+          userId: decodedToken.uid,
+          sessionRoles
+        });
+        send(ws, { type: 'subscribed', sessionId: data.sessionId, pageFilename: data.pageFilename || null });
+      } else if (data.type === 'unsubscribe') {
+        subscriptions.delete(ws);
+      }
+    } catch (err) {
+      console.error('Error handling comments message:', err);
+      send(ws, { type: 'error', error: 'Could not subscribe to comments' });
+    }
+  });
+
+  ws.on('close', () => {
+    console.log('💬 Comments client disconnected');
+    subscriptions.delete(ws);
+  });
+}
+
+/**
+ * Push a comment change to every client subscribed to the page
+ * @param {string} sessionId - Session of the page
+ * @param {string} pageFilename - Page the comment is on
+ * @param {string} event - "created", "updated" or "deleted"
+ * @param {object} comment - The created comment; for updates the id and changed
+ *   fields; for deletes just the id
+ * @param {string|null} actorId - User who made the change
+ */
+export async function broadcastCommentEvent(sessionId, pageFilename, event, comment, actorId = null) {
+  const message = { type: 'comment-event', event, sessionId, pageFilename, comment, actorId };
+
+  for (const [ws, subscription] of subscriptions) {
+    if (subscription.sessionId !== sessionId) continue;
+    if (subscription.pageFilename && subscription.pageFilename !== pageFilename) continue;
+
+    try {
+      // Members removed since subscribing stop receiving events
+      const role = await getCachedSessionRole(subscription.sessionRoles, sessionId, subscription.userId);
+      if (!hasSessionRole(role, 'viewer')) {
+        subscriptions.delete(ws);
+        send(ws, { type: 'error', error: 'You are no longer a member of this session' });
+        continue;
+      }
+
+      send(ws, message);
+    } catch (err) {
+      console.error('Error sending comment event:', err);
+    }
+  }
+}
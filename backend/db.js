@@ -81,8 +81,39 @@ export async function initializeDatabase() {
         FOREIGN KEY (parent_comment_id) REFERENCES comments(id) ON DELETE CASCADE
       )
     `);
+    // Inline comments are anchored to a text range of one field; detached ones
+    // lost their text to an edit
+    await client.query(`
+      ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS anchor_field VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS anchor_text TEXT,
+      ADD COLUMN IF NOT EXISTS detached BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_comments_anchor
+      ON comments(session_id, page_filename, anchor_field)
+      WHERE anchor_field IS NOT NULL AND NOT detached
+    `);
     console.log('✅ Comments table ready');
 
+    // Previous versions of edited comments
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS comment_edits (
+        id SERIAL PRIMARY KEY,
+        comment_id VARCHAR(255) NOT NULL,
+        content TEXT NOT NULL,
+        edited_by VARCHAR(255),
+        edited_at BIGINT NOT NULL,
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_comment_edits_comment
+      ON comment_edits(comment_id, edited_at)
+    `);
+    console.log('✅ Comment edits table ready');
+
     // Create mentions table
     await client.query(`
       CREATE TABLE IF NOT EXISTS mentions (
@@ -95,8 +126,154 @@ export async function initializeDatabase() {
         FOREIGN KEY (mentioned_user_id) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
+    // Delivery of the mention's email: retrying, sent or failed (null if none was sent)
+    await client.query(`
+      ALTER TABLE mentions
+      ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS delivery_error TEXT,
+      ADD COLUMN IF NOT EXISTS delivered_at BIGINT
+    `);
     console.log('✅ Mentions table ready');
 
+    // Assigned comments are tasks: assignees, a status and an optional due date
+    await client.query(`
+      ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS task_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS due_date VARCHAR(10)
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS comment_assignees (
+        comment_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        assigned_at BIGINT NOT NULL,
+        PRIMARY KEY (comment_id, user_id),
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_comment_assignees_user
+      ON comment_assignees(user_id)
+    `);
+    // Comments assigned before tasks existed were assigned to the users they mention
+    await client.query(`
+      INSERT INTO comment_assignees (comment_id, user_id, assigned_at)
+      SELECT m.comment_id, m.mentioned_user_id, m.created_at
+      FROM mentions m
+      JOIN comments c ON c.id = m.comment_id
+      WHERE c.assigned AND c.task_status IS NULL
+      ON CONFLICT DO NOTHING
+    `);
+    await client.query(`
+      UPDATE comments SET task_status = 'open'
+      WHERE assigned AND task_status IS NULL
+    `);
+    console.log('✅ Comment tasks ready');
+
+    // Emoji reactions on comments, one of each emoji per user
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS comment_reactions (
+        comment_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        emoji VARCHAR(32) NOT NULL,
+        created_at BIGINT NOT NULL,
+        PRIMARY KEY (comment_id, user_id, emoji),
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ Comment reactions table ready');
+
+    // Emails stored by the outbox transport instead of being sent
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        from_address VARCHAR(255) NOT NULL,
+        to_address VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text TEXT,
+        created_at BIGINT NOT NULL
+      )
+    `);
+    console.log('✅ Email outbox table ready');
+
+    // How each user wants to hear about each kind of event: instant, digest or off
+    const { rows: [{ firstRun }] } = await client.query(
+      `SELECT to_regclass('notification_preferences') IS NULL AS "firstRun"`
+    );
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        delivery VARCHAR(10) NOT NULL,
+        updated_at BIGINT NOT NULL,
+        PRIMARY KEY (user_id, event_type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    if (firstRun) {
+      // Plain mentions were never emailed; don't send the backlog now that they are
+      await client.query(`
+        UPDATE mentions SET notified = true, delivery_status = 'skipped'
+        WHERE NOT notified AND delivery_status IS NULL
+      `);
+    }
+    console.log('✅ Notification preferences table ready');
+
+    // Events to notify users about that aren't mentions: replies and page changes
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_events (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        session_id VARCHAR(255) NOT NULL,
+        page_filename VARCHAR(255),
+        comment_id VARCHAR(255),
+        actor_id VARCHAR(255),
+        summary TEXT,
+        notified BOOLEAN DEFAULT FALSE,
+        delivery_status VARCHAR(20),
+        delivery_attempts INTEGER NOT NULL DEFAULT 0,
+        delivery_error TEXT,
+        delivered_at BIGINT,
+        created_at BIGINT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_events_unnotified
+      ON notification_events(created_at) WHERE NOT notified
+    `);
+    console.log('✅ Notification events table ready');
+
+    // In-app notifications, shown under the bell until read
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        session_id VARCHAR(255) NOT NULL,
+        page_filename VARCHAR(255),
+        comment_id VARCHAR(255),
+        actor_id VARCHAR(255),
+        summary TEXT,
+        read_at BIGINT,
+        created_at BIGINT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_user
+      ON notifications(user_id, created_at DESC)
+    `);
+    console.log('✅ Notifications table ready');
+
     // Create session_members table to track which users have joined which sessions
     await client.query(`
       CREATE TABLE IF NOT EXISTS session_members (
@@ -109,6 +286,16 @@ export async function initializeDatabase() {
         UNIQUE(session_id, user_id)
       )
     `);
+    // Role of each member in the session: owner, editor, commenter or viewer
+    await client.query(`
+      ALTER TABLE session_members
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'editor'
+    `);
+    await client.query(`
+      UPDATE session_members sm SET role = 'owner'
+      FROM sessions s
+      WHERE s.id = sm.session_id AND s.creator_user_id = sm.user_id AND sm.role <> 'owner'
+    `);
     console.log('✅ Session members table ready');
 
     // Create wiki_page_tags table to store tags for wiki pages
@@ -125,6 +312,92 @@ export async function initializeDatabase() {
     `);
     console.log('✅ Wiki page tags table ready');
 
+    // Pages and tags users watch for changes
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS page_watches (
+        user_id VARCHAR(255) NOT NULL,
+        session_id VARCHAR(255) NOT NULL,
+        target_type VARCHAR(10) NOT NULL,
+        target VARCHAR(255) NOT NULL,
+        created_at BIGINT NOT NULL,
+        PRIMARY KEY (user_id, session_id, target_type, target),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_page_watches_target
+      ON page_watches(session_id, target_type, target)
+    `);
+    console.log('✅ Page watches table ready');
+
+    // Create page_revisions table to keep the history of every page save
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS page_revisions (
+        id SERIAL PRIMARY KEY,
+        session_id VARCHAR(255) NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        data JSONB NOT NULL,
+        author_user_id VARCHAR(255),
+        author_name VARCHAR(255),
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_page_revisions_page
+      ON page_revisions (session_id, filename, id DESC)
+    `);
+    console.log('✅ Page revisions table ready');
+
+    // Create yjs_updates table to persist Yjs document updates for the rich-text editor
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS yjs_updates (
+        id SERIAL PRIMARY KEY,
+        doc_name VARCHAR(500) NOT NULL,
+        update BYTEA NOT NULL,
+        created_at BIGINT NOT NULL
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_yjs_updates_doc
+      ON yjs_updates (doc_name, id)
+    `);
+    console.log('✅ Yjs updates table ready');
+
+    // Create wiki_page_search table as a full-text index over page content.
+    // The weighted document is generated from the text columns, so title and
+    // aliases rank above tags and definition, which rank above the body.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wiki_page_search (
+        session_id VARCHAR(255) NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        title TEXT NOT NULL DEFAULT '',
+        aliases TEXT NOT NULL DEFAULT '',
+        definition TEXT NOT NULL DEFAULT '',
+        details TEXT NOT NULL DEFAULT '',
+        sections TEXT NOT NULL DEFAULT '',
+        tags TEXT NOT NULL DEFAULT '',
+        document TSVECTOR GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', title), 'A') ||
+          setweight(to_tsvector('english', aliases), 'A') ||
+          setweight(to_tsvector('english', tags), 'B') ||
+          setweight(to_tsvector('english', definition), 'B') ||
+          setweight(to_tsvector('english', details), 'C') ||
+          setweight(to_tsvector('english', sections), 'C')
+        ) STORED,
+        updated_at BIGINT NOT NULL,
+        PRIMARY KEY (session_id, filename),
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_wiki_page_search_document
+      ON wiki_page_search USING GIN (document)
+    `);
+    console.log('✅ Wiki page search table ready');
+
     // ShareDB will create its own tables automatically
     console.log('✅ Database schema initialized');
 
@@ -190,15 +463,16 @@ export async function getSessionFromDB(sessionId) {
   }
 }
 
-export async function addSessionMember(sessionId, userId) {
+export async function addSessionMember(sessionId, userId, role = 'editor') {
   const client = await pool.connect();
 
   try {
+    // Rejoining keeps the role the member already has
     await client.query(
-      `INSERT INTO session_members (session_id, user_id, joined_at)
-       VALUES ($1, $2, $3)
+      `INSERT INTO session_members (session_id, user_id, joined_at, role)
+       VALUES ($1, $2, $3, $4)
        ON CONFLICT (session_id, user_id) DO NOTHING`,
-      [sessionId, userId, Date.now()]
+      [sessionId, userId, Date.now(), role]
     );
   } catch (err) {
     console.error(`❌ Error adding session member:`, err);
@@ -218,7 +492,7 @@ export async function getUserSessions(userId) {
               CASE WHEN s.creator_user_id = $1 THEN true ELSE false END as is_creator
        FROM sessions s
        LEFT JOIN session_members sm ON s.id = sm.session_id
-       WHERE s.creator_user_id = $1 OR sm.user_id = $1
+       WHERE s.creator_user_id = $1 OR (sm.user_id = $1 AND sm.role <> 'removed')
        ORDER BY s.created_at DESC`,
       [userId]
     );
@@ -247,7 +521,7 @@ export async function getSessionUsers(sessionId) {
       `SELECT DISTINCT u.id, u.email, u.display_name
        FROM users u
        INNER JOIN session_members sm ON u.id = sm.user_id
-       WHERE sm.session_id = $1
+       WHERE sm.session_id = $1 AND sm.role <> 'removed'
        ORDER BY u.display_name, u.email`,
       [sessionId]
     );
@@ -265,6 +539,98 @@ export async function getSessionUsers(sessionId) {
   }
 }
 
+export async function getSessionMemberRole(sessionId, userId) {
+  const client = await pool.connect();
+
+  try {
+    // The creator is always an owner, even if they predate membership tracking
+    const result = await client.query(
+      `SELECT CASE WHEN s.creator_user_id = $2 THEN 'owner' ELSE sm.role END AS role
+       FROM sessions s
+       LEFT JOIN session_members sm ON sm.session_id = s.id AND sm.user_id = $2
+       WHERE s.id = $1`,
+      [sessionId, userId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].role : null;
+  } catch (err) {
+    console.error(`❌ Error getting role of ${userId} in session ${sessionId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getSessionMembers(sessionId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT u.id, u.email, u.display_name, sm.role, sm.joined_at,
+              (s.creator_user_id = u.id) AS is_creator
+       FROM session_members sm
+       JOIN users u ON u.id = sm.user_id
+       JOIN sessions s ON s.id = sm.session_id
+       WHERE sm.session_id = $1
+       ORDER BY sm.joined_at ASC`,
+      [sessionId]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      email: row.email,
+      displayName: row.display_name,
+      role: row.is_creator ? 'owner' : row.role,
+      joinedAt: Number(row.joined_at),
+      isCreator: row.is_creator
+    }));
+  } catch (err) {
+    console.error(`❌ Error getting members of session ${sessionId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function updateSessionMemberRole(sessionId, userId, role) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE session_members SET role = $3
+       WHERE session_id = $1 AND user_id = $2`,
+      [sessionId, userId, role]
+    );
+    console.log(`👥 Set role of ${userId} in session ${sessionId} to ${role}`);
+    return result.rowCount > 0;
+  } catch (err) {
+    console.error(`❌ Error updating role of ${userId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function removeSessionMember(sessionId, userId) {
+  const client = await pool.connect();
+
+  try {
+    // Keep the row so the member can't regain access by rejoining
+    const result = await client.query(
+      `UPDATE session_members SET role = 'removed'
+       WHERE session_id = $1 AND user_id = $2`,
+      [sessionId, userId]
+    );
+    console.log(`👥 Removed ${userId} from session ${sessionId}`);
+    return result.rowCount > 0;
+  } catch (err) {
+    console.error(`❌ Error removing ${userId} from session ${sessionId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export async function getSessionBySecretKey(secretKey) {
   const client = await pool.connect();
 
@@ -411,15 +777,55 @@ export async function getUserByEmail(email) {
 }
 
 // Comment management functions
-export async function createComment(commentId, sessionId, pageFilename, userId, content, positionStart, positionEnd, parentCommentId = null, assigned = false) {
+
+// Task statuses of assigned comments, in workflow order
+export const TASK_STATUSES = ['open', 'in-progress', 'done'];
+
+// Assignees of comment c as a JSON array of { id, email, displayName }
+const ASSIGNEES_SQL = `COALESCE((
+  SELECT json_agg(json_build_object('id', au.id, 'email', au.email, 'displayName', au.display_name)
+                  ORDER BY au.display_name, au.email)
+  FROM comment_assignees ca
+  JOIN users au ON au.id = ca.user_id
+  WHERE ca.comment_id = c.id
+), '[]'::json)`;
+
+// Emoji that can be used as comment reactions
+export const REACTION_EMOJIS = ['👍', '❤️', '🎉', '😄', '👀', '🚀'];
+
+// Reactions on comment c as a JSON array of { emoji, users: [{ id, name }] },
+// in the order each emoji was first used
+const REACTIONS_SQL = `COALESCE((
+  SELECT json_agg(json_build_object('emoji', r.emoji, 'users', r.users) ORDER BY r.first_at)
+  FROM (
+    SELECT cr.emoji, MIN(cr.created_at) AS first_at,
+      json_agg(json_build_object('id', ru.id, 'name', COALESCE(ru.display_name, ru.email))
+               ORDER BY cr.created_at) AS users
+    FROM comment_reactions cr
+    JOIN users ru ON ru.id = cr.user_id
+    WHERE cr.comment_id = c.id
+    GROUP BY cr.emoji
+  ) r
+), '[]'::json)`;
+
+function toCommentTask(row) {
+  return {
+    assigned: row.assigned,
+    taskStatus: row.task_status,
+    dueDate: row.due_date,
+    assignees: row.assignees || []
+  };
+}
+
+export async function createComment(commentId, sessionId, pageFilename, userId, content, positionStart, positionEnd, parentCommentId = null, assigned = false, anchorField = null, anchorText = null) {
   const client = await pool.connect();
 
   try {
     const now = Date.now();
     await client.query(
-      `INSERT INTO comments (id, session_id, page_filename, user_id, content, position_start, position_end, parent_comment_id, resolved, assigned, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-      [commentId, sessionId, pageFilename, userId, content, positionStart, positionEnd, parentCommentId, false, assigned, now, now]
+      `INSERT INTO comments (id, session_id, page_filename, user_id, content, position_start, position_end, parent_comment_id, resolved, assigned, anchor_field, anchor_text, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [commentId, sessionId, pageFilename, userId, content, positionStart, positionEnd, parentCommentId, false, assigned, anchorField, anchorText, now, now]
     );
     console.log(`💬 Created comment ${commentId}${assigned ? ' (assigned)' : ''}`);
 
@@ -434,6 +840,9 @@ export async function createComment(commentId, sessionId, pageFilename, userId,
       parentCommentId,
       resolved: false,
       assigned,
+      anchorField,
+      anchorText,
+      detached: false,
       createdAt: now,
       updatedAt: now
     };
@@ -445,34 +854,53 @@ export async function createComment(commentId, sessionId, pageFilename, userId,
   }
 }
 
+// Columns for listing comments of c with their author, edit state, task and reactions
+const COMMENT_LIST_SQL = `
+  SELECT c.*, u.email, u.display_name,
+    EXISTS(SELECT 1 FROM comment_edits e WHERE e.comment_id = c.id) AS edited,
+    ${ASSIGNEES_SQL} AS assignees,
+    ${REACTIONS_SQL} AS reactions,
+    COALESCE((SELECT json_agg(m.mentioned_user_id) FROM mentions m WHERE m.comment_id = c.id), '[]'::json) AS mentioned_user_ids
+  FROM comments c
+  JOIN users u ON c.user_id = u.id`;
+
+function toListedComment(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    pageFilename: row.page_filename,
+    userId: row.user_id,
+    userEmail: row.email,
+    userDisplayName: row.display_name,
+    content: row.content,
+    positionStart: row.position_start,
+    positionEnd: row.position_end,
+    parentCommentId: row.parent_comment_id,
+    resolved: row.resolved,
+    anchorField: row.anchor_field,
+    anchorText: row.anchor_text,
+    detached: row.detached,
+    edited: row.edited,
+    mentionedUserIds: row.mentioned_user_ids || [],
+    reactions: row.reactions || [],
+    ...toCommentTask(row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
 export async function getCommentsByPage(sessionId, pageFilename) {
   const client = await pool.connect();
 
   try {
     const result = await client.query(
-      `SELECT c.*, u.email, u.display_name
-       FROM comments c
-       JOIN users u ON c.user_id = u.id
+      `${COMMENT_LIST_SQL}
        WHERE c.session_id = $1 AND c.page_filename = $2
        ORDER BY c.created_at ASC`,
       [sessionId, pageFilename]
     );
 
-    return result.rows.map(row => ({
-      id: row.id,
-      sessionId: row.session_id,
-      pageFilename: row.page_filename,
-      userId: row.user_id,
-      userEmail: row.email,
-      userDisplayName: row.display_name,
-      content: row.content,
-      positionStart: row.position_start,
-      positionEnd: row.position_end,
-      parentCommentId: row.parent_comment_id,
-      resolved: row.resolved,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    return result.rows.map(toListedComment);
   } catch (err) {
     console.error(`❌ Error getting comments:`, err);
     throw err;
@@ -481,260 +909,1364 @@ export async function getCommentsByPage(sessionId, pageFilename) {
   }
 }
 
-export async function updateComment(commentId, content) {
+// Every comment on every page of a session, oldest first
+export async function getCommentsBySession(sessionId) {
   const client = await pool.connect();
 
   try {
-    await client.query(
-      `UPDATE comments SET content = $1, updated_at = $2 WHERE id = $3`,
-      [content, Date.now(), commentId]
+    const result = await client.query(
+      `${COMMENT_LIST_SQL}
+       WHERE c.session_id = $1
+       ORDER BY c.created_at ASC`,
+      [sessionId]
     );
-    console.log(`💬 Updated comment ${commentId}`);
+
+    return result.rows.map(toListedComment);
   } catch (err) {
-    console.error(`❌ Error updating comment:`, err);
+    console.error(`❌ Error getting comments of session ${sessionId}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function resolveComment(commentId, resolved) {
+export async function getCommentById(commentId) {
   const client = await pool.connect();
 
   try {
-    await client.query(
-      `UPDATE comments SET resolved = $1, updated_at = $2 WHERE id = $3`,
-      [resolved, Date.now(), commentId]
-    );
-    console.log(`💬 ${resolved ? 'Resolved' : 'Unresolved'} comment ${commentId}`);
+    const result = await client.query('SELECT * FROM comments WHERE id = $1', [commentId]);
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      pageFilename: row.page_filename,
+      userId: row.user_id,
+      content: row.content,
+      parentCommentId: row.parent_comment_id,
+      resolved: row.resolved,
+      assigned: row.assigned,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
   } catch (err) {
-    console.error(`❌ Error resolving comment:`, err);
+    console.error(`❌ Error getting comment ${commentId}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function deleteComment(commentId) {
+// Comments still anchored to text in one field of a page
+export async function getAnchoredComments(sessionId, pageFilename, anchorField) {
   const client = await pool.connect();
 
   try {
-    await client.query('DELETE FROM comments WHERE id = $1', [commentId]);
-    console.log(`🗑️  Deleted comment ${commentId}`);
+    const result = await client.query(
+      `SELECT id, position_start, position_end FROM comments
+       WHERE session_id = $1 AND page_filename = $2 AND anchor_field = $3 AND NOT detached`,
+      [sessionId, pageFilename, anchorField]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      positionStart: row.position_start,
+      positionEnd: row.position_end
+    }));
   } catch (err) {
-    console.error(`❌ Error deleting comment:`, err);
+    console.error(`❌ Error getting anchored comments:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-// Mention management functions
-export async function createMention(mentionId, commentId, mentionedUserId) {
+/**
+ * Store moved comment anchors
+ * @param {Array<{id, positionStart, positionEnd, detached}>} anchors
+ */
+export async function updateCommentAnchorPositions(anchors) {
   const client = await pool.connect();
 
   try {
-    await client.query(
-      `INSERT INTO mentions (id, comment_id, mentioned_user_id, notified, created_at)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [mentionId, commentId, mentionedUserId, false, Date.now()]
-    );
-    console.log(`📢 Created mention ${mentionId}`);
+    await client.query('BEGIN');
+    for (const anchor of anchors) {
+      await client.query(
+        'UPDATE comments SET position_start = $1, position_end = $2, detached = $3 WHERE id = $4',
+        [anchor.positionStart, anchor.positionEnd, anchor.detached, anchor.id]
+      );
+    }
+    await client.query('COMMIT');
   } catch (err) {
-    console.error(`❌ Error creating mention:`, err);
+    await client.query('ROLLBACK');
+    console.error(`❌ Error updating comment anchors:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function markMentionNotified(mentionId) {
+/**
+ * Change a comment's content, keeping the previous content in its edit history
+ * @param {string|null} editedBy - User making the edit
+ * @returns {number} The new updated_at time
+ */
+export async function updateComment(commentId, content, editedBy = null) {
+  const client = await pool.connect();
+
+  try {
+    const updatedAt = Date.now();
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO comment_edits (comment_id, content, edited_by, edited_at)
+       SELECT id, content, $2, $3 FROM comments WHERE id = $1`,
+      [commentId, editedBy, updatedAt]
+    );
+    await client.query(
+      `UPDATE comments SET content = $1, updated_at = $2 WHERE id = $3`,
+      [content, updatedAt, commentId]
+    );
+    await client.query('COMMIT');
+    console.log(`💬 Updated comment ${commentId}`);
+    return updatedAt;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error updating comment:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Previous versions of a comment, newest first. Each entry is the content the
+ * comment had before the edit made by editedBy at editedAt.
+ */
+export async function getCommentEdits(commentId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT e.content, e.edited_by, e.edited_at, u.email, u.display_name
+       FROM comment_edits e
+       LEFT JOIN users u ON e.edited_by = u.id
+       WHERE e.comment_id = $1
+       ORDER BY e.edited_at DESC, e.id DESC`,
+      [commentId]
+    );
+
+    return result.rows.map(row => ({
+      content: row.content,
+      editedBy: row.edited_by,
+      editedByName: row.display_name || row.email || null,
+      editedAt: Number(row.edited_at)
+    }));
+  } catch (err) {
+    console.error(`❌ Error getting edits of comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a comment's task fields
+ * @returns {{assigned, taskStatus, dueDate, assignees}|null} null if the comment doesn't exist
+ */
+export async function getCommentTask(commentId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT c.assigned, c.task_status, c.due_date, ${ASSIGNEES_SQL} AS assignees
+       FROM comments c WHERE c.id = $1`,
+      [commentId]
+    );
+    return result.rows.length > 0 ? toCommentTask(result.rows[0]) : null;
+  } catch (err) {
+    console.error(`❌ Error getting task of comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a comment's task. Only the given fields change. A comment with
+ * assignees is a task (status "open" unless given); removing every assignee
+ * turns it back into a plain comment.
+ * @param {object} changes - { status?, dueDate? (YYYY-MM-DD or null), assigneeIds? }
+ * @returns {{assigned, taskStatus, dueDate, assignees}} The updated task fields
+ */
+export async function updateCommentTask(commentId, { status, dueDate, assigneeIds } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (assigneeIds !== undefined) {
+      await client.query(
+        'DELETE FROM comment_assignees WHERE comment_id = $1 AND NOT (user_id = ANY($2))',
+        [commentId, assigneeIds]
+      );
+      await client.query(
+        `INSERT INTO comment_assignees (comment_id, user_id, assigned_at)
+         SELECT $1::varchar, unnest($2::varchar[]), $3::bigint
+         ON CONFLICT DO NOTHING`,
+        [commentId, assigneeIds, Date.now()]
+      );
+    }
+
+    await client.query(
+      `UPDATE comments SET
+         assigned = EXISTS(SELECT 1 FROM comment_assignees WHERE comment_id = $1),
+         task_status = CASE
+           WHEN NOT EXISTS(SELECT 1 FROM comment_assignees WHERE comment_id = $1) THEN NULL
+           ELSE COALESCE($2, task_status, 'open')
+         END,
+         due_date = CASE WHEN $3 THEN $4 ELSE due_date END,
+         updated_at = $5
+       WHERE id = $1`,
+      [commentId, status || null, dueDate !== undefined, dueDate || null, Date.now()]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✅ Updated task of comment ${commentId}`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error updating task of comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getCommentTask(commentId);
+}
+
+// Reactions on a comment, grouped by emoji
+export async function getCommentReactions(commentId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${REACTIONS_SQL} AS reactions FROM comments c WHERE c.id = $1`,
+      [commentId]
+    );
+    return result.rows.length > 0 ? result.rows[0].reactions : [];
+  } catch (err) {
+    console.error(`❌ Error getting reactions of comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * React to a comment; reacting twice with the same emoji does nothing
+ * @returns {Array<{emoji, users}>} The comment's reactions
+ */
+export async function addCommentReaction(commentId, userId, emoji) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `INSERT INTO comment_reactions (comment_id, user_id, emoji, created_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT DO NOTHING`,
+      [commentId, userId, emoji, Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error adding reaction to comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getCommentReactions(commentId);
+}
+
+/**
+ * Take back a reaction
+ * @returns {Array<{emoji, users}>} The comment's reactions
+ */
+export async function removeCommentReaction(commentId, userId, emoji) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      'DELETE FROM comment_reactions WHERE comment_id = $1 AND user_id = $2 AND emoji = $3',
+      [commentId, userId, emoji]
+    );
+  } catch (err) {
+    console.error(`❌ Error removing reaction from comment ${commentId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getCommentReactions(commentId);
+}
+
+/**
+ * Get task comments, across every session the viewer belongs to
+ * @param {object} filters
+ * @param {string} filters.viewerId - Only sessions this user is a member of
+ * @param {string} [filters.assigneeId] - Only tasks assigned to this user
+ * @param {string} [filters.sessionId]
+ * @param {string} [filters.pageFilename]
+ * @param {string} [filters.status] - Task status
+ */
+export async function getAssignedComments({ viewerId, assigneeId, sessionId, pageFilename, status }) {
+  const client = await pool.connect();
+
+  try {
+    const params = [viewerId];
+    const conditions = [
+      'c.task_status IS NOT NULL',
+      `EXISTS(SELECT 1 FROM session_members sm
+              WHERE sm.session_id = c.session_id AND sm.user_id = $1 AND sm.role <> 'removed')`
+    ];
+
+    if (assigneeId) {
+      params.push(assigneeId);
+      conditions.push(`EXISTS(SELECT 1 FROM comment_assignees a WHERE a.comment_id = c.id AND a.user_id = $${params.length})`);
+    }
+    if (sessionId) {
+      params.push(sessionId);
+      conditions.push(`c.session_id = $${params.length}`);
+    }
+    if (pageFilename) {
+      params.push(pageFilename);
+      conditions.push(`c.page_filename = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`c.task_status = $${params.length}`);
+    }
+
+    // Unfinished tasks first, soonest due first
+    const result = await client.query(
+      `SELECT c.*, u.email, u.display_name, ${ASSIGNEES_SQL} AS assignees
+       FROM comments c
+       JOIN users u ON c.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.task_status = 'done', c.due_date ASC NULLS LAST, c.created_at DESC`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sessionId: row.session_id,
+      pageFilename: row.page_filename,
+      userId: row.user_id,
+      userEmail: row.email,
+      userDisplayName: row.display_name,
+      content: row.content,
+      parentCommentId: row.parent_comment_id,
+      resolved: row.resolved,
+      anchorText: row.anchor_text,
+      ...toCommentTask(row),
+      createdAt: Number(row.created_at),
+      updatedAt: Number(row.updated_at)
+    }));
+  } catch (err) {
+    console.error(`❌ Error getting assigned comments:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function resolveComment(commentId, resolved) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `UPDATE comments SET resolved = $1, updated_at = $2 WHERE id = $3`,
+      [resolved, Date.now(), commentId]
+    );
+    console.log(`💬 ${resolved ? 'Resolved' : 'Unresolved'} comment ${commentId}`);
+  } catch (err) {
+    console.error(`❌ Error resolving comment:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteComment(commentId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('DELETE FROM comments WHERE id = $1', [commentId]);
+    console.log(`🗑️  Deleted comment ${commentId}`);
+  } catch (err) {
+    console.error(`❌ Error deleting comment:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Mention management functions
+export async function createMention(mentionId, commentId, mentionedUserId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `INSERT INTO mentions (id, comment_id, mentioned_user_id, notified, created_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [mentionId, commentId, mentionedUserId, false, Date.now()]
+    );
+    console.log(`📢 Created mention ${mentionId}`);
+  } catch (err) {
+    console.error(`❌ Error creating mention:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Mentions and notification events record their email delivery the same way
+async function recordDelivery(table, id, { status, attempts, error = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `UPDATE ${table} SET
+         delivery_status = $2,
+         delivery_attempts = $3,
+         delivery_error = $4,
+         notified = notified OR $2 IN ('sent', 'skipped'),
+         delivered_at = CASE WHEN $2 = 'sent' THEN $5 ELSE delivered_at END
+       WHERE id = $1`,
+      [id, status, attempts, error, Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error recording delivery of ${table} ${id}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record an attempt to email a mention. A sent or skipped mention is marked notified.
+ * @param {object} delivery - { status: "retrying", "sent", "failed" or "skipped", attempts, error? }
+ */
+export async function recordMentionDelivery(mentionId, delivery) {
+  return recordDelivery('mentions', mentionId, delivery);
+}
+
+// Store an email instead of sending it (outbox email transport)
+export async function insertOutboxEmail({ from, to, subject, html, text }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `INSERT INTO email_outbox (from_address, to_address, subject, html, text, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [from, to, subject, html || null, text || null, Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error storing outbox email:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getUnnotifiedMentions() {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT m.*, c.content, c.session_id, c.page_filename, c.assigned,
+              u1.email as mentioned_email, u1.display_name as mentioned_name,
+              u2.email as commenter_email, u2.display_name as commenter_name
+       FROM mentions m
+       JOIN comments c ON m.comment_id = c.id
+       JOIN users u1 ON m.mentioned_user_id = u1.id
+       JOIN users u2 ON c.user_id = u2.id
+       WHERE m.notified = false AND m.delivery_status IS DISTINCT FROM 'failed'
+       ORDER BY m.created_at ASC`
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      eventType: row.assigned ? 'assignment' : 'mention',
+      commentId: row.comment_id,
+      mentionedUserId: row.mentioned_user_id,
+      mentionedEmail: row.mentioned_email,
+      mentionedName: row.mentioned_name,
+      commenterEmail: row.commenter_email,
+      commenterName: row.commenter_name,
+      commentContent: row.content,
+      sessionId: row.session_id,
+      pageFilename: row.page_filename,
+      createdAt: row.created_at
+    }));
+  } catch (err) {
+    console.error(`❌ Error getting unnotified mentions:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Notification preferences and events
+
+// Kinds of events users are notified about, and how they can be notified
+export const NOTIFICATION_EVENT_TYPES = ['mention', 'assignment', 'reply', 'page_change'];
+export const NOTIFICATION_DELIVERIES = ['instant', 'digest', 'off'];
+
+// Preferences of users who haven't chosen
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  mention: 'instant',
+  assignment: 'instant',
+  reply: 'digest',
+  page_change: 'digest'
+};
+
+/**
+ * Get how users want to be notified, defaults filled in
+ * @returns {Map<string, object>} userId -> { [eventType]: delivery }
+ */
+export async function getNotificationPreferences(userIds) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT user_id, event_type, delivery FROM notification_preferences
+       WHERE user_id = ANY($1)`,
+      [userIds]
+    );
+
+    const preferences = new Map(userIds.map(id => [id, { ...DEFAULT_NOTIFICATION_PREFERENCES }]));
+    result.rows.forEach(row => {
+      preferences.get(row.user_id)[row.event_type] = row.delivery;
+    });
+    return preferences;
+  } catch (err) {
+    console.error(`❌ Error getting notification preferences:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change how a user wants to be notified; event types left out keep their setting
+ * @param {object} preferences - { [eventType]: delivery }
+ */
+export async function setNotificationPreferences(userId, preferences) {
+  const client = await pool.connect();
+
+  try {
+    const now = Date.now();
+    await client.query('BEGIN');
+    for (const [eventType, delivery] of Object.entries(preferences)) {
+      await client.query(
+        `INSERT INTO notification_preferences (user_id, event_type, delivery, updated_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, event_type)
+         DO UPDATE SET delivery = EXCLUDED.delivery, updated_at = EXCLUDED.updated_at`,
+        [userId, eventType, delivery, now]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error setting notification preferences of ${userId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record an event to notify a user about
+ * @param {object} event - { id, userId, eventType, sessionId, pageFilename, commentId?, actorId?, summary? }
+ */
+export async function createNotificationEvent({ id, userId, eventType, sessionId, pageFilename, commentId = null, actorId = null, summary = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `INSERT INTO notification_events (id, user_id, event_type, session_id, page_filename, comment_id, actor_id, summary, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [id, userId, eventType, sessionId, pageFilename, commentId, actorId, summary, Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error creating ${eventType} notification event:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getUnnotifiedEvents() {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT e.*, u.email, u.display_name, a.email AS actor_email, a.display_name AS actor_name
+       FROM notification_events e
+       JOIN users u ON e.user_id = u.id
+       LEFT JOIN users a ON e.actor_id = a.id
+       WHERE NOT e.notified AND e.delivery_status IS DISTINCT FROM 'failed'
+       ORDER BY e.created_at ASC`
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      eventType: row.event_type,
+      userId: row.user_id,
+      userEmail: row.email,
+      userName: row.display_name,
+      sessionId: row.session_id,
+      pageFilename: row.page_filename,
+      commentId: row.comment_id,
+      actorId: row.actor_id,
+      actorName: row.actor_name || row.actor_email,
+      summary: row.summary,
+      createdAt: Number(row.created_at)
+    }));
+  } catch (err) {
+    console.error(`❌ Error getting unnotified events:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record an attempt to email a notification event, like recordMentionDelivery
+ */
+export async function recordEventDelivery(eventId, delivery) {
+  return recordDelivery('notification_events', eventId, delivery);
+}
+
+function toNotification(row) {
+  return {
+    id: row.id,
+    eventType: row.event_type,
+    sessionId: row.session_id,
+    pageFilename: row.page_filename,
+    commentId: row.comment_id,
+    actorId: row.actor_id,
+    actorName: row.actor_name || row.actor_email || null,
+    summary: row.summary,
+    read: row.read_at !== null,
+    createdAt: Number(row.created_at)
+  };
+}
+
+/**
+ * Store an in-app notification
+ * @param {object} notification - { id, userId, eventType, sessionId, pageFilename, commentId?, actorId?, summary? }
+ * @returns {object} The stored notification, with the actor's name
+ */
+export async function createNotification({ id, userId, eventType, sessionId, pageFilename, commentId = null, actorId = null, summary = null }) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `WITH n AS (
+         INSERT INTO notifications (id, user_id, event_type, session_id, page_filename, comment_id, actor_id, summary, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *
+       )
+       SELECT n.*, a.email AS actor_email, a.display_name AS actor_name
+       FROM n LEFT JOIN users a ON a.id = n.actor_id`,
+      [id, userId, eventType, sessionId, pageFilename, commentId, actorId, summary, Date.now()]
+    );
+    return toNotification(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Error creating ${eventType} notification:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A user's notifications, newest first, with how many are unread
+ * @returns {{notifications, unreadCount}}
+ */
+export async function getNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT n.*, a.email AS actor_email, a.display_name AS actor_name
+       FROM notifications n
+       LEFT JOIN users a ON a.id = n.actor_id
+       WHERE n.user_id = $1 AND (NOT $2 OR n.read_at IS NULL)
+       ORDER BY n.created_at DESC
+       LIMIT $3`,
+      [userId, unreadOnly, limit]
+    );
+    const unread = await client.query(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    return {
+      notifications: result.rows.map(toNotification),
+      unreadCount: parseInt(unread.rows[0].count, 10)
+    };
+  } catch (err) {
+    console.error(`❌ Error getting notifications of ${userId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a user's notifications read
+ * @param {string[]|null} notificationIds - null marks all of them
+ * @returns {string[]} IDs of the notifications that were unread
+ */
+export async function markNotificationsRead(userId, notificationIds = null) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE notifications SET read_at = $3
+       WHERE user_id = $1 AND read_at IS NULL AND ($2::varchar[] IS NULL OR id = ANY($2))
+       RETURNING id`,
+      [userId, notificationIds, Date.now()]
+    );
+    return result.rows.map(row => row.id);
+  } catch (err) {
+    console.error(`❌ Error marking notifications of ${userId} read:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Wiki page tag management functions
+
+// Copy a page's tags into its search index entry
+async function refreshSearchTags(client, sessionId, filename) {
+  await client.query(
+    `UPDATE wiki_page_search
+     SET tags = COALESCE((
+       SELECT string_agg(tag, E'\n') FROM wiki_page_tags
+       WHERE session_id = $1 AND filename = $2
+     ), '')
+     WHERE session_id = $1 AND filename = $2`,
+    [sessionId, filename]
+  );
+}
+
+export async function addPageTag(sessionId, filename, tag) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `INSERT INTO wiki_page_tags (session_id, filename, tag, created_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (session_id, filename, tag) DO NOTHING`,
+      [sessionId, filename, tag.trim(), Date.now()]
+    );
+    await refreshSearchTags(client, sessionId, filename);
+    console.log(`🏷️  Added tag "${tag}" to ${filename}`);
+  } catch (err) {
+    console.error(`❌ Error adding tag:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function removePageTag(sessionId, filename, tag) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `DELETE FROM wiki_page_tags
+       WHERE session_id = $1 AND filename = $2 AND tag = $3`,
+      [sessionId, filename, tag.trim()]
+    );
+    await refreshSearchTags(client, sessionId, filename);
+    console.log(`🏷️  Removed tag "${tag}" from ${filename}`);
+  } catch (err) {
+    console.error(`❌ Error removing tag:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getPageTags(sessionId, filename) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT tag FROM wiki_page_tags
+       WHERE session_id = $1 AND filename = $2
+       ORDER BY tag ASC`,
+      [sessionId, filename]
+    );
+
+    return result.rows.map(row => row.tag);
+  } catch (err) {
+    console.error(`❌ Error getting tags for ${filename}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getAllTagsForSession(sessionId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT DISTINCT tag FROM wiki_page_tags
+       WHERE session_id = $1
+       ORDER BY tag ASC`,
+      [sessionId]
+    );
+
+    return result.rows.map(row => row.tag);
+  } catch (err) {
+    console.error(`❌ Error getting all tags for session:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getPagesByTags(sessionId, tags) {
+  const client = await pool.connect();
+
+  try {
+    // Get filenames that have ALL the specified tags
+    const placeholders = tags.map((_, i) => `$${i + 2}`).join(', ');
+    const result = await client.query(
+      `SELECT filename
+       FROM wiki_page_tags
+       WHERE session_id = $1 AND tag IN (${placeholders})
+       GROUP BY filename
+       HAVING COUNT(DISTINCT tag) = $${tags.length + 2}`,
+      [sessionId, ...tags, tags.length]
+    );
+
+    return result.rows.map(row => row.filename);
+  } catch (err) {
+    console.error(`❌ Error getting pages by tags:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function setPageTags(sessionId, filename, tags) {
+  const client = await pool.connect();
+
+  try {
+    // Start transaction
+    await client.query('BEGIN');
+
+    // Remove all existing tags for this page
+    await client.query(
+      `DELETE FROM wiki_page_tags WHERE session_id = $1 AND filename = $2`,
+      [sessionId, filename]
+    );
+
+    // Add new tags
+    if (tags && tags.length > 0) {
+      const values = tags.map((tag, i) =>
+        `($1, $2, $${i + 3}, $${tags.length + 3})`
+      ).join(', ');
+
+      await client.query(
+        `INSERT INTO wiki_page_tags (session_id, filename, tag, created_at)
+         VALUES ${values}
+         ON CONFLICT (session_id, filename, tag) DO NOTHING`,
+        [sessionId, filename, ...tags.map(t => t.trim()), Date.now()]
+      );
+    }
+
+    await refreshSearchTags(client, sessionId, filename);
+
+    // Commit transaction
+    await client.query('COMMIT');
+    console.log(`🏷️  Set tags for ${filename}: ${tags.join(', ')}`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error setting tags:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Watch functions
+
+// What can be watched: a single page (by filename) or every page with a tag
+export const WATCH_TARGET_TYPES = ['page', 'tag'];
+
+export async function addWatch(userId, sessionId, targetType, target) {
   const client = await pool.connect();
 
   try {
     await client.query(
-      `UPDATE mentions SET notified = true WHERE id = $1`,
-      [mentionId]
+      `INSERT INTO page_watches (user_id, session_id, target_type, target, created_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING`,
+      [userId, sessionId, targetType, target, Date.now()]
     );
+    console.log(`👁️  ${userId} watches ${targetType} ${target} in session ${sessionId}`);
   } catch (err) {
-    console.error(`❌ Error marking mention notified:`, err);
+    console.error(`❌ Error adding watch:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function getUnnotifiedMentions() {
+export async function removeWatch(userId, sessionId, targetType, target) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `DELETE FROM page_watches
+       WHERE user_id = $1 AND session_id = $2 AND target_type = $3 AND target = $4`,
+      [userId, sessionId, targetType, target]
+    );
+  } catch (err) {
+    console.error(`❌ Error removing watch:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A user's watch list in a session
+ * @returns {{pages: string[], tags: string[]}}
+ */
+export async function getUserWatches(userId, sessionId) {
   const client = await pool.connect();
 
   try {
     const result = await client.query(
-      `SELECT m.*, c.content, c.session_id, c.page_filename,
-              u1.email as mentioned_email, u1.display_name as mentioned_name,
-              u2.email as commenter_email, u2.display_name as commenter_name
-       FROM mentions m
-       JOIN comments c ON m.comment_id = c.id
-       JOIN users u1 ON m.mentioned_user_id = u1.id
-       JOIN users u2 ON c.user_id = u2.id
-       WHERE m.notified = false`
+      `SELECT target_type, target FROM page_watches
+       WHERE user_id = $1 AND session_id = $2
+       ORDER BY target ASC`,
+      [userId, sessionId]
     );
 
-    return result.rows.map(row => ({
-      id: row.id,
-      commentId: row.comment_id,
-      mentionedUserId: row.mentioned_user_id,
-      mentionedEmail: row.mentioned_email,
-      mentionedName: row.mentioned_name,
-      commenterEmail: row.commenter_email,
-      commenterName: row.commenter_name,
-      commentContent: row.content,
-      sessionId: row.session_id,
-      pageFilename: row.page_filename,
-      createdAt: row.created_at
-    }));
+    return {
+      pages: result.rows.filter(row => row.target_type === 'page').map(row => row.target),
+      tags: result.rows.filter(row => row.target_type === 'tag').map(row => row.target)
+    };
   } catch (err) {
-    console.error(`❌ Error getting unnotified mentions:`, err);
+    console.error(`❌ Error getting watches of ${userId}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-// Wiki page tag management functions
-export async function addPageTag(sessionId, filename, tag) {
+// Users watching a page, directly or through one of its tags, who can still see the session
+export async function getPageWatchers(sessionId, filename) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT DISTINCT w.user_id
+       FROM page_watches w
+       JOIN session_members sm ON sm.session_id = w.session_id AND sm.user_id = w.user_id
+       WHERE w.session_id = $1
+         AND sm.role <> 'removed'
+         AND (
+           (w.target_type = 'page' AND w.target = $2)
+           OR (w.target_type = 'tag' AND w.target IN (
+             SELECT tag FROM wiki_page_tags WHERE session_id = $1 AND filename = $2
+           ))
+         )`,
+      [sessionId, filename]
+    );
+    return result.rows.map(row => row.user_id);
+  } catch (err) {
+    console.error(`❌ Error getting watchers of ${filename}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Move everything stored per page from one filename to another, in one transaction:
+// tags, comments, watches, revision history, the search entry and Yjs documents
+export async function renamePageRecords(sessionId, oldFilename, newFilename) {
   const client = await pool.connect();
 
   try {
+    await client.query('BEGIN');
+
+    // Drop leftovers of an earlier page that had the new filename
     await client.query(
-      `INSERT INTO wiki_page_tags (session_id, filename, tag, created_at)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (session_id, filename, tag) DO NOTHING`,
-      [sessionId, filename, tag.trim(), Date.now()]
+      'DELETE FROM wiki_page_tags WHERE session_id = $1 AND filename = $2',
+      [sessionId, newFilename]
     );
-    console.log(`🏷️  Added tag "${tag}" to ${filename}`);
+    await client.query(
+      'DELETE FROM wiki_page_search WHERE session_id = $1 AND filename = $2',
+      [sessionId, newFilename]
+    );
+
+    await client.query(
+      'UPDATE wiki_page_tags SET filename = $3 WHERE session_id = $1 AND filename = $2',
+      [sessionId, oldFilename, newFilename]
+    );
+    await client.query(
+      'UPDATE comments SET page_filename = $3 WHERE session_id = $1 AND page_filename = $2',
+      [sessionId, oldFilename, newFilename]
+    );
+    await client.query(
+      `UPDATE page_watches SET target = $3
+       WHERE session_id = $1 AND target_type = 'page' AND target = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM page_watches w
+           WHERE w.user_id = page_watches.user_id AND w.session_id = $1
+             AND w.target_type = 'page' AND w.target = $3
+         )`,
+      [sessionId, oldFilename, newFilename]
+    );
+    await client.query(
+      'UPDATE page_revisions SET filename = $3 WHERE session_id = $1 AND filename = $2',
+      [sessionId, oldFilename, newFilename]
+    );
+    await client.query(
+      'UPDATE wiki_page_search SET filename = $3 WHERE session_id = $1 AND filename = $2',
+      [sessionId, oldFilename, newFilename]
+    );
+
+    // Yjs document names are "sessionId/filename-field"
+    const oldPrefix = `${sessionId}/${oldFilename}-`;
+    const newPrefix = `${sessionId}/${newFilename}-`;
+    await client.query(
+      'DELETE FROM yjs_updates WHERE left(doc_name, length($1)) = $1',
+      [newPrefix]
+    );
+    await client.query(
+      `UPDATE yjs_updates SET doc_name = $2 || substring(doc_name from length($1) + 1)
+       WHERE left(doc_name, length($1)) = $1`,
+      [oldPrefix, newPrefix]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✏️  Moved records of ${oldFilename} to ${newFilename} in session ${sessionId}`);
   } catch (err) {
-    console.error(`❌ Error adding tag:`, err);
+    await client.query('ROLLBACK');
+    console.error(`❌ Error moving records of ${oldFilename} to ${newFilename}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function removePageTag(sessionId, filename, tag) {
+// Page revision functions
+function mapRevisionRow(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    filename: row.filename,
+    data: row.data,
+    authorUserId: row.author_user_id,
+    authorName: row.author_name,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at)
+  };
+}
+
+export async function insertPageRevision(sessionId, filename, data, authorUserId = null, authorName = null) {
+  const client = await pool.connect();
+
+  try {
+    const now = Date.now();
+    const result = await client.query(
+      `INSERT INTO page_revisions (session_id, filename, data, author_user_id, author_name, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6)
+       RETURNING *`,
+      [sessionId, filename, JSON.stringify(data), authorUserId, authorName, now]
+    );
+    console.log(`🕘 Recorded revision ${result.rows[0].id} of ${filename}`);
+    return mapRevisionRow(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Error recording revision of ${filename}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function updatePageRevisionData(revisionId, data) {
   const client = await pool.connect();
 
   try {
     await client.query(
-      `DELETE FROM wiki_page_tags
-       WHERE session_id = $1 AND filename = $2 AND tag = $3`,
-      [sessionId, filename, tag.trim()]
+      `UPDATE page_revisions SET data = $1, updated_at = $2 WHERE id = $3`,
+      [JSON.stringify(data), Date.now(), revisionId]
     );
-    console.log(`🏷️  Removed tag "${tag}" from ${filename}`);
   } catch (err) {
-    console.error(`❌ Error removing tag:`, err);
+    console.error(`❌ Error updating revision ${revisionId}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function getPageTags(sessionId, filename) {
+export async function getLatestPageRevision(sessionId, filename) {
   const client = await pool.connect();
 
   try {
     const result = await client.query(
-      `SELECT tag FROM wiki_page_tags
+      `SELECT * FROM page_revisions
        WHERE session_id = $1 AND filename = $2
-       ORDER BY tag ASC`,
+       ORDER BY id DESC
+       LIMIT 1`,
       [sessionId, filename]
     );
 
-    return result.rows.map(row => row.tag);
+    return result.rows.length > 0 ? mapRevisionRow(result.rows[0]) : null;
   } catch (err) {
-    console.error(`❌ Error getting tags for ${filename}:`, err);
+    console.error(`❌ Error getting latest revision of ${filename}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function getAllTagsForSession(sessionId) {
+export async function getPageRevisions(sessionId, filename) {
   const client = await pool.connect();
 
   try {
     const result = await client.query(
-      `SELECT DISTINCT tag FROM wiki_page_tags
-       WHERE session_id = $1
-       ORDER BY tag ASC`,
-      [sessionId]
+      `SELECT * FROM page_revisions
+       WHERE session_id = $1 AND filename = $2
+       ORDER BY id DESC`,
+      [sessionId, filename]
     );
 
-    return result.rows.map(row => row.tag);
+    return result.rows.map(mapRevisionRow);
   } catch (err) {
-    console.error(`❌ Error getting all tags for session:`, err);
+    console.error(`❌ Error getting revisions of ${filename}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function getPagesByTags(sessionId, tags) {
+export async function getPageRevision(revisionId) {
   const client = await pool.connect();
 
   try {
-    // Get filenames that have ALL the specified tags
-    const placeholders = tags.map((_, i) => `$${i + 2}`).join(', ');
     const result = await client.query(
-      `SELECT filename
-       FROM wiki_page_tags
-       WHERE session_id = $1 AND tag IN (${placeholders})
-       GROUP BY filename
-       HAVING COUNT(DISTINCT tag) = $${tags.length + 2}`,
-      [sessionId, ...tags, tags.length]
+      'SELECT * FROM page_revisions WHERE id = $1',
+      [revisionId]
     );
 
-    return result.rows.map(row => row.filename);
+    return result.rows.length > 0 ? mapRevisionRow(result.rows[0]) : null;
   } catch (err) {
-    console.error(`❌ Error getting pages by tags:`, err);
+    console.error(`❌ Error getting revision ${revisionId}:`, err);
     throw err;
   } finally {
     client.release();
   }
 }
 
-export async function setPageTags(sessionId, filename, tags) {
+export async function getPreviousPageRevision(revision) {
   const client = await pool.connect();
 
   try {
-    // Start transaction
+    const result = await client.query(
+      `SELECT * FROM page_revisions
+       WHERE session_id = $1 AND filename = $2 AND id < $3
+       ORDER BY id DESC
+       LIMIT 1`,
+      [revision.sessionId, revision.filename, revision.id]
+    );
+
+    return result.rows.length > 0 ? mapRevisionRow(result.rows[0]) : null;
+  } catch (err) {
+    console.error(`❌ Error getting revision before ${revision.id}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Yjs document persistence functions
+export async function getYjsUpdates(docName) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT update FROM yjs_updates WHERE doc_name = $1 ORDER BY id ASC',
+      [docName]
+    );
+
+    return result.rows.map(row => new Uint8Array(row.update));
+  } catch (err) {
+    console.error(`❌ Error getting Yjs updates for ${docName}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function storeYjsUpdate(docName, update) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      'INSERT INTO yjs_updates (doc_name, update, created_at) VALUES ($1, $2, $3)',
+      [docName, Buffer.from(update), Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error storing Yjs update for ${docName}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function replaceYjsUpdates(docName, update) {
+  const client = await pool.connect();
+
+  try {
+    // Replace the update log with a single merged update
     await client.query('BEGIN');
+    await client.query('DELETE FROM yjs_updates WHERE doc_name = $1', [docName]);
+    await client.query(
+      'INSERT INTO yjs_updates (doc_name, update, created_at) VALUES ($1, $2, $3)',
+      [docName, Buffer.from(update), Date.now()]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Error compacting Yjs updates for ${docName}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-    // Remove all existing tags for this page
+// Full-text search index functions
+export async function upsertPageSearchEntry(sessionId, filename, entry) {
+  const client = await pool.connect();
+
+  try {
     await client.query(
-      `DELETE FROM wiki_page_tags WHERE session_id = $1 AND filename = $2`,
+      `INSERT INTO wiki_page_search
+         (session_id, filename, title, aliases, definition, details, sections, tags, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE((
+         SELECT string_agg(tag, E'\n') FROM wiki_page_tags
+         WHERE session_id = $1 AND filename = $2
+       ), ''), $8)
+       ON CONFLICT (session_id, filename) DO UPDATE SET
+         title = EXCLUDED.title,
+         aliases = EXCLUDED.aliases,
+         definition = EXCLUDED.definition,
+         details = EXCLUDED.details,
+         sections = EXCLUDED.sections,
+         tags = EXCLUDED.tags,
+         updated_at = EXCLUDED.updated_at`,
+      [sessionId, filename, entry.title, entry.aliases, entry.definition, entry.details, entry.sections, Date.now()]
+    );
+  } catch (err) {
+    console.error(`❌ Error indexing ${filename} for search:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function deletePageSearchEntry(sessionId, filename) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      'DELETE FROM wiki_page_search WHERE session_id = $1 AND filename = $2',
       [sessionId, filename]
     );
+  } catch (err) {
+    console.error(`❌ Error removing ${filename} from search index:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-    // Add new tags
-    if (tags && tags.length > 0) {
-      const values = tags.map((tag, i) =>
-        `($1, $2, $${i + 3}, $${tags.length + 3})`
-      ).join(', ');
+export async function deleteStalePageSearchEntries(sessionId, filenames) {
+  const client = await pool.connect();
 
-      await client.query(
-        `INSERT INTO wiki_page_tags (session_id, filename, tag, created_at)
-         VALUES ${values}
-         ON CONFLICT (session_id, filename, tag) DO NOTHING`,
-        [sessionId, filename, ...tags.map(t => t.trim()), Date.now()]
-      );
-    }
+  try {
+    const result = await client.query(
+      'DELETE FROM wiki_page_search WHERE session_id = $1 AND filename <> ALL($2::varchar[])',
+      [sessionId, filenames]
+    );
+    return result.rowCount;
+  } catch (err) {
+    console.error(`❌ Error pruning search index for session ${sessionId}:`, err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-    // Commit transaction
-    await client.query('COMMIT');
-    console.log(`🏷️  Set tags for ${filename}: ${tags.join(', ')}`);
+export async function searchPageEntries(sessionId, tsQuery, rawQuery, limit, offset) {
+  const client = await pool.connect();
+
+  try {
+    const countResult = await client.query(
+      `SELECT COUNT(*) AS total FROM wiki_page_search
+       WHERE session_id = $1 AND document @@ to_tsquery('english', $2)`,
+      [sessionId, tsQuery]
+    );
+
+    // Rank first, then build headlines only for the requested page of results
+    const result = await client.query(
+      `WITH matches AS (
+         SELECT s.*, ts_rank_cd(s.document, q.query) AS rank, q.query
+         FROM wiki_page_search s, to_tsquery('english', $2) AS q(query)
+         WHERE s.session_id = $1 AND s.document @@ q.query
+         ORDER BY lower(s.title) = lower($3) DESC, rank DESC, s.title ASC
+         LIMIT $4 OFFSET $5
+       )
+       SELECT filename, title, aliases, definition, tags, rank,
+         ts_headline('english', title, query,
+           'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+         ts_headline('english', concat_ws(E'\n', definition, details, sections), query,
+           'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "') AS snippet
+       FROM matches
+       ORDER BY lower(title) = lower($3) DESC, rank DESC, title ASC`,
+      [sessionId, tsQuery, rawQuery, limit, offset]
+    );
+
+    return {
+      total: parseInt(countResult.rows[0].total, 10),
+      results: result.rows.map(row => ({
+        filename: row.filename,
+        title: row.title,
+        aliases: row.aliases ? row.aliases.split('\n') : [],
+        definition: row.definition,
+        tags: row.tags ? row.tags.split('\n') : [],
+        rank: row.rank,
+        titleHighlight: row.title_highlight,
+        snippet: row.snippet
+      }))
+    };
   } catch (err) {
-    await client.query('ROLLBACK');
-    console.error(`❌ Error setting tags:`, err);
+    console.error(`❌ Error searching session ${sessionId}:`, err);
     throw err;
   } finally {
     client.release();
@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import SparkPost from 'sparkpost';
+import nodemailer from 'nodemailer';
+import { insertOutboxEmail } from './db.js';
+
+/**
+ * Email transports. Each is { name, send(message) } where message is
+ * { from, to, toName, subject, html, text }. send() resolves once the message
+ * has been handed over and rejects if delivery failed.
+ */
+
+function sparkPostTransport(env) {
+  const client = new SparkPost(env.SPARKPOST_API_KEY);
+
+  return {
+    name: 'sparkpost',
+    async send(message) {
+      await client.transmissions.send({
+        content: {
+          from: message.from,
+          subject: message.subject,
+          html: message.html,
+          text: message.text
+        },
+        recipients: [
+          {
+            address: message.to,
+            substitution_data: { name: message.toName }
+          }
+        ]
+      });
+    }
+  };
+}
+
+function smtpTransport(env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || '587', 10),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({
+        from: message.from,
+        to: message.toName ? { name: message.toName, address: message.to } : message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+    }
+  };
+}
+
+// Writes each email to its own JSON file, for development
+function fileTransport(env) {
+  const dir = path.resolve(env.EMAIL_OUTBOX_DIR || './outbox');
+
+  return {
+    name: `file (${dir})`,
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const sentAt = Date.now();
+      const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${sentAt}-${Math.random().toString(36).slice(2, 8)}-${safeTo}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+    }
+  };
+}
+
+// Stores each email in the email_outbox table, for development and tests
+function outboxTransport() {
+  return {
+    name: 'outbox (email_outbox table)',
+    async send(message) {
+      await insertOutboxEmail(message);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  sparkpost: sparkPostTransport,
+  smtp: smtpTransport,
+  file: fileTransport,
+  outbox: outboxTransport
+};
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT (sparkpost, smtp, file, outbox
+ * or none). Without it, SparkPost is used when SPARKPOST_API_KEY is set.
+ * @returns {object|null} null when email is disabled
+ */
+export function createEmailTransport(env = process.env) {
+  const name = (env.EMAIL_TRANSPORT || (env.SPARKPOST_API_KEY ? 'sparkpost' : 'none')).toLowerCase();
+
+  if (name === 'none') {
+    return null;
+  }
+
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" - use ${Object.keys(TRANSPORTS).join(', ')} or none`);
+  }
+  return create(env);
+}
@@ -0,0 +1,109 @@
+import { findPageByTitle, getLinkReferences } from './wikiParser.js';
+
+// Suggestions scoring below this similarity (0-1) aren't worth offering
+const MIN_SUGGESTION_SCORE = 0.5;
+const MAX_SUGGESTIONS = 3;
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+// Levenshtein distance with a single rolling row
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(
+        row[j] + 1,
+        next[j - 1] + 1,
+        row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    row = next;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * How alike two page names are, from 0 (nothing in common) to 1 (same after normalizing).
+ * Typos score by edit distance; a name that contains the other (singular/plural,
+ * extra qualifier) scores at least 0.8.
+ */
+export function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const score = 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  if (x.includes(y) || y.includes(x)) {
+    return Math.max(score, 0.8);
+  }
+  return score;
+}
+
+/**
+ * Existing pages a broken link target probably meant, best first
+ * @param {Array} pages - All pages of the session
+ * @param {string} target - Unresolved link target
+ * @returns {Array<{filename, title, matchedName, matchedAlias, score}>}
+ */
+export function suggestPages(pages, target) {
+  const suggestions = [];
+
+  pages.forEach(page => {
+    let best = null;
+    [page.title, ...(page.aliases || [])].forEach((name, idx) => {
+      const score = nameSimilarity(target, name);
+      if (!best || score > best.score) {
+        best = { matchedName: name, matchedAlias: idx > 0, score };
+      }
+    });
+
+    if (best && best.score >= MIN_SUGGESTION_SCORE) {
+      suggestions.push({
+        filename: page.filename,
+        title: page.title,
+        ...best,
+        score: Math.round(best.score * 100) / 100
+      });
+    }
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Audit every wiki link in a session and group the unresolved ones by target.
+ * Targets differing only in case are one group, since findPageByTitle ignores case.
+ * @param {Array} pages - All pages of the session
+ * @returns {Array<{target, references: Array, suggestions: Array}>} Most referenced targets first
+ */
+export function getBrokenLinks(pages) {
+  const brokenLinks = new Map();
+
+  pages.forEach(page => {
+    getLinkReferences(page).forEach(({ target, ...reference }) => {
+      if (findPageByTitle(pages, target)) return;
+
+      const key = target.toLowerCase();
+      if (!brokenLinks.has(key)) {
+        brokenLinks.set(key, { target, references: [] });
+      }
+      brokenLinks.get(key).references.push({
+        filename: page.filename,
+        title: page.title,
+        ...reference
+      });
+    });
+  });
+
+  return [...brokenLinks.values()]
+    .map(brokenLink => ({ ...brokenLink, suggestions: suggestPages(pages, brokenLink.target) }))
+    .sort((a, b) => b.references.length - a.references.length || a.target.localeCompare(b.target));
+}
@@ -0,0 +1,205 @@
+import path from 'path';
+import yaml from 'js-yaml';
+import { findPageByTitle } from './wikiParser.js';
+
+// Match wiki:// links with or without angle brackets
+const WIKI_LINK_REGEX = /\[([^\]]+)\]\(wiki:\/\/<?([^>)]+)>?\)/g;
+
+// Markdown links without a URL scheme, e.g. [text](other-page.md#anchor)
+const RELATIVE_LINK_REGEX = /\[([^\]]+)\]\((?![a-z][a-z0-9+.-]*:|#)([^)\s]+)\)/gi;
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const HEADING_REGEX = /^##[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE_REGEX = /^(```|~~~)/;
+
+// Heading the details field is exported under; every other heading is a section
+const DETAILS_HEADING = 'Details';
+
+export function isMarkdownFile(filename) {
+  return /\.(md|markdown)$/i.test(filename);
+}
+
+export function toMarkdownFilename(filename) {
+  return filename.replace(/\.hml$/, '') + '.md';
+}
+
+export function toHmlFilename(filename) {
+  return path.basename(filename).replace(/\.(md|markdown)$/i, '') + '.hml';
+}
+
+// Relative links can't contain spaces or parentheses unescaped
+function toLinkPath(filename) {
+  return encodeURIComponent(filename).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function toWikiLink(linkText, title) {
+  return /\s/.test(title) ? `[${linkText}](wiki://<${title}>)` : `[${linkText}](wiki://${title})`;
+}
+
+/**
+ * Convert wiki:// links to relative .md links. Links to pages that don't exist
+ * stay wiki:// links so they survive a round trip.
+ */
+function exportLinks(text, pages) {
+  if (!text) return '';
+
+  return text.replace(WIKI_LINK_REGEX, (fullText, linkText, target) => {
+    const page = findPageByTitle(pages, target);
+    return page ? `[${linkText}](${toLinkPath(toMarkdownFilename(page.filename))})` : fullText;
+  });
+}
+
+/**
+ * Convert relative .md links back to wiki:// links
+ * @param {Map} titlesByFilename - Lowercased .hml filename -> page title
+ */
+function importLinks(text, titlesByFilename) {
+  if (!text) return '';
+
+  return text.replace(RELATIVE_LINK_REGEX, (fullText, linkText, href) => {
+    const linkPath = href.split(/[?#]/)[0];
+    if (!isMarkdownFile(linkPath)) return fullText;
+
+    let filename;
+    try {
+      filename = toHmlFilename(decodeURIComponent(linkPath));
+    } catch (err) {
+      return fullText;
+    }
+
+    const title = titlesByFilename.get(filename.toLowerCase());
+    return title ? toWikiLink(linkText, title) : fullText;
+  });
+}
+
+/**
+ * Render a page as Markdown: YAML front matter (title, aliases, tags), the
+ * definition as the body, then details and each section under a ## heading
+ * @param {object} page - Wiki page
+ * @param {Array<string>} tags - The page's tags
+ * @param {Array} pages - All pages of the session, for resolving links
+ */
+export function pageToMarkdown(page, tags, pages) {
+  const frontMatter = {
+    title: page.title,
+    ...(page.aliases?.length > 0 && { aliases: page.aliases }),
+    ...(tags?.length > 0 && { tags })
+  };
+
+  const blocks = [`---\n${yaml.dump(frontMatter, { lineWidth: -1 })}---`];
+
+  const definition = exportLinks(page.definition, pages).trim();
+  if (definition) blocks.push(definition);
+
+  const details = exportLinks(page.details, pages).trim();
+  if (details) blocks.push(`## ${DETAILS_HEADING}\n\n${details}`);
+
+  (page.sections || []).forEach(section => {
+    const content = exportLinks(section.content, pages).trim();
+    blocks.push(`## ${section.title || 'Untitled section'}${content ? `\n\n${content}` : ''}`);
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+// Split a Markdown body on its ## headings, ignoring headings inside code fences
+function splitHeadings(body) {
+  const parts = [{ heading: null, lines: [] }];
+  let inFence = false;
+
+  body.split(/\r?\n/).forEach(line => {
+    if (FENCE_REGEX.test(line)) inFence = !inFence;
+
+    const match = !inFence && line.match(HEADING_REGEX);
+    if (match) {
+      parts.push({ heading: match[1], lines: [] });
+    } else {
+      parts[parts.length - 1].lines.push(line);
+    }
+  });
+
+  return parts.map(part => ({ heading: part.heading, text: part.lines.join('\n').trim() }));
+}
+
+function toStringList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a Markdown file into page data. Links are left as written; pass the
+ * result to resolveMarkdownLinks once every imported title is known.
+ * @param {string} content - Markdown text
+ * @param {string} filename - Name of the Markdown file
+ * @returns {{filename, title, definition, details, aliases, sections, tags}}
+ */
+export function markdownToPage(content, filename) {
+  let body = content.replace(/^\uFEFF/, '');
+  let frontMatter = {};
+
+  const match = body.match(FRONT_MATTER_REGEX);
+  if (match) {
+    const parsed = yaml.load(match[1]);
+    if (parsed && typeof parsed === 'object') {
+      frontMatter = parsed;
+    }
+    body = body.slice(match[0].length);
+  }
+
+  // Without a front matter title, a leading "# Title" line is the title
+  let title = frontMatter.title ? String(frontMatter.title).trim() : '';
+  if (!title) {
+    const heading = body.match(/^\s*#[ \t]+(.+?)[ \t]*#*[ \t]*(?:\r?\n|$)/);
+    if (heading) {
+      title = heading[1];
+      body = body.slice(heading[0].length);
+    }
+  }
+
+  const [intro, ...headed] = splitHeadings(body);
+  let details = '';
+  const sections = [];
+
+  headed.forEach((part, idx) => {
+    if (idx === 0 && part.heading.toLowerCase() === DETAILS_HEADING.toLowerCase()) {
+      details = part.text;
+    } else {
+      sections.push({ title: part.heading, content: part.text });
+    }
+  });
+
+  return {
+    filename: toHmlFilename(filename),
+    title: title || path.basename(filename).replace(/\.(md|markdown)$/i, ''),
+    definition: intro.text,
+    details,
+    aliases: toStringList(frontMatter.aliases),
+    sections,
+    tags: toStringList(frontMatter.tags)
+  };
+}
+
+/**
+ * Turn relative .md links of imported pages into wiki:// links
+ * @param {Array} importedPages - Pages from markdownToPage
+ * @param {Array} existingPages - Pages already in the session, for links to pages not in the import
+ * @returns {Array} Imported pages with links resolved
+ */
+export function resolveMarkdownLinks(importedPages, existingPages) {
+  const titlesByFilename = new Map();
+  [...existingPages, ...importedPages].forEach(page => {
+    titlesByFilename.set(page.filename.toLowerCase(), page.title);
+  });
+
+  return importedPages.map(page => ({
+    ...page,
+    definition: importLinks(page.definition, titlesByFilename),
+    details: importLinks(page.details, titlesByFilename),
+    sections: page.sections.map(section => ({
+      ...section,
+      content: importLinks(section.content, titlesByFilename)
+    }))
+  }));
+}
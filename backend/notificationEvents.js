@@ -0,0 +1,94 @@
+import WebSocket from 'ws';
+import { nanoid } from 'nanoid';
+import { admin } from './auth.js';
+import { createNotification } from './db.js';
+
+// Clients connect to /notifications (/ws/notifications through the production proxy)
+const NOTIFICATIONS_PATHS = ['/notifications', '/ws/notifications'];
+
+// Subscribed sockets of each user: userId -> Set of ws
+const subscribers = new Map();
+
+export function isNotificationsUrl(url) {
+  return NOTIFICATIONS_PATHS.includes((url || '').split('?')[0]);
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function unsubscribe(ws, userId) {
+  const sockets = subscribers.get(userId);
+  if (sockets) {
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      subscribers.delete(userId);
+    }
+  }
+}
+
+/**
+ * Handle a notifications websocket. The client subscribes with
+ * { type: 'subscribe', token } and is then sent { type: 'notification', notification }
+ * for each new notification of theirs and { type: 'notifications-read', ids }
+ * when notifications are read in another tab (ids is null for all of them).
+ */
+export function setupNotificationsConnection(ws) {
+  let userId = null;
+
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+
+      if (data.type === 'subscribe') {
+        if (!data.token) {
+          send(ws, { type: 'error', error: 'token is required' });
+          return;
+        }
+
+        const decodedToken = await admin.auth().verifyIdToken(data.token);
+        if (userId) {
+          unsubscribe(ws, userId);
+        }
+        userId = decodedToken.uid;
+        if (!subscribers.has(userId)) {
+          subscribers.set(userId, new Set());
+        }
+        subscribers.get(userId).add(ws);
+        send(ws, { type: 'subscribed' });
+      }
+    } catch (err) {
+      console.error('Error handling notifications message:', err);
+      send(ws, { type: 'error', error: 'Could not subscribe to notifications' });
+    }
+  });
+
+  ws.on('close', () => {
+    if (userId) {
+      unsubscribe(ws, userId);
+    }
+  });
+}
+
+// Send a message to every open tab of a user
+export function pushToUser(userId, message) {
+  for (const ws of subscribers.get(userId) || []) {
+    send(ws, message);
+  }
+}
+
+/**
+ * Store an in-app notification and push it to the user's open tabs. Failures
+ * are logged rather than thrown, so they never fail the change that caused them.
+ * @param {object} notification - { userId, eventType, sessionId, pageFilename, commentId?, actorId?, summary? }
+ */
+export async function notifyUser(notification) {
+  try {
+    const stored = await createNotification({ id: nanoid(16), ...notification });
+    pushToUser(notification.userId, { type: 'notification', notification: stored });
+  } catch (err) {
+    console.error(`Error notifying ${notification.userId}:`, err);
+  }
+}
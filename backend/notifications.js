@@ -1,129 +1,291 @@
-import SparkPost from 'sparkpost';
-import { getUnnotifiedMentions, markMentionNotified } from './db.js';
+import {
+  getUnnotifiedMentions,
+  getUnnotifiedEvents,
+  getNotificationPreferences,
+  recordMentionDelivery,
+  recordEventDelivery
+} from './db.js';
+import { createEmailTransport } from './emailTransports.js';
 
-// Initialize SparkPost client
-const client = process.env.SPARKPOST_API_KEY 
-  ? new SparkPost(process.env.SPARKPOST_API_KEY)
-  : null;
+// Email transport chosen by EMAIL_TRANSPORT (see emailTransports.js)
+const transport = createEmailTransport();
 
-/**
- * Send email notification when a user is mentioned in a comment
- */
-export async function sendMentionNotification(mention) {
-  if (!client) {
-    console.warn('⚠️  SparkPost not configured - skipping email notification');
-    return;
-  }
+const FROM_EMAIL = process.env.EMAIL_FROM || process.env.SPARKPOST_FROM_EMAIL || 'notifications@wiki-jam.com';
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '3', 10);
+const RETRY_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_MS || '1000', 10);
+// How often unnotified events are checked for
+const CHECK_INTERVAL_MS = parseInt(process.env.NOTIFICATION_INTERVAL_MS || '30000', 10);
+// Hour of the day (server time) from which the daily digests are sent
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '8', 10);
 
-  try {
-    const appUrl = process.env.APP_URL || 'http://localhost:5173';
-    const pageUrl = `${appUrl}/session/${mention.sessionId}`;
-    
-    await client.transmissions.send({
-      content: {
-        from: process.env.SPARKPOST_FROM_EMAIL || 'notifications@wiki-jam.com',
-        subject: `${mention.commenterName} mentioned you in ${mention.pageFilename}`,
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <style>
+const EMAIL_STYLES = `
               body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
               .container { max-width: 600px; margin: 0 auto; padding: 20px; }
               .header { background: #667eea; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
               .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
               .comment { background: white; padding: 15px; margin: 15px 0; border-left: 4px solid #667eea; }
-              .button { 
-                display: inline-block; 
-                background: #667eea; 
-                color: white; 
-                padding: 12px 24px; 
-                text-decoration: none; 
-                border-radius: 6px; 
+              .button {
+                display: inline-block;
+                background: #667eea;
+                color: white;
+                padding: 12px 24px;
+                text-decoration: none;
+                border-radius: 6px;
                 margin-top: 15px;
               }
-              .footer { color: #6b7280; font-size: 12px; margin-top: 20px; }
+              .footer { color: #6b7280; font-size: 12px; margin-top: 20px; }`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Link that opens the page of an event, at its comment if it has one
+function eventUrl(item) {
+  const appUrl = process.env.APP_URL || 'http://localhost:5173';
+  const params = new URLSearchParams({ page: item.pageFilename });
+  if (item.commentId) params.set('comment', item.commentId);
+  return `${appUrl}/session/${item.sessionId}?${params}`;
+}
+
+// One line saying what happened, e.g. "Ann replied to your comment on Home.hml"
+function describe(item) {
+  const actor = item.actorName || 'Someone';
+  switch (item.eventType) {
+    case 'assignment':
+      return `${actor} assigned you a comment on ${item.pageFilename}`;
+    case 'reply':
+      return `${actor} replied to your comment on ${item.pageFilename}`;
+    case 'page_change':
+      return `${actor} changed ${item.pageFilename}`;
+    default:
+      return `${actor} mentioned you in ${item.pageFilename}`;
+  }
+}
+
+function renderLayout(title, bodyHtml, footer) {
+  return `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>${EMAIL_STYLES}
             </style>
           </head>
           <body>
             <div class="container">
               <div class="header">
-                <h2>📝 You were mentioned in Wiki Jam</h2>
+                <h2>${escapeHtml(title)}</h2>
               </div>
               <div class="content">
-                <p><strong>${mention.commenterName}</strong> mentioned you in a comment on <strong>${mention.pageFilename}</strong>:</p>
-                <div class="comment">
-                  ${mention.commentContent}
-                </div>
-                <a href="${pageUrl}" class="button">View Comment</a>
+                ${bodyHtml}
                 <div class="footer">
-                  <p>This is an automated notification from Wiki Jam. You received this because you were mentioned in a comment.</p>
+                  <p>${escapeHtml(footer)}</p>
                 </div>
               </div>
             </div>
           </body>
           </html>
-        `
-      },
-      recipients: [
-        { 
-          address: mention.mentionedEmail,
-          substitution_data: {
-            name: mention.mentionedName
-          }
-        }
-      ]
-    });
-    
-    console.log(`📧 Sent mention notification to ${mention.mentionedEmail}`);
-    
-    // Mark mention as notified
-    await markMentionNotified(mention.id);
+        `;
+}
+
+const FOOTER = 'This is an automated notification from Wiki Jam. Choose which emails you get under 🔔 Notifications on the home page.';
+
+/**
+ * Render the email about a single event
+ * @returns {{subject, html, text}}
+ */
+function renderEventEmail(item) {
+  const summary = describe(item);
+  const url = eventUrl(item);
+
+  return {
+    subject: summary,
+    html: renderLayout('📝 Wiki Jam', `
+                <p>${escapeHtml(summary)}:</p>
+                ${item.text ? `<div class="comment">${escapeHtml(item.text)}</div>` : ''}
+                <a href="${escapeHtml(url)}" class="button">View in Wiki Jam</a>`, FOOTER),
+    text: `${summary}:\n\n${item.text ? `${item.text}\n\n` : ''}View: ${url}\n`
+  };
+}
+
+/**
+ * Render one email listing a user's events since their last digest
+ * @returns {{subject, html, text}}
+ */
+function renderDigestEmail(items) {
+  const subject = `Your Wiki Jam digest: ${items.length} update${items.length === 1 ? '' : 's'}`;
+  const entries = items.map(item => ({ summary: describe(item), url: eventUrl(item), text: item.text }));
+
+  return {
+    subject,
+    html: renderLayout('📬 Your daily digest', entries.map(entry => `
+                <p><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.summary)}</a></p>
+                ${entry.text ? `<div class="comment">${escapeHtml(entry.text)}</div>` : ''}`).join(''), FOOTER),
+    text: entries.map(entry => `- ${entry.summary}\n${entry.text ? `  ${entry.text}\n` : ''}  ${entry.url}`).join('\n\n') + '\n'
+  };
+}
+
+// Mentions and notification events, in one shape
+function fromMention(mention) {
+  return {
+    source: 'mention',
+    id: mention.id,
+    eventType: mention.eventType || 'mention',
+    userId: mention.mentionedUserId,
+    email: mention.mentionedEmail,
+    name: mention.mentionedName,
+    actorName: mention.commenterName || mention.commenterEmail,
+    sessionId: mention.sessionId,
+    pageFilename: mention.pageFilename,
+    commentId: mention.commentId,
+    text: mention.commentContent
+  };
+}
+
+function fromEvent(event) {
+  return {
+    source: 'event',
+    id: event.id,
+    eventType: event.eventType,
+    userId: event.userId,
+    email: event.userEmail,
+    name: event.userName,
+    actorName: event.actorName,
+    sessionId: event.sessionId,
+    pageFilename: event.pageFilename,
+    commentId: event.commentId,
+    text: event.summary
+  };
+}
+
+// Delivery status is bookkeeping; failing to record it shouldn't fail the send
+async function recordDelivery(item, delivery) {
+  try {
+    if (item.source === 'mention') {
+      await recordMentionDelivery(item.id, delivery);
+    } else {
+      await recordEventDelivery(item.id, delivery);
+    }
   } catch (err) {
-    console.error('❌ Error sending mention notification:', err);
-    throw err;
+    console.error(`❌ Could not record delivery of ${item.source} ${item.id}:`, err);
   }
 }
 
 /**
- * Process all unnotified mentions and send emails
+ * Send an email about the given items. Failed sends are retried with
+ * exponential backoff (EMAIL_MAX_ATTEMPTS, EMAIL_RETRY_DELAY_MS) and each
+ * attempt's outcome is recorded on every item.
  */
-export async function processUnnotifiedMentions() {
-  try {
-    const mentions = await getUnnotifiedMentions();
-    
-    if (mentions.length === 0) {
+async function deliver(message, items) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await transport.send(message);
+      console.log(`📧 Sent "${message.subject}" to ${message.to} via ${transport.name}`);
+      await Promise.all(items.map(item => recordDelivery(item, { status: 'sent', attempts: attempt })));
       return;
+    } catch (err) {
+      const finalAttempt = attempt === MAX_ATTEMPTS;
+      console.error(`❌ Error sending email to ${message.to} (attempt ${attempt}/${MAX_ATTEMPTS}):`, err);
+      await Promise.all(items.map(item => recordDelivery(item, {
+        status: finalAttempt ? 'failed' : 'retrying',
+        attempts: attempt,
+        error: err.message
+      })));
+
+      if (finalAttempt) {
+        throw err;
+      }
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
     }
-    
-    console.log(`📬 Processing ${mentions.length} unnotified mentions`);
-    
-    for (const mention of mentions) {
-      try {
-        await sendMentionNotification(mention);
-      } catch (err) {
-        console.error(`❌ Failed to send notification for mention ${mention.id}:`, err);
+  }
+}
+
+function sendInstantNotification(item) {
+  return deliver({ from: FROM_EMAIL, to: item.email, toName: item.name, ...renderEventEmail(item) }, [item]);
+}
+
+let processing = false;
+let lastDigestDay = null;
+
+/**
+ * Notify users of unnotified mentions and events as each prefers: instant
+ * events are emailed one by one, digest events are batched into one email per
+ * user once a day (from DIGEST_HOUR), and events turned off are marked
+ * notified without an email.
+ */
+export async function processNotifications() {
+  // A run can take a while when sends are retried; don't start another meanwhile
+  if (!transport || processing) return;
+  processing = true;
+
+  try {
+    const items = [
+      ...(await getUnnotifiedMentions()).map(fromMention),
+      ...(await getUnnotifiedEvents()).map(fromEvent)
+    ];
+    const now = new Date();
+    const digestDue = now.getHours() >= DIGEST_HOUR && now.toDateString() !== lastDigestDay;
+
+    if (items.length > 0) {
+      const preferences = await getNotificationPreferences([...new Set(items.map(item => item.userId))]);
+      const digests = new Map(); // userId -> items for their digest
+
+      for (const item of items) {
+        const delivery = preferences.get(item.userId)[item.eventType] || 'off';
+
+        if (delivery === 'off') {
+          await recordDelivery(item, { status: 'skipped', attempts: 0 });
+        } else if (delivery === 'instant') {
+          try {
+            await sendInstantNotification(item);
+          } catch (err) {
+            console.error(`❌ Failed to send notification for ${item.source} ${item.id}:`, err);
+          }
+        } else if (digestDue) {
+          digests.set(item.userId, [...(digests.get(item.userId) || []), item]);
+        }
       }
+
+      for (const userItems of digests.values()) {
+        const { email, name } = userItems[0];
+        try {
+          await deliver({ from: FROM_EMAIL, to: email, toName: name, ...renderDigestEmail(userItems) }, userItems);
+        } catch (err) {
+          console.error(`❌ Failed to send digest to ${email}:`, err);
+        }
+      }
+
+      if (digests.size > 0) {
+        console.log(`📬 Sent ${digests.size} digest email(s)`);
+      }
+    }
+
+    if (digestDue) {
+      lastDigestDay = now.toDateString();
     }
   } catch (err) {
-    console.error('❌ Error processing unnotified mentions:', err);
+    console.error('❌ Error processing notifications:', err);
+  } finally {
+    processing = false;
   }
 }
 
 /**
- * Start periodic check for unnotified mentions
- * DISABLED: Only send emails when comments are explicitly assigned
+ * Start the periodic check for unnotified mentions and events
  */
 export function startNotificationService() {
-  if (!client) {
-    console.warn('⚠️  SparkPost not configured - notification service disabled');
+  if (!transport) {
+    console.warn('⚠️  Email not configured (set EMAIL_TRANSPORT) - notification service disabled');
     return;
   }
 
-  console.log('📬 Notification service ready (emails only sent for assigned comments)');
+  console.log(`📬 Notification service ready via ${transport.name} (digests from ${DIGEST_HOUR}:00)`);
 
-  // Background job disabled - emails are only sent when comments are assigned
-  // processUnnotifiedMentions();
-  // setInterval(processUnnotifiedMentions, 30000);
+  processNotifications();
+  setInterval(processNotifications, CHECK_INTERVAL_MS);
 }
-
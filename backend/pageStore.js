@@ -0,0 +1,356 @@
+import {
+  getAllWikiPages,
+  getWikiPage,
+  saveWikiPage,
+  getPageMeta,
+  normalizeSections,
+  COLLABORATIVE_FIELDS,
+  META_FIELD
+} from './wikiParser.js';
+import { textChangeOp } from '../shared/textDiff.js';
+import { queuePageChange } from './pageWatch.js';
+import { toRevisionData } from './revisions.js';
+
+// ShareDB documents are the authoritative copy of every page: the metadata document
+// ("page.hml-meta") and one text document per field and section. HML files are
+// written from them once a page has been quiet for PAGE_FLUSH_MS...
+const PAGE_FLUSH_MS = parseInt(process.env.PAGE_FLUSH_MS || '1000', 10);
+// ...or once its oldest unwritten edit is this old, for pages edited nonstop
+const PAGE_FLUSH_MAX_DELAY_MS = parseInt(process.env.PAGE_FLUSH_MAX_DELAY_MS || '10000', 10);
+
+const COLLECTION = 'wiki-pages';
+
+// ShareDB backend the page documents live in, set by sharedbServer.js
+let shareDBBackend = null;
+
+// Pages with edits not written to their file yet: "sessionId/filename" ->
+// { author, firstAt, timer }. Edits still pending when the server stops are kept
+// in ShareDB and written with the page's next flush.
+const pendingFlushes = new Map();
+
+// Last flush of each page, so writes to one file never overlap: "sessionId/filename" -> Promise
+const flushQueues = new Map();
+
+/**
+ * Set the ShareDB backend pages are read from and written to
+ */
+export function setPageStoreBackend(backend) {
+  shareDBBackend = backend;
+}
+
+function connect(author = null) {
+  return shareDBBackend.connect(null, { author, isServer: true });
+}
+
+function fetchDoc(doc) {
+  return new Promise((resolve, reject) => {
+    doc.fetch(err => (err ? reject(err) : resolve(doc)));
+  });
+}
+
+function submitOp(doc, op) {
+  return new Promise((resolve, reject) => {
+    doc.submitOp(op, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function subscribeDoc(doc) {
+  return new Promise((resolve, reject) => {
+    doc.subscribe(err => (err ? reject(err) : resolve(doc)));
+  });
+}
+
+function createDoc(doc, data) {
+  return new Promise((resolve, reject) => {
+    doc.create(data, 'json0', err => (err ? reject(err) : resolve()));
+  });
+}
+
+function deleteDoc(doc) {
+  return new Promise((resolve, reject) => {
+    doc.del(err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Replace a whole value in a json0 document
+function replaceOp(key, oldValue, newValue) {
+  if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return [];
+  return [{ p: [key], ...(oldValue !== undefined && { od: oldValue }), oi: newValue }];
+}
+
+// The op that turns one metadata document into another. The title changes by
+// character so it can be typed in together; aliases and sections are replaced.
+function metaChangeOp(current, meta) {
+  return [
+    ...textChangeOp(current.title || '', meta.title, ['title']),
+    ...replaceOp('aliases', current.aliases, meta.aliases),
+    ...replaceOp('sections', current.sections, meta.sections)
+  ];
+}
+
+// Documents of a page other than its metadata document, by ID suffix
+function getFieldDocSuffixes(sections) {
+  return [
+    ...COLLABORATIVE_FIELDS,
+    ...sections.map(section => `section-${section.id}`)
+  ];
+}
+
+/**
+ * Create a page document from the page's file, for documents nobody has opened
+ * since the page was written outside of ShareDB (new, uploaded or older pages).
+ * Two readers may race to create it; the loser reads the winner's document.
+ * @returns {Promise<object>} Snapshot of the document ({ type, v, data })
+ */
+export async function createDocFromFile(id, data) {
+  const connection = connect();
+  const doc = connection.get(COLLECTION, id);
+
+  try {
+    try {
+      await createDoc(doc, data);
+    } catch (err) {
+      if (err.code !== 'ERR_DOC_ALREADY_CREATED') throw err;
+      await fetchDoc(doc);
+    }
+    return { type: doc.type.uri, v: doc.version, data: doc.data };
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Read a page from its ShareDB documents (loading them from the file if needed)
+ * @returns {Promise<object|null>} Page data, or null if the page doesn't exist
+ */
+export async function readPage(sessionId, filename) {
+  const connection = connect();
+
+  try {
+    const meta = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${META_FIELD}`));
+    if (!meta.type) return null;
+
+    const sections = meta.data.sections || [];
+    const contents = {};
+    for (const suffix of getFieldDocSuffixes(sections)) {
+      const doc = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${suffix}`));
+      // Sections added in the editor have no document until their text is typed
+      contents[suffix] = doc.type ? doc.data.content || '' : '';
+    }
+
+    return {
+      filename,
+      title: meta.data.title || '',
+      definition: contents.definition,
+      details: contents.details,
+      aliases: meta.data.aliases || [],
+      sections: sections.map(section => ({ ...section, content: contents[`section-${section.id}`] }))
+    };
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Read every page of a session from its file, once the edits not yet written to
+ * the files have been. Pages about to be changed should be read again with
+ * readPage, for edits made since.
+ * @returns {Promise<object[]>} Page data, as from getAllWikiPages
+ */
+export async function readSessionPages(sessionId) {
+  const prefix = `${sessionId}/`;
+  const keys = new Set([...pendingFlushes.keys(), ...flushQueues.keys()]);
+
+  await Promise.all([...keys]
+    .filter(key => key.startsWith(prefix))
+    .map(key => flushPage(sessionId, key.slice(prefix.length))));
+
+  return getAllWikiPages(sessionId);
+}
+
+/**
+ * Subscribe to one page document (loading it from the file if needed), to keep a
+ * live copy of its text in step, as the rich-text editor's Yjs documents do.
+ * Close the returned connection once done with the document.
+ * @param {string} docId - Document ID ("sessionId/page.hml-definition")
+ * @returns {Promise<{connection, doc}>}
+ */
+export async function subscribeFieldDoc(docId) {
+  const connection = connect();
+
+  try {
+    return { connection, doc: await subscribeDoc(connection.get(COLLECTION, docId)) };
+  } catch (err) {
+    connection.close();
+    throw err;
+  }
+}
+
+/**
+ * Change the text of a document from subscribeFieldDoc, creating it if it doesn't
+ * exist yet. The document changes right away; the promise settles once the server
+ * has the change.
+ * @param {{connection, doc}} field - Subscribed document
+ * @param {string} content - New text
+ * @param {object|null} author - { userId, name } the change is attributed to
+ */
+export async function submitSubscribedContent({ connection, doc }, content, author = null) {
+  // The connection's agent is in this process; its author is read as the change is
+  // committed, so changes still on their way are attributed to the latest author
+  connection.agent.custom.author = author;
+
+  if (!doc.type) {
+    await createDoc(doc, { content });
+    return;
+  }
+
+  // Only the changed characters, so edits being typed elsewhere in the field survive
+  const op = textChangeOp(doc.data.content || '', content);
+  if (op.length > 0) await submitOp(doc, op);
+}
+
+/**
+ * Change a page by submitting ops to its ShareDB documents, so live editors pick
+ * the change up and it merges with their edits. The file follows with the next flush.
+ * @param {string} sessionId - Session the page belongs to
+ * @param {string} filename - Page filename
+ * @param {object} pageData - New page data (title, definition, details, aliases, sections)
+ * @param {object|null} author - { userId, name } the change is attributed to
+ */
+export async function submitPageChanges(sessionId, filename, pageData, author = null) {
+  const connection = connect(author);
+  const sections = normalizeSections(pageData.sections);
+  const meta = getPageMeta({ ...pageData, sections });
+
+  const contents = {
+    definition: pageData.definition || '',
+    details: pageData.details || ''
+  };
+  sections.forEach(section => {
+    contents[`section-${section.id}`] = section.content;
+  });
+
+  try {
+    // Text documents first, so a flush in between never sees a section without its text
+    for (const suffix of getFieldDocSuffixes(sections)) {
+      const doc = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${suffix}`));
+      if (!doc.type) {
+        await createDoc(doc, { content: contents[suffix] });
+      } else {
+        const op = textChangeOp(doc.data.content || '', contents[suffix]);
+        if (op.length > 0) await submitOp(doc, op);
+      }
+    }
+
+    const metaDoc = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${META_FIELD}`));
+    if (!metaDoc.type) {
+      await createDoc(metaDoc, meta);
+    } else {
+      const op = metaChangeOp(metaDoc.data, meta);
+      if (op.length > 0) await submitOp(metaDoc, op);
+    }
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Delete a page's ShareDB documents, before its file is deleted or renamed, so a
+ * new page of the same name starts from its own file. Pending writes are dropped.
+ */
+export async function deletePageDocs(sessionId, filename) {
+  const key = `${sessionId}/${filename}`;
+  clearTimeout(pendingFlushes.get(key)?.timer);
+  pendingFlushes.delete(key);
+
+  const connection = connect();
+
+  try {
+    const meta = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${META_FIELD}`));
+    const suffixes = getFieldDocSuffixes(meta.data?.sections || []);
+
+    for (const suffix of suffixes) {
+      const doc = await fetchDoc(connection.get(COLLECTION, `${sessionId}/${filename}-${suffix}`));
+      if (doc.type) await deleteDoc(doc);
+    }
+    if (meta.type) await deleteDoc(meta);
+  } finally {
+    connection.close();
+  }
+}
+
+// Write a page's ShareDB documents to its file
+async function writePageFile(sessionId, filename, author) {
+  try {
+    const page = await readPage(sessionId, filename);
+
+    // Don't recreate a page that was deleted or renamed while someone still had it open
+    if (!page) {
+      console.log(`⏭️  Skipping save of ${filename}: page no longer exists`);
+      return false;
+    }
+
+    const before = await getWikiPage(filename, sessionId);
+    if (before && JSON.stringify(toRevisionData(before)) === JSON.stringify(toRevisionData(page))) {
+      return true;
+    }
+
+    if (!await saveWikiPage(filename, page, sessionId, author)) {
+      return false;
+    }
+    queuePageChange(sessionId, filename, before, page, author);
+    return true;
+  } catch (err) {
+    console.error(`Error writing ${filename} from ShareDB:`, err);
+    return false;
+  }
+}
+
+/**
+ * Write a page's pending edits to its file now, after any write already under way
+ * @returns {Promise<boolean>} Whether the file now matches the page's documents
+ */
+export function flushPage(sessionId, filename) {
+  const key = `${sessionId}/${filename}`;
+  const pending = pendingFlushes.get(key);
+  clearTimeout(pending?.timer);
+  pendingFlushes.delete(key);
+
+  const previous = flushQueues.get(key) || Promise.resolve();
+  const flush = previous.then(() => writePageFile(sessionId, filename, pending?.author || null));
+  flushQueues.set(key, flush);
+  flush.then(() => {
+    if (flushQueues.get(key) === flush) flushQueues.delete(key);
+  });
+
+  return flush;
+}
+
+/**
+ * Write a page to its file once its edits have settled (see PAGE_FLUSH_MS)
+ * @param {object|null} author - { userId, name } of the latest edit; the saved revision is theirs
+ */
+export function schedulePageFlush(sessionId, filename, author = null) {
+  const key = `${sessionId}/${filename}`;
+  let pending = pendingFlushes.get(key);
+
+  if (!pending) {
+    pending = { firstAt: Date.now(), timer: null };
+    pendingFlushes.set(key, pending);
+  }
+  pending.author = author;
+
+  clearTimeout(pending.timer);
+  const delay = Math.max(0, Math.min(PAGE_FLUSH_MS, pending.firstAt + PAGE_FLUSH_MAX_DELAY_MS - Date.now()));
+  pending.timer = setTimeout(() => flushPage(sessionId, filename), delay);
+}
+
+/**
+ * Change a page through its ShareDB documents and write it to its file.
+ * Pages that don't exist yet are created the same way.
+ * @returns {Promise<boolean>} Whether the page was saved
+ */
+export async function updatePage(sessionId, filename, pageData, author = null) {
+  await submitPageChanges(sessionId, filename, pageData, author);
+  return flushPage(sessionId, filename);
+}
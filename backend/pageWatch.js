@@ -0,0 +1,134 @@
+import { nanoid } from 'nanoid';
+import { getPageWatchers, createNotificationEvent } from './db.js';
+import { toRevisionData, diffPages } from './revisions.js';
+import { notifyUser } from './notificationEvents.js';
+import { processNotifications } from './notifications.js';
+
+// A page's changes are reported once nobody has edited it for this long, so a
+// burst of keystrokes becomes one notification...
+const WATCH_QUIET_MS = parseInt(process.env.WATCH_QUIET_MS || '60000', 10);
+// ...or once its first unreported change is this old, for pages edited nonstop
+const WATCH_MAX_DELAY_MS = parseInt(process.env.WATCH_MAX_DELAY_MS || '600000', 10);
+
+// Unreported changes per page: "sessionId/filename" ->
+// { sessionId, filename, before, after, authors: Set of userIds, firstAt, timer }
+// Changes still pending when the server stops are not reported.
+const pendingChanges = new Map();
+
+const TEXT_FIELDS = ['title', 'definition', 'details'];
+
+/**
+ * Short description of what changed between two versions of a page, e.g.
+ * 'definition, section "Usage" (+3 −1 lines)'
+ * @returns {string|null} null if nothing changed
+ */
+export function summarizePageChange(before, after) {
+  const diff = diffPages(before, after);
+  const parts = [];
+  let added = 0;
+  let removed = 0;
+
+  const countLines = (lines) => lines.forEach(line => {
+    if (line.type === 'add') added++;
+    else if (line.type === 'remove') removed++;
+  });
+
+  for (const field of TEXT_FIELDS) {
+    if (diff[field].changed) {
+      parts.push(field);
+      countLines(diff[field].lines);
+    }
+  }
+  if (diff.aliases.changed) {
+    parts.push('aliases');
+  }
+  diff.sections.sections
+    .filter(section => section.status !== 'unchanged')
+    .forEach(section => {
+      parts.push(section.status === 'changed'
+        ? `section "${section.title}"`
+        : `section "${section.title}" (${section.status})`);
+      countLines(section.lines);
+    });
+
+  if (parts.length === 0) {
+    return null;
+  }
+  return `${parts.join(', ')} (+${added} −${removed} lines)`;
+}
+
+// Tell everyone watching the page, except whoever made the changes
+async function reportChange(key) {
+  const change = pendingChanges.get(key);
+  pendingChanges.delete(key);
+  if (!change) return;
+
+  try {
+    const summary = summarizePageChange(change.before, change.after);
+    if (!summary) return;
+
+    const watchers = (await getPageWatchers(change.sessionId, change.filename))
+      .filter(userId => !change.authors.has(userId));
+    if (watchers.length === 0) return;
+
+    // The last author is named; the others are in the summary
+    const authorIds = [...change.authors];
+    const actorId = authorIds[authorIds.length - 1] || null;
+    const otherAuthors = authorIds.length > 1 ? ` (with ${authorIds.length - 1} other${authorIds.length > 2 ? 's' : ''})` : '';
+
+    for (const userId of watchers) {
+      const event = {
+        userId,
+        eventType: 'page_change',
+        sessionId: change.sessionId,
+        pageFilename: change.filename,
+        actorId,
+        summary: `Changed ${summary}${otherAuthors}`
+      };
+      await createNotificationEvent({ id: nanoid(16), ...event });
+      notifyUser(event);
+    }
+    console.log(`👁️  Reported change of ${change.filename} to ${watchers.length} watcher(s)`);
+
+    processNotifications();
+  } catch (err) {
+    console.error(`Error reporting change of ${change.filename}:`, err);
+  }
+}
+
+/**
+ * Queue a change to a page for the users watching it. Changes to the same page
+ * are combined until it has been quiet for WATCH_QUIET_MS.
+ * @param {string} sessionId - Session of the page
+ * @param {string} filename - Page filename
+ * @param {object} before - Page data before the change
+ * @param {object} after - Page data after the change
+ * @param {object|null} author - { userId, name } of whoever made the change
+ */
+export function queuePageChange(sessionId, filename, before, after, author = null) {
+  const key = `${sessionId}/${filename}`;
+  let change = pendingChanges.get(key);
+
+  if (!change) {
+    change = {
+      sessionId,
+      filename,
+      before: toRevisionData(before || {}),
+      authors: new Set(),
+      firstAt: Date.now(),
+      timer: null
+    };
+    pendingChanges.set(key, change);
+  }
+
+  change.after = toRevisionData(after || {});
+  if (author?.userId) {
+    // Re-inserting keeps the most recent author last
+    change.authors.delete(author.userId);
+    change.authors.add(author.userId);
+  }
+
+  clearTimeout(change.timer);
+  const delay = Math.max(0, Math.min(WATCH_QUIET_MS, change.firstAt + WATCH_MAX_DELAY_MS - Date.now()));
+  change.timer = setTimeout(() => reportChange(key), delay);
+}
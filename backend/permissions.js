@@ -0,0 +1,89 @@
+import { getSessionMemberRole } from './db.js';
+
+// Session roles from least to most privileged
+export const SESSION_ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Members removed by an owner keep this role so rejoining with the secret key
+// doesn't restore their access
+export const REMOVED_ROLE = 'removed';
+
+// How long a websocket connection trusts a role lookup before checking again
+const ROLE_CACHE_MS = 10 * 1000;
+
+/**
+ * Check whether a role grants at least the required role
+ */
+export function hasSessionRole(role, requiredRole) {
+  if (!role) return false;
+  return SESSION_ROLES.indexOf(role) >= SESSION_ROLES.indexOf(requiredRole);
+}
+
+export function isValidSessionRole(role) {
+  return SESSION_ROLES.includes(role);
+}
+
+/**
+ * The session a request is about. Wiki routes pass sessionId in the query, session
+ * routes in the path, /create in the body. A request naming different sessions in
+ * different places is refused, so a session the user belongs to can't stand in for
+ * the one the route acts on.
+ * @returns {string|undefined|null} null when the request names different sessions
+ */
+export function getRequestSessionId(req) {
+  const sessionIds = [req.query?.sessionId, req.params?.sessionId, req.body?.sessionId]
+    .filter(sessionId => sessionId !== undefined && sessionId !== null && sessionId !== '');
+
+  if (sessionIds.some(sessionId => sessionId !== sessionIds[0])) return null;
+  return sessionIds[0];
+}
+
+/**
+ * Middleware requiring the authenticated user to have at least a role in the session.
+ * Must run after verifyFirebaseToken. Sets req.sessionRole.
+ * @param {string} requiredRole - Minimum role
+ * @param {Function} getSessionId - Returns the request's sessionId (null to refuse it)
+ */
+export function requireSessionRole(requiredRole, getSessionId = getRequestSessionId) {
+  return async (req, res, next) => {
+    try {
+      const sessionId = getSessionId(req);
+      if (sessionId === null) {
+        return res.status(400).json({ error: 'The request names more than one sessionId' });
+      }
+      if (!sessionId) {
+        return res.status(400).json({ error: 'sessionId is required' });
+      }
+
+      const role = await getSessionMemberRole(sessionId, req.user.uid);
+      if (!hasSessionRole(role, requiredRole)) {
+        return res.status(403).json({
+          error: role && role !== REMOVED_ROLE
+            ? `This action requires the ${requiredRole} role (you are ${role})`
+            : 'You are not a member of this session'
+        });
+      }
+
+      req.sessionRole = role;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+/**
+ * Role lookup for long-lived websocket connections, cached per connection
+ * @param {Map} cache - Per-connection cache (sessionId -> { role, checkedAt })
+ */
+export async function getCachedSessionRole(cache, sessionId, userId) {
+  if (!userId) return null;
+
+  const cached = cache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < ROLE_CACHE_MS) {
+    return cached.role;
+  }
+
+  const role = await getSessionMemberRole(sessionId, userId);
+  cache.set(sessionId, { role, checkedAt: Date.now() });
+  return role;
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRequestSessionId, requireSessionRole } from './permissions.js';
+
+function makeRequest({ query = {}, params = {}, body } = {}) {
+  return { query, params, body, user: { uid: 'user-1' } };
+}
+
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('getRequestSessionId reads the sessionId from wherever the request passes it', () => {
+  assert.equal(getRequestSessionId(makeRequest({ query: { sessionId: 'a' } })), 'a');
+  assert.equal(getRequestSessionId(makeRequest({ params: { sessionId: 'a' } })), 'a');
+  assert.equal(getRequestSessionId(makeRequest({ body: { sessionId: 'a' } })), 'a');
+  assert.equal(getRequestSessionId(makeRequest({ query: { sessionId: 'a' }, body: { sessionId: 'a' } })), 'a');
+  assert.equal(getRequestSessionId(makeRequest()), undefined);
+});
+
+test('getRequestSessionId refuses requests naming different sessions', () => {
+  assert.equal(getRequestSessionId(makeRequest({ query: { sessionId: 'a' }, params: { sessionId: 'b' } })), null);
+  assert.equal(getRequestSessionId(makeRequest({ query: { sessionId: 'a' }, body: { sessionId: 'b' } })), null);
+  assert.equal(getRequestSessionId(makeRequest({ params: { sessionId: 'a' }, body: { sessionId: 'b' } })), null);
+});
+
+test('requireSessionRole rejects a mismatched sessionId before checking the role', async () => {
+  const cases = [
+    { query: { sessionId: 'member-session' }, params: { sessionId: 'other-session' } },
+    { query: { sessionId: 'member-session' }, body: { sessionId: 'other-session' } }
+  ];
+
+  for (const request of cases) {
+    const res = makeResponse();
+    let calledNext = false;
+
+    await requireSessionRole('owner')(makeRequest(request), res, () => {
+      calledNext = true;
+    });
+
+    assert.equal(calledNext, false);
+    assert.equal(res.statusCode, 400);
+  }
+});
@@ -0,0 +1,256 @@
+import WebSocket from 'ws';
+import { nanoid } from 'nanoid';
+import { admin } from './auth.js';
+import { getCachedSessionRole, hasSessionRole } from './permissions.js';
+import { parsePageDocId } from './wikiParser.js';
+
+// Clients connect to /presence (/ws/presence through the production proxy)
+const PRESENCE_PATHS = ['/presence', '/ws/presence'];
+
+// Changes in a room are batched and sent at most this often
+const PRESENCE_THROTTLE_MS = parseInt(process.env.PRESENCE_THROTTLE_MS || '100', 10);
+// Users who haven't done anything for this long are shown as away
+const PRESENCE_IDLE_MS = parseInt(process.env.PRESENCE_IDLE_MS || '120000', 10);
+// How often connections are pinged; one that hasn't answered the previous ping is dropped
+const PRESENCE_HEARTBEAT_MS = parseInt(process.env.PRESENCE_HEARTBEAT_MS || '30000', 10);
+
+// Rooms by key: "sessionId" for everyone in a session, with the page each is viewing,
+// and "sessionId/doc" for everyone editing one document, with their cursors.
+// key -> { members: Map of ws -> member, pending: Map of member id -> member (or
+// null once gone), timer }
+const rooms = new Map();
+
+// Joined connections: ws -> member
+// { id, roomKey, sessionId, userId, userName, color, filename, cursorPosition,
+//   selectionEnd, status, lastActiveAt, isAlive, sessionRoles }
+const members = new Map();
+
+let heartbeat = null;
+
+export function isPresenceUrl(url) {
+  return PRESENCE_PATHS.includes((url || '').split('?')[0]);
+}
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+// What other clients see of a member
+function toPresenceUser(member) {
+  const { id, userId, userName, color, filename, cursorPosition, selectionEnd, status } = member;
+  return { id, userId, userName, color, filename, cursorPosition, selectionEnd, status };
+}
+
+// Send a room's batched changes to its members, leaving out each member's own entry
+function flushRoom(roomKey) {
+  const room = rooms.get(roomKey);
+  if (!room) return;
+
+  room.timer = null;
+  const changes = [...room.pending];
+  room.pending.clear();
+
+  const updated = changes.filter(([, member]) => member).map(([, member]) => toPresenceUser(member));
+  const left = changes.filter(([, member]) => !member).map(([id]) => id);
+
+  for (const [ws, member] of room.members) {
+    send(ws, {
+      type: 'presence-delta',
+      updated: updated.filter(user => user.id !== member.id),
+      left
+    });
+  }
+
+  if (room.members.size === 0) {
+    rooms.delete(roomKey);
+  }
+}
+
+// Queue a change to a member for the rest of their room
+function queueChange(member, gone = false) {
+  const room = rooms.get(member.roomKey);
+  if (!room) return;
+
+  room.pending.set(member.id, gone ? null : member);
+  if (!room.timer) {
+    room.timer = setTimeout(() => flushRoom(member.roomKey), PRESENCE_THROTTLE_MS);
+  }
+}
+
+function leave(ws) {
+  const member = members.get(ws);
+  if (!member) return;
+
+  members.delete(ws);
+  rooms.get(member.roomKey)?.members.delete(ws);
+  queueChange(member, true);
+}
+
+// The member did something; bring them back if they were away
+function markActive(member) {
+  member.lastActiveAt = Date.now();
+  if (member.status !== 'active') {
+    member.status = 'active';
+    queueChange(member);
+  }
+}
+
+/**
+ * Join a connection to its room. The first message must be
+ * { type: 'join', token, sessionId, doc, filename, color } with a Firebase ID
+ * token of a session member. With a doc ("page.hml-definition") the connection
+ * joins that document's room and shares its cursor; without one it joins the
+ * session's room and shares the page it is viewing (filename, or null).
+ */
+async function join(ws, data) {
+  if (!data.token || !data.sessionId) {
+    send(ws, { type: 'error', error: 'token and sessionId are required' });
+    return;
+  }
+
+  let filename = data.filename || null;
+  if (data.doc) {
+    const docTarget = parsePageDocId(`${data.sessionId}/${data.doc}`);
+    if (!docTarget) {
+      send(ws, { type: 'error', error: 'Invalid document' });
+      return;
+    }
+    filename = docTarget.filename;
+  }
+
+  const decodedToken = await admin.auth().verifyIdToken(data.token);
+  const sessionRoles = new Map();
+  const role = await getCachedSessionRole(sessionRoles, data.sessionId, decodedToken.uid);
+  if (!hasSessionRole(role, 'viewer')) {
+    send(ws, { type: 'error', error: 'You are not a member of this session' });
+    return;
+  }
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  leave(ws);
+
+  const roomKey = data.doc ? `${data.sessionId}/${data.doc}` : data.sessionId;
+  if (!rooms.has(roomKey)) {
+    rooms.set(roomKey, { members: new Map(), pending: new Map(), timer: null });
+  }
+  const room = rooms.get(roomKey);
+
+  const member = {
+    id: nanoid(10),
+    roomKey,
+    sessionId: data.sessionId,
+    userId: decodedToken.uid,
+    userName: decodedToken.name || decodedToken.email,
+    color: data.color,
+    filename,
+    cursorPosition: data.cursorPosition || 0,
+    selectionEnd: data.selectionEnd || 0,
+    status: 'active',
+    lastActiveAt: Date.now(),
+    isAlive: true,
+    sessionRoles
+  };
+
+  // The newcomer gets everyone else at once, everyone else gets the newcomer
+  send(ws, { type: 'presence', users: [...room.members.values()].map(toPresenceUser) });
+  room.members.set(ws, member);
+  members.set(ws, member);
+  queueChange(member);
+}
+
+// Drop connections that stopped answering pings or lost access to the session,
+// and mark members who have been idle too long as away
+async function checkMembers() {
+  const now = Date.now();
+
+  for (const [ws, member] of members) {
+    if (!member.isAlive) {
+      console.log(`👥 Dropping unresponsive presence client of ${member.userId}`);
+      leave(ws);
+      ws.terminate();
+      continue;
+    }
+    member.isAlive = false;
+    if (ws.readyState === WebSocket.OPEN) ws.ping();
+
+    if (member.status === 'active' && now - member.lastActiveAt > PRESENCE_IDLE_MS) {
+      member.status = 'away';
+      queueChange(member);
+    }
+
+    try {
+      const role = await getCachedSessionRole(member.sessionRoles, member.sessionId, member.userId);
+      if (!hasSessionRole(role, 'viewer') && members.get(ws) === member) {
+        leave(ws);
+        send(ws, { type: 'error', error: 'You are no longer a member of this session' });
+      }
+    } catch (err) {
+      console.error('Error checking presence access:', err);
+    }
+  }
+}
+
+/**
+ * Handle a presence websocket. After joining (see join()), the client sends
+ * { type: 'cursor-update', cursorPosition, selectionEnd } in a document room,
+ * { type: 'view', filename } in a session room, { type: 'activity' } while the
+ * user is active and { type: 'away' } when they leave the tab. It receives
+ * { type: 'presence', users } once and then { type: 'presence-delta', updated, left }
+ * with the users who changed and the ids of those who left.
+ */
+export function setupPresenceConnection(ws) {
+  console.log('👥 Presence client connected');
+
+  if (!heartbeat) {
+    heartbeat = setInterval(checkMembers, PRESENCE_HEARTBEAT_MS);
+  }
+
+  ws.on('pong', () => {
+    const member = members.get(ws);
+    if (member) member.isAlive = true;
+  });
+
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+
+      if (data.type === 'join') {
+        await join(ws, data);
+        return;
+      }
+
+      // Everything else only counts once the connection has joined a room
+      const member = members.get(ws);
+      if (!member) return;
+
+      if (data.type === 'cursor-update') {
+        member.cursorPosition = data.cursorPosition;
+        member.selectionEnd = data.selectionEnd;
+        markActive(member);
+        queueChange(member);
+      } else if (data.type === 'view') {
+        // Only session rooms follow the viewed page; a document stays on its page
+        if (member.roomKey === member.sessionId) {
+          member.filename = data.filename || null;
+          queueChange(member);
+        }
+        markActive(member);
+      } else if (data.type === 'activity') {
+        markActive(member);
+      } else if (data.type === 'away' && member.status !== 'away') {
+        member.status = 'away';
+        queueChange(member);
+      }
+    } catch (err) {
+      console.error('Error handling presence message:', err);
+      send(ws, { type: 'error', error: 'Could not join presence' });
+    }
+  });
+
+  ws.on('close', () => {
+    console.log('👥 Presence client disconnected');
+    leave(ws);
+  });
+}
@@ -0,0 +1,182 @@
+import {
+  insertPageRevision,
+  updatePageRevisionData,
+  getLatestPageRevision
+} from './db.js';
+
+// Consecutive saves by the same author within this window are folded into a
+// single revision, so autosave and per-keystroke ShareDB writes don't flood
+// the history with one entry per character.
+const REVISION_COALESCE_MS = 5 * 60 * 1000;
+
+// Above this many line pairs the line diff falls back to "all removed, all added"
+const MAX_DIFF_CELLS = 1000000;
+
+const TEXT_FIELDS = ['title', 'definition', 'details'];
+
+/**
+ * Normalize page data into the shape stored in a revision
+ */
+export function toRevisionData(pageData) {
+  return {
+    title: pageData.title || '',
+    definition: pageData.definition || '',
+    details: pageData.details || '',
+    aliases: pageData.aliases || [],
+    sections: (pageData.sections || []).map(section => ({
+      ...(section.id ? { id: section.id } : {}),
+      title: section.title || '',
+      content: section.content || ''
+    }))
+  };
+}
+
+function revisionDataEqual(a, b) {
+  return TEXT_FIELDS.every(field => a[field] === b[field]) &&
+    JSON.stringify(a.aliases) === JSON.stringify(b.aliases) &&
+    JSON.stringify(a.sections) === JSON.stringify(b.sections);
+}
+
+/**
+ * Record a save of a page as a revision
+ * @param {string} sessionId - Session the page belongs to
+ * @param {string} filename - Page filename
+ * @param {object} pageData - Saved page data (title, definition, details, aliases, sections)
+ * @param {object|null} author - { userId, name } of whoever made the change
+ */
+export async function recordRevision(sessionId, filename, pageData, author = null) {
+  const data = toRevisionData(pageData);
+  const authorUserId = author?.userId || null;
+  const authorName = author?.name || null;
+
+  const latest = await getLatestPageRevision(sessionId, filename);
+
+  if (latest) {
+    // Nothing changed since the last revision
+    if (revisionDataEqual(toRevisionData(latest.data), data)) {
+      return latest;
+    }
+
+    const sameAuthor = latest.authorUserId === authorUserId && latest.authorName === authorName;
+    if (sameAuthor && Date.now() - latest.updatedAt < REVISION_COALESCE_MS) {
+      await updatePageRevisionData(latest.id, data);
+      return { ...latest, data, updatedAt: Date.now() };
+    }
+  }
+
+  return insertPageRevision(sessionId, filename, data, authorUserId, authorName);
+}
+
+/**
+ * Line-based diff of two strings using a longest common subsequence table
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>}
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'remove', text })),
+      ...b.map(text => ({ type: 'add', text }))
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'remove', text: a[i++] });
+    } else {
+      result.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) result.push({ type: 'add', text: b[j++] });
+
+  return result;
+}
+
+// Sections are matched by id so renames show up as such; revisions recorded
+// before sections had ids fall back to matching by title
+function sectionKey(section) {
+  return section.id || `title:${section.title}`;
+}
+
+function diffSections(oldSections, newSections) {
+  const oldByKey = new Map(oldSections.map(s => [sectionKey(s), s]));
+  const newKeys = new Set(newSections.map(sectionKey));
+
+  const changes = newSections.map(section => {
+    const previous = oldByKey.get(sectionKey(section));
+    if (!previous) {
+      return { title: section.title, status: 'added', lines: diffLines('', section.content) };
+    }
+
+    const change = {
+      title: section.title,
+      status: previous.content === section.content ? 'unchanged' : 'changed',
+      lines: diffLines(previous.content, section.content)
+    };
+    if (previous.title !== section.title) {
+      change.previousTitle = previous.title;
+      if (change.status === 'unchanged') change.status = 'renamed';
+    }
+    return change;
+  });
+
+  oldSections
+    .filter(section => !newKeys.has(sectionKey(section)))
+    .forEach(section => {
+      changes.push({ title: section.title, status: 'removed', lines: diffLines(section.content, '') });
+    });
+
+  return changes;
+}
+
+/**
+ * Field-level diff between two versions of a page
+ * @param {object} from - Older page data
+ * @param {object} to - Newer page data
+ */
+export function diffPages(from, to) {
+  const a = toRevisionData(from || {});
+  const b = toRevisionData(to || {});
+
+  const fields = {};
+  for (const field of TEXT_FIELDS) {
+    fields[field] = {
+      changed: a[field] !== b[field],
+      lines: diffLines(a[field], b[field])
+    };
+  }
+
+  fields.aliases = {
+    changed: JSON.stringify(a.aliases) !== JSON.stringify(b.aliases),
+    added: b.aliases.filter(alias => !a.aliases.includes(alias)),
+    removed: a.aliases.filter(alias => !b.aliases.includes(alias))
+  };
+
+  const sections = diffSections(a.sections, b.sections);
+  fields.sections = {
+    changed: JSON.stringify(a.sections) !== JSON.stringify(b.sections),
+    sections
+  };
+
+  return fields;
+}
@@ -3,26 +3,180 @@ import { nanoid } from 'nanoid';
 import {
   createComment,
   getCommentsByPage,
+  getCommentsBySession,
   updateComment,
   resolveComment,
   deleteComment,
   createMention,
   getUserByEmail,
-  getUserById
+  getCommentById,
+  getCommentEdits,
+  getSessionUsers,
+  updateCommentTask,
+  getAssignedComments,
+  createNotificationEvent,
+  addCommentReaction,
+  removeCommentReaction,
+  TASK_STATUSES,
+  REACTION_EMOJIS
 } from '../db.js';
 import { verifyFirebaseToken } from '../auth.js';
-import { sendMentionNotification } from '../notifications.js';
+import { requireSessionRole } from '../permissions.js';
+import { processNotifications } from '../notifications.js';
+import { isValidAnchorField } from '../commentAnchors.js';
+import { broadcastCommentEvent } from '../commentEvents.js';
+import { notifyUser } from '../notificationEvents.js';
 
 export const commentsRouter = express.Router();
 
+const DUE_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDueDate(dueDate) {
+  return dueDate === null || (typeof dueDate === 'string' && DUE_DATE_REGEX.test(dueDate) && !isNaN(Date.parse(dueDate)));
+}
+
 // All comment routes require authentication
 commentsRouter.use(verifyFirebaseToken);
 
+// Load the comment named in the path, so its session can be checked
+async function loadComment(req, res, next) {
+  try {
+    const comment = await getCommentById(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    req.comment = comment;
+    next();
+  } catch (err) {
+    console.error('Error loading comment:', err);
+    res.status(500).json({ error: 'Failed to load comment' });
+  }
+}
+
+const requireCommenterOnComment = [loadComment, requireSessionRole('commenter', req => req.comment.sessionId)];
+
+// Only the comment's author may change it; session owners may too, e.g. to moderate
+function requireCommentAuthorOrOwner(action) {
+  return (req, res, next) => {
+    if (req.comment.userId === req.user.uid || req.sessionRole === 'owner') {
+      return next();
+    }
+    res.status(403).json({ error: `Only the comment's author or a session owner can ${action} it` });
+  };
+}
+
+/**
+ * Get task comments across the caller's sessions
+ * GET /api/comments/assigned?userId=&sessionId=&pageFilename=&status=
+ * userId defaults to the caller ("my tasks"); "any" lists every assignee's tasks.
+ */
+commentsRouter.get('/assigned', async (req, res) => {
+  try {
+    const { userId, sessionId, pageFilename, status } = req.query;
+
+    if (status && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${TASK_STATUSES.join(', ')}` });
+    }
+
+    const tasks = await getAssignedComments({
+      viewerId: req.user.uid,
+      assigneeId: userId === 'any' ? null : userId || req.user.uid,
+      sessionId,
+      pageFilename,
+      status
+    });
+    res.json({ tasks });
+  } catch (err) {
+    console.error('Error fetching assigned comments:', err);
+    res.status(500).json({ error: 'Failed to fetch assigned comments' });
+  }
+});
+
+/**
+ * Group comments into threads (a top-level comment with its replies), most
+ * recently active first
+ */
+function toThreads(comments) {
+  const threads = new Map();
+  comments.forEach(comment => {
+    if (!comment.parentCommentId) {
+      threads.set(comment.id, { ...comment, replies: [], lastActivityAt: Number(comment.updatedAt) });
+    }
+  });
+  comments.forEach(comment => {
+    const thread = comment.parentCommentId && threads.get(comment.parentCommentId);
+    if (thread) {
+      thread.replies.push(comment);
+      thread.lastActivityAt = Math.max(thread.lastActivityAt, Number(comment.updatedAt));
+    }
+  });
+
+  return [...threads.values()].sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+}
+
+/**
+ * Keep the threads matching every given filter. Author, mention and text
+ * filters match if any comment in the thread does.
+ */
+function filterThreads(threads, { resolved, authorId, mentionedUserId, assigned, q }) {
+  const query = q ? q.trim().toLowerCase() : '';
+
+  return threads.filter(thread => {
+    const comments = [thread, ...thread.replies];
+
+    if (resolved !== undefined && thread.resolved !== (resolved === 'true')) return false;
+    if (authorId && !comments.some(c => c.userId === authorId)) return false;
+    if (mentionedUserId && !comments.some(c => c.mentionedUserIds.includes(mentionedUserId))) return false;
+    if (assigned !== undefined && comments.some(c => c.taskStatus) !== (assigned === 'true')) return false;
+    if (query && !comments.some(c =>
+      c.content.toLowerCase().includes(query) || (c.anchorText || '').toLowerCase().includes(query)
+    )) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Get comment threads across every page of a session
+ * GET /api/comments/session/:sessionId?resolved=&authorId=&mentionedUserId=&assigned=&q=
+ * resolved and assigned are "true" or "false"; q searches the comment text.
+ */
+commentsRouter.get('/session/:sessionId', requireSessionRole('viewer'), async (req, res) => {
+  try {
+    const { resolved, authorId, mentionedUserId, assigned, q } = req.query;
+
+    if (resolved !== undefined && resolved !== 'true' && resolved !== 'false') {
+      return res.status(400).json({ error: 'resolved must be true or false' });
+    }
+
+    const threads = toThreads(await getCommentsBySession(req.params.sessionId));
+    const matching = filterThreads(threads, { resolved, authorId, mentionedUserId, assigned, q });
+    res.json({ threads: matching, total: threads.length });
+  } catch (err) {
+    console.error('Error fetching session comments:', err);
+    res.status(500).json({ error: 'Failed to fetch session comments' });
+  }
+});
+
+/**
+ * Get the previous versions of an edited comment, newest first
+ * GET /api/comments/:commentId/history
+ */
+commentsRouter.get('/:commentId/history', loadComment, requireSessionRole('viewer', req => req.comment.sessionId), async (req, res) => {
+  try {
+    const edits = await getCommentEdits(req.params.commentId);
+    res.json({ edits });
+  } catch (err) {
+    console.error('Error fetching comment history:', err);
+    res.status(500).json({ error: 'Failed to fetch comment history' });
+  }
+});
+
 /**
  * Get all comments for a specific page
  * GET /api/comments/:sessionId/:pageFilename
  */
-commentsRouter.get('/:sessionId/:pageFilename', async (req, res) => {
+commentsRouter.get('/:sessionId/:pageFilename', requireSessionRole('viewer'), async (req, res) => {
   try {
     const { sessionId, pageFilename } = req.params;
     const comments = await getCommentsByPage(sessionId, pageFilename);
@@ -36,16 +190,40 @@ commentsRouter.get('/:sessionId/:pageFilename', async (req, res) => {
 /**
  * Create a new comment
  * POST /api/comments
- * Body: { sessionId, pageFilename, content, positionStart, positionEnd, parentCommentId?, mentions?, assigned? }
+ * Body: { sessionId, pageFilename, content, positionStart, positionEnd, parentCommentId?, mentions?, assigned?, dueDate?, anchorField?, anchorText? }
+ * An assigned comment becomes an open task for the mentioned users.
+ * With anchorField ("definition", "details" or "section-<id>") the comment is
+ * anchored to positionStart..positionEnd of that field; otherwise it is page-level.
  */
-commentsRouter.post('/', async (req, res) => {
+commentsRouter.post('/', requireSessionRole('commenter'), async (req, res) => {
   try {
-    const { sessionId, pageFilename, content, positionStart, positionEnd, parentCommentId, mentions, assigned } = req.body;
+    const { sessionId, pageFilename, content, positionStart, positionEnd, parentCommentId, mentions, assigned, dueDate, anchorField, anchorText } = req.body;
 
     if (!sessionId || !pageFilename || !content || positionStart === undefined || positionEnd === undefined) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (dueDate !== undefined && !isValidDueDate(dueDate)) {
+      return res.status(400).json({ error: 'dueDate must be a YYYY-MM-DD date' });
+    }
+
+    // Replies follow their thread's anchor rather than having their own
+    const isAnchored = Boolean(anchorField) && !parentCommentId;
+    if (isAnchored) {
+      if (!isValidAnchorField(anchorField)) {
+        return res.status(400).json({ error: 'anchorField must be definition, details or section-<id>' });
+      }
+      if (!Number.isInteger(positionStart) || !Number.isInteger(positionEnd) || positionStart < 0 || positionEnd <= positionStart) {
+        return res.status(400).json({ error: 'An anchored comment needs a non-empty text range' });
+      }
+    }
+
+    // A reply must stay in its thread's page, so nobody outside it hears of the reply
+    const parent = parentCommentId ? await getCommentById(parentCommentId) : null;
+    if (parentCommentId && (!parent || parent.sessionId !== sessionId || parent.pageFilename !== pageFilename)) {
+      return res.status(400).json({ error: 'parentCommentId must be a comment on the same page' });
+    }
+
     const commentId = nanoid(16);
     const userId = req.user.uid;
 
@@ -59,40 +237,23 @@ commentsRouter.post('/', async (req, res) => {
       positionStart,
       positionEnd,
       parentCommentId || null,
-      assigned || false
+      assigned || false,
+      isAnchored ? anchorField : null,
+      isAnchored ? anchorText || null : null
     );
 
-    // Process mentions if any
+    // Process mentions if any; an assigned comment is assigned to the mentioned users.
+    // Only session members can be mentioned, so nobody else is assigned or emailed the comment.
+    const assigneeIds = [];
     if (mentions && Array.isArray(mentions) && mentions.length > 0) {
+      const memberIds = new Set((await getSessionUsers(sessionId)).map(user => user.id));
       for (const mentionedEmail of mentions) {
         try {
           const mentionedUser = await getUserByEmail(mentionedEmail);
-          if (mentionedUser) {
+          if (mentionedUser && memberIds.has(mentionedUser.id)) {
             const mentionId = nanoid(16);
             await createMention(mentionId, commentId, mentionedUser.id);
-
-            // Only send email notification if comment is assigned
-            if (assigned) {
-              try {
-                const commenter = await getUserById(userId);
-                await sendMentionNotification({
-                  id: mentionId,
-                  commentId,
-                  mentionedUserId: mentionedUser.id,
-                  mentionedEmail: mentionedUser.email,
-                  mentionedName: mentionedUser.displayName || mentionedUser.email,
-                  commenterEmail: commenter.email,
-                  commenterName: commenter.displayName || commenter.email,
-                  commentContent: content,
-                  sessionId,
-                  pageFilename
-                });
-                console.log(`📧 Sent assignment email to ${mentionedEmail}`);
-              } catch (emailErr) {
-                console.error(`Failed to send email notification for ${mentionedEmail}:`, emailErr);
-                // Don't fail the request if email fails
-              }
-            }
+            assigneeIds.push(mentionedUser.id);
           }
         } catch (err) {
           console.error(`Error creating mention for ${mentionedEmail}:`, err);
@@ -100,13 +261,50 @@ commentsRouter.post('/', async (req, res) => {
       }
     }
 
-    res.json({
-      comment: {
-        ...comment,
-        userEmail: req.user.email,
-        userDisplayName: req.user.displayName
+    // Notify the mentioned users, and the author of the comment being replied
+    // to unless they were mentioned anyway
+    const recipients = assigneeIds.map(id => ({ userId: id, eventType: assigned ? 'assignment' : 'mention' }));
+    if (parent) {
+      try {
+        if (parent.userId !== userId && !assigneeIds.includes(parent.userId)) {
+          await createNotificationEvent({
+            id: nanoid(16),
+            userId: parent.userId,
+            eventType: 'reply',
+            sessionId,
+            pageFilename,
+            commentId,
+            actorId: userId,
+            summary: content
+          });
+          recipients.push({ userId: parent.userId, eventType: 'reply' });
+        }
+      } catch (err) {
+        console.error('Error creating reply notification:', err);
       }
-    });
+    }
+
+    recipients
+      .filter(recipient => recipient.userId !== userId)
+      .forEach(recipient => notifyUser({ ...recipient, sessionId, pageFilename, commentId, actorId: userId, summary: content }));
+
+    // Mentions, assignments and replies are emailed as each user prefers
+    processNotifications();
+
+    const task = assigned
+      ? await updateCommentTask(commentId, { status: 'open', dueDate: dueDate || null, assigneeIds })
+      : { taskStatus: null, dueDate: null, assignees: [] };
+
+    const createdComment = {
+      ...comment,
+      ...task,
+      reactions: [],
+      userEmail: req.user.email,
+      userDisplayName: req.user.displayName
+    };
+
+    broadcastCommentEvent(sessionId, pageFilename, 'created', createdComment, userId);
+    res.json({ comment: createdComment });
   } catch (err) {
     console.error('Error creating comment:', err);
     res.status(500).json({ error: 'Failed to create comment' });
@@ -114,11 +312,12 @@ commentsRouter.post('/', async (req, res) => {
 });
 
 /**
- * Update a comment
+ * Update a comment (author or session owner). The previous content is kept
+ * in the comment's edit history.
  * PUT /api/comments/:commentId
  * Body: { content }
  */
-commentsRouter.put('/:commentId', async (req, res) => {
+commentsRouter.put('/:commentId', requireCommenterOnComment, requireCommentAuthorOrOwner('edit'), async (req, res) => {
   try {
     const { commentId } = req.params;
     const { content } = req.body;
@@ -127,8 +326,13 @@ commentsRouter.put('/:commentId', async (req, res) => {
       return res.status(400).json({ error: 'Content is required' });
     }
     
-    await updateComment(commentId, content);
-    res.json({ success: true });
+    if (content === req.comment.content) {
+      return res.json({ success: true, updatedAt: req.comment.updatedAt });
+    }
+
+    const updatedAt = await updateComment(commentId, content, req.user.uid);
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'updated', { id: commentId, content, updatedAt, edited: true }, req.user.uid);
+    res.json({ success: true, updatedAt });
   } catch (err) {
     console.error('Error updating comment:', err);
     res.status(500).json({ error: 'Failed to update comment' });
@@ -136,11 +340,91 @@ commentsRouter.put('/:commentId', async (req, res) => {
 });
 
 /**
- * Resolve/unresolve a comment
+ * Change a task: its status, due date or assignees (any member who can comment).
+ * Assigning a plain comment makes it an open task; removing every assignee
+ * makes it a plain comment again.
+ * PATCH /api/comments/:commentId/task
+ * Body: { status?, dueDate? (YYYY-MM-DD or null), assigneeIds? }
+ */
+commentsRouter.patch('/:commentId/task', requireCommenterOnComment, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { status, dueDate, assigneeIds } = req.body;
+
+    if (status !== undefined && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${TASK_STATUSES.join(', ')}` });
+    }
+    if (dueDate !== undefined && !isValidDueDate(dueDate)) {
+      return res.status(400).json({ error: 'dueDate must be a YYYY-MM-DD date or null' });
+    }
+    if (assigneeIds !== undefined) {
+      if (!Array.isArray(assigneeIds) || assigneeIds.some(id => typeof id !== 'string')) {
+        return res.status(400).json({ error: 'assigneeIds must be an array of user IDs' });
+      }
+      const memberIds = new Set((await getSessionUsers(req.comment.sessionId)).map(user => user.id));
+      const outsiders = assigneeIds.filter(id => !memberIds.has(id));
+      if (outsiders.length > 0) {
+        return res.status(400).json({ error: 'Tasks can only be assigned to session members' });
+      }
+    }
+    if (status !== undefined && assigneeIds === undefined && !req.comment.assigned) {
+      return res.status(400).json({ error: 'Assign the comment to someone before setting its status' });
+    }
+
+    const task = await updateCommentTask(commentId, { status, dueDate, assigneeIds });
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'updated', { id: commentId, ...task }, req.user.uid);
+    res.json({ success: true, task });
+  } catch (err) {
+    console.error('Error updating task:', err);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+/**
+ * React to a comment with an emoji (any member who can comment)
+ * POST /api/comments/:commentId/reactions
+ * Body: { emoji }
+ */
+commentsRouter.post('/:commentId/reactions', requireCommenterOnComment, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { emoji } = req.body;
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return res.status(400).json({ error: `emoji must be one of ${REACTION_EMOJIS.join(' ')}` });
+    }
+
+    const reactions = await addCommentReaction(commentId, req.user.uid, emoji);
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'updated', { id: commentId, reactions }, req.user.uid);
+    res.json({ success: true, reactions });
+  } catch (err) {
+    console.error('Error adding reaction:', err);
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+});
+
+/**
+ * Take back your reaction to a comment
+ * DELETE /api/comments/:commentId/reactions/:emoji
+ */
+commentsRouter.delete('/:commentId/reactions/:emoji', requireCommenterOnComment, async (req, res) => {
+  try {
+    const { commentId, emoji } = req.params;
+    const reactions = await removeCommentReaction(commentId, req.user.uid, emoji);
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'updated', { id: commentId, reactions }, req.user.uid);
+    res.json({ success: true, reactions });
+  } catch (err) {
+    console.error('Error removing reaction:', err);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
+/**
+ * Resolve/unresolve a comment (any member who can comment)
  * PATCH /api/comments/:commentId/resolve
  * Body: { resolved }
  */
-commentsRouter.patch('/:commentId/resolve', async (req, res) => {
+commentsRouter.patch('/:commentId/resolve', requireCommenterOnComment, async (req, res) => {
   try {
     const { commentId } = req.params;
     const { resolved } = req.body;
@@ -150,6 +434,7 @@ commentsRouter.patch('/:commentId/resolve', async (req, res) => {
     }
     
     await resolveComment(commentId, resolved);
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'updated', { id: commentId, resolved }, req.user.uid);
     res.json({ success: true });
   } catch (err) {
     console.error('Error resolving comment:', err);
@@ -158,13 +443,14 @@ commentsRouter.patch('/:commentId/resolve', async (req, res) => {
 });
 
 /**
- * Delete a comment
+ * Delete a comment (author or session owner)
  * DELETE /api/comments/:commentId
  */
-commentsRouter.delete('/:commentId', async (req, res) => {
+commentsRouter.delete('/:commentId', requireCommenterOnComment, requireCommentAuthorOrOwner('delete'), async (req, res) => {
   try {
     const { commentId } = req.params;
     await deleteComment(commentId);
+    broadcastCommentEvent(req.comment.sessionId, req.comment.pageFilename, 'deleted', { id: commentId }, req.user.uid);
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting comment:', err);
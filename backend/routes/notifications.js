@@ -0,0 +1,59 @@
+import express from 'express';
+import { getNotifications, markNotificationsRead } from '../db.js';
+import { verifyFirebaseToken } from '../auth.js';
+import { pushToUser } from '../notificationEvents.js';
+
+export const notificationsRouter = express.Router();
+
+// All notification routes require authentication
+notificationsRouter.use(verifyFirebaseToken);
+
+/**
+ * Get the current user's notifications, newest first
+ * GET /api/notifications?unread=true&limit=50
+ */
+notificationsRouter.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const result = await getNotifications(req.user.uid, {
+      unreadOnly: req.query.unread === 'true',
+      limit
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * Mark every notification read
+ * POST /api/notifications/read-all
+ */
+notificationsRouter.post('/read-all', async (req, res) => {
+  try {
+    await markNotificationsRead(req.user.uid);
+    pushToUser(req.user.uid, { type: 'notifications-read', ids: null });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+/**
+ * Mark a notification read
+ * POST /api/notifications/:notificationId/read
+ */
+notificationsRouter.post('/:notificationId/read', async (req, res) => {
+  try {
+    const ids = await markNotificationsRead(req.user.uid, [req.params.notificationId]);
+    if (ids.length > 0) {
+      pushToUser(req.user.uid, { type: 'notifications-read', ids });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error marking notification read:', err);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
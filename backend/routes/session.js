@@ -7,8 +7,19 @@ import {
   getAllSessions,
   deleteSession
 } from '../sessionManager.js';
-import { getSessionBySecretKey, getUserSessions, addSessionMember, getSessionFromDB, getSessionUsers } from '../db.js';
+import {
+  getSessionBySecretKey,
+  getUserSessions,
+  addSessionMember,
+  getSessionFromDB,
+  getSessionUsers,
+  getSessionMembers,
+  updateSessionMemberRole,
+  removeSessionMember,
+  getSessionMemberRole
+} from '../db.js';
 import { optionalAuth, verifyFirebaseToken } from '../auth.js';
+import { requireSessionRole, isValidSessionRole, REMOVED_ROLE } from '../permissions.js';
 
 export const sessionRouter = express.Router();
 
@@ -35,6 +46,66 @@ sessionRouter.get('/:sessionId/users', verifyFirebaseToken, async (req, res) =>
   }
 });
 
+// Get the members of a session with their roles, and the requester's own role
+sessionRouter.get('/:sessionId/members', verifyFirebaseToken, requireSessionRole('viewer'), async (req, res) => {
+  try {
+    const members = await getSessionMembers(req.params.sessionId);
+    res.json({ members, role: req.sessionRole });
+  } catch (err) {
+    console.error('Error fetching session members:', err);
+    res.status(500).json({ error: 'Failed to fetch session members' });
+  }
+});
+
+// Change a member's role (owners only); restores access for removed members
+sessionRouter.put('/:sessionId/members/:userId', verifyFirebaseToken, requireSessionRole('owner'), async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidSessionRole(role)) {
+      return res.status(400).json({ error: 'role must be one of owner, editor, commenter, viewer' });
+    }
+
+    const session = await getSessionFromDB(sessionId);
+    if (session?.creatorUserId === userId) {
+      return res.status(400).json({ error: 'The session creator is always an owner' });
+    }
+
+    const updated = await updateSessionMemberRole(sessionId, userId, role);
+    if (!updated) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ success: true, role });
+  } catch (err) {
+    console.error('Error updating member role:', err);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+// Remove a member from a session (owners only)
+sessionRouter.delete('/:sessionId/members/:userId', verifyFirebaseToken, requireSessionRole('owner'), async (req, res) => {
+  try {
+    const { sessionId, userId } = req.params;
+
+    const session = await getSessionFromDB(sessionId);
+    if (session?.creatorUserId === userId) {
+      return res.status(400).json({ error: 'The session creator cannot be removed' });
+    }
+
+    const removed = await removeSessionMember(sessionId, userId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing member:', err);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
 // Create a new session
 sessionRouter.post('/create', optionalAuth, async (req, res) => {
   const { username } = req.body;
@@ -54,7 +125,7 @@ sessionRouter.post('/create', optionalAuth, async (req, res) => {
     // Track session membership for authenticated users
     if (req.user?.uid) {
       try {
-        await addSessionMember(sessionId, req.user.uid);
+        await addSessionMember(sessionId, req.user.uid, 'owner');
       } catch (err) {
         console.error('Error tracking session membership:', err);
         // Don't fail the creation if tracking fails
@@ -103,6 +174,11 @@ sessionRouter.post('/join', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Invalid secret key' });
     }
 
+    // Members removed by an owner can't rejoin with the secret key
+    if (req.user?.uid && await getSessionMemberRole(session.id, req.user.uid) === REMOVED_ROLE) {
+      return res.status(403).json({ error: 'You have been removed from this session' });
+    }
+
     const userId = req.user?.uid || nanoid(8); // Use Firebase UID if authenticated
     addUserToSession(session.id, userId, username);
 
@@ -1,5 +1,11 @@
 import express from 'express';
-import { pool } from '../db.js';
+import {
+  pool,
+  getNotificationPreferences,
+  setNotificationPreferences,
+  NOTIFICATION_EVENT_TYPES,
+  NOTIFICATION_DELIVERIES
+} from '../db.js';
 import { verifyFirebaseToken } from '../auth.js';
 
 export const usersRouter = express.Router();
@@ -67,3 +73,46 @@ usersRouter.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * Get how the current user wants to be notified of each kind of event
+ * GET /api/users/me/notification-preferences
+ */
+usersRouter.get('/me/notification-preferences', async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences([req.user.uid]);
+    res.json({ preferences: preferences.get(req.user.uid) });
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+/**
+ * Change how the current user is notified
+ * PUT /api/users/me/notification-preferences
+ * Body: { preferences: { mention?, assignment?, reply?, page_change? } } each "instant", "digest" or "off"
+ */
+usersRouter.put('/me/notification-preferences', async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object') {
+      return res.status(400).json({ error: 'preferences is required' });
+    }
+    for (const [eventType, delivery] of Object.entries(preferences)) {
+      if (!NOTIFICATION_EVENT_TYPES.includes(eventType)) {
+        return res.status(400).json({ error: `Unknown event type ${eventType}` });
+      }
+      if (!NOTIFICATION_DELIVERIES.includes(delivery)) {
+        return res.status(400).json({ error: `${eventType} must be one of ${NOTIFICATION_DELIVERIES.join(', ')}` });
+      }
+    }
+
+    await setNotificationPreferences(req.user.uid, preferences);
+    const updated = await getNotificationPreferences([req.user.uid]);
+    res.json({ preferences: updated.get(req.user.uid) });
+  } catch (err) {
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
@@ -3,13 +3,16 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import archiver from 'archiver';
+import AdmZip from 'adm-zip';
 import yaml from 'js-yaml';
 import {
   getAllWikiPages,
   getWikiPage,
-  saveWikiPage,
+  parseWikiPage,
   getPageLinks,
+  getPageBacklinks,
   findPageByTitle,
+  rewritePageLinks,
   deleteWikiPage,
   getSessionDirectory
 } from '../wikiParser.js';
@@ -18,14 +21,170 @@ import {
   removePageTag,
   getPageTags,
   getAllTagsForSession,
-  setPageTags
+  setPageTags,
+  getPageRevisions,
+  getPageRevision,
+  getPreviousPageRevision,
+  renamePageRecords,
+  addWatch,
+  removeWatch,
+  getUserWatches,
+  WATCH_TARGET_TYPES
 } from '../db.js';
+import { verifyFirebaseToken } from '../auth.js';
+import { requireSessionRole } from '../permissions.js';
+import { diffPages } from '../revisions.js';
+import { getBrokenLinks } from '../linkAudit.js';
+import {
+  isMarkdownFile,
+  toMarkdownFilename,
+  pageToMarkdown,
+  markdownToPage,
+  resolveMarkdownLinks
+} from '../markdown.js';
+import { buildStaticSite } from '../siteExport.js';
+import {
+  updatePage,
+  flushPage,
+  readPage,
+  deletePageDocs,
+  readSessionPages
+} from '../pageStore.js';
+import {
+  searchPages,
+  ensureSessionIndexed,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT
+} from '../searchIndex.js';
 
 export const wikiRouter = express.Router();
 
 // Configure multer for file uploads - store in temp directory first
 const upload = multer({ dest: '/tmp/wiki-uploads' });
 
+// Reading needs session membership (any role); changing pages needs the editor role
+const requireEditor = [verifyFirebaseToken, requireSessionRole('editor')];
+const requireViewer = [verifyFirebaseToken, requireSessionRole('viewer')];
+
+// Build the revision author for an authenticated request
+function getRequestAuthor(req) {
+  if (!req.user) return null;
+  return { userId: req.user.uid, name: req.user.displayName };
+}
+
+// Look up a revision and make sure it belongs to the requested page
+async function findPageRevision(sessionId, filename, revisionId) {
+  const revision = await getPageRevision(parseInt(revisionId, 10));
+  if (!revision || revision.sessionId !== sessionId || revision.filename !== filename) {
+    return null;
+  }
+  return revision;
+}
+
+// Turn a page title into an unused .hml filename
+function toPageFilename(title, pages) {
+  const base = title.toLowerCase().trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'page';
+
+  let filename = `${base}.hml`;
+  for (let n = 2; pages.some(page => page.filename === filename); n++) {
+    filename = `${base}-${n}.hml`;
+  }
+  return filename;
+}
+
+// A page as it is in ShareDB, including edits made since its file was read
+async function readLivePage(sessionId, page) {
+  return await readPage(sessionId, page.filename) || page;
+}
+
+/**
+ * Apply one broken link fix and update `pages` in place
+ * - create: add a stub page titled after the target
+ * - retarget: point the links at an existing page's title
+ * - alias: add the target as an alias of an existing page
+ * @returns {Promise<{filename, updatedPages}>} Page created or targeted, and pages whose file changed
+ */
+async function applyLinkFix(sessionId, pages, fix, author) {
+  const { target, action } = fix;
+
+  if (findPageByTitle(pages, target)) {
+    throw new Error(`"${target}" already resolves to a page`);
+  }
+
+  if (action === 'create') {
+    const filename = toPageFilename(target, pages);
+    const stub = { title: target, definition: '', details: '', aliases: [], sections: [] };
+    if (!await updatePage(sessionId, filename, stub, author)) {
+      throw new Error(`Failed to create ${filename}`);
+    }
+    pages.push({ ...stub, filename });
+    return { filename, updatedPages: [filename] };
+  }
+
+  const page = pages.find(p => p.filename === fix.filename);
+  if (!page) {
+    throw new Error(`Page ${fix.filename} not found`);
+  }
+
+  if (action === 'alias') {
+    const livePage = await readLivePage(sessionId, page);
+    const updated = { ...livePage, aliases: [...(page.aliases || []), target] };
+    if (!await updatePage(sessionId, page.filename, updated, author)) {
+      throw new Error(`Failed to update ${page.filename}`);
+    }
+    pages[pages.indexOf(page)] = updated;
+    return { filename: page.filename, updatedPages: [page.filename] };
+  }
+
+  if (action === 'retarget') {
+    const linksToTarget = (linkTarget) => linkTarget.toLowerCase() === target.toLowerCase();
+    const updatedPages = [];
+
+    for (const [idx, other] of pages.entries()) {
+      if (!rewritePageLinks(other, linksToTarget, page.title)) continue;
+
+      const updated = rewritePageLinks(await readLivePage(sessionId, other), linksToTarget, page.title);
+      if (!updated) continue;
+
+      if (await updatePage(sessionId, other.filename, updated, author)) {
+        pages[idx] = updated;
+        updatedPages.push(other.filename);
+      }
+    }
+    return { filename: page.filename, updatedPages };
+  }
+
+  throw new Error(`Unknown fix action "${action}"`);
+}
+
+// Read the Markdown files out of an uploaded .md file or ZIP archive
+async function readMarkdownUpload(file) {
+  if (/\.zip$/i.test(file.originalname)) {
+    const zip = new AdmZip(file.path);
+    return zip.getEntries()
+      .filter(entry => !entry.isDirectory && isMarkdownFile(entry.entryName))
+      // Skip hidden files and macOS resource forks
+      .filter(entry => !entry.entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+      .map(entry => ({
+        name: path.posix.basename(entry.entryName),
+        source: `${file.originalname}/${entry.entryName}`,
+        content: entry.getData().toString('utf-8')
+      }));
+  }
+
+  if (isMarkdownFile(file.originalname)) {
+    return [{
+      name: path.basename(file.originalname),
+      source: file.originalname,
+      content: await fs.readFile(file.path, 'utf-8')
+    }];
+  }
+
+  throw new Error('Not a Markdown (.md) or ZIP file');
+}
+
 // Validate if a file is a valid HML (YAML) file
 async function validateHmlFile(filePath) {
   try {
@@ -43,7 +202,7 @@ async function validateHmlFile(filePath) {
 }
 
 // Get all wiki pages for a session
-wikiRouter.get('/pages', async (req, res) => {
+wikiRouter.get('/pages', requireViewer, async (req, res) => {
   try {
     const { sessionId } = req.query;
 
@@ -72,7 +231,7 @@ wikiRouter.get('/pages', async (req, res) => {
 });
 
 // Get a specific wiki page
-wikiRouter.get('/pages/:filename', async (req, res) => {
+wikiRouter.get('/pages/:filename', requireViewer, async (req, res) => {
   try {
     const { sessionId } = req.query;
 
@@ -99,8 +258,29 @@ wikiRouter.get('/pages/:filename', async (req, res) => {
   }
 });
 
+// List the pages that link to a page ("what links here")
+wikiRouter.get('/pages/:filename/backlinks', requireViewer, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { filename } = req.params;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const pages = await getAllWikiPages(sessionId);
+    if (!pages.some(page => page.filename === filename)) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    res.json({ backlinks: getPageBacklinks(pages, filename) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Find page by title (for wiki link resolution)
-wikiRouter.get('/find/:title', async (req, res) => {
+wikiRouter.get('/find/:title', requireViewer, async (req, res) => {
   try {
     const { sessionId } = req.query;
 
@@ -121,60 +301,114 @@ wikiRouter.get('/find/:title', async (req, res) => {
   }
 });
 
-// Search wiki pages
-wikiRouter.get('/search', async (req, res) => {
+// List every unresolved wiki link target in a session with the pages linking to it
+// and existing pages it probably meant
+wikiRouter.get('/links/broken', requireViewer, async (req, res) => {
   try {
-    const { sessionId, query } = req.query;
+    const { sessionId } = req.query;
 
     if (!sessionId) {
       return res.status(400).json({ error: 'sessionId is required' });
     }
 
-    if (!query) {
-      return res.json({ results: [] });
+    const pages = await getAllWikiPages(sessionId);
+    const brokenLinks = getBrokenLinks(pages);
+    const referenceCount = brokenLinks.reduce((count, link) => count + link.references.length, 0);
+
+    res.json({ brokenLinks, referenceCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Fix broken links in bulk
+// Body: { fixes: [{ target, action: 'create' | 'retarget' | 'alias', filename }] }
+// Fixes are applied in order; a failed fix doesn't stop the others
+wikiRouter.post('/links/fix', requireEditor, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { fixes } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
     }
 
-    const pages = await getAllWikiPages(sessionId);
-    const lowerQuery = query.toLowerCase();
+    if (!Array.isArray(fixes) || fixes.length === 0) {
+      return res.status(400).json({ error: 'fixes must be a non-empty array' });
+    }
 
-    // Score and filter pages based on relevance
-    const scoredPages = pages.map(page => {
-      let score = 0;
-      const title = page.title.toLowerCase();
-      const definition = (page.definition || '').toLowerCase();
-      const aliases = (page.aliases || []).map(a => a.toLowerCase());
+    // Pages are found from their files; the ones a fix changes are rewritten as they are in ShareDB
+    const pages = await readSessionPages(sessionId);
+    const author = getRequestAuthor(req);
+    const results = [];
+
+    for (const fix of fixes) {
+      try {
+        const result = await applyLinkFix(sessionId, pages, fix, author);
+        results.push({ target: fix.target, action: fix.action, success: true, ...result });
+      } catch (fixErr) {
+        results.push({ target: fix.target, action: fix.action, success: false, error: fixErr.message });
+      }
+    }
 
-      // Title matches (highest priority)
-      if (title === lowerQuery) score += 1000;
-      else if (title.startsWith(lowerQuery)) score += 500;
-      else if (title.includes(lowerQuery)) score += 100;
+    const fixed = results.filter(result => result.success).length;
+    console.log(`🔗 Fixed ${fixed} of ${fixes.length} broken link targets in session ${sessionId}`);
 
-      // Alias matches
-      if (aliases.some(a => a === lowerQuery)) score += 800;
-      else if (aliases.some(a => a.startsWith(lowerQuery))) score += 400;
-      else if (aliases.some(a => a.includes(lowerQuery))) score += 80;
+    res.json({ results, brokenLinks: getBrokenLinks(pages) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Definition matches (lower priority)
-      if (definition.includes(lowerQuery)) score += 50;
+// Full-text search over wiki pages (title, aliases, tags, definition, details, sections)
+// Supports "exact phrases", prefix* terms and -excluded terms; paginate with limit/offset
+wikiRouter.get('/search', requireViewer, async (req, res) => {
+  try {
+    const { sessionId, query } = req.query;
 
-      return { ...page, score };
-    });
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!query) {
+      return res.json({ results: [], total: 0, limit, offset });
+    }
+
+    await ensureSessionIndexed(sessionId, () => getAllWikiPages(sessionId));
+    const { results, total } = await searchPages(sessionId, query, { limit, offset });
+
+    res.json({ results, total, limit, offset });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Filter out pages with no matches and sort by score
-    const results = scoredPages
-      .filter(p => p.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10) // Limit to top 10 results
-      .map(({ score, ...page }) => page); // Remove score from response
+// Save a wiki page: the changes are submitted to its ShareDB documents, where
+// they merge with live edits, and the file is written from those
+wikiRouter.post('/pages/:filename', requireEditor, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
 
-    res.json({ results });
+    const success = await updatePage(sessionId, req.params.filename, req.body, getRequestAuthor(req));
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(500).json({ error: 'Failed to save page' });
+    }
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Save a wiki page
-wikiRouter.post('/pages/:filename', async (req, res) => {
+// Write a page's pending live edits to its file without waiting for them to settle
+wikiRouter.post('/pages/:filename/flush', requireEditor, async (req, res) => {
   try {
     const { sessionId } = req.query;
 
@@ -182,7 +416,7 @@ wikiRouter.post('/pages/:filename', async (req, res) => {
       return res.status(400).json({ error: 'sessionId is required' });
     }
 
-    const success = await saveWikiPage(req.params.filename, req.body, sessionId);
+    const success = await flushPage(sessionId, req.params.filename);
     if (success) {
       res.json({ success: true });
     } else {
@@ -193,8 +427,243 @@ wikiRouter.post('/pages/:filename', async (req, res) => {
   }
 });
 
+// List the revision history of a wiki page (newest first)
+wikiRouter.get('/pages/:filename/revisions', requireViewer, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { filename } = req.params;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const revisions = await getPageRevisions(sessionId, filename);
+    res.json({
+      revisions: revisions.map(({ data, ...revision }) => ({
+        ...revision,
+        title: data.title
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single revision of a wiki page
+wikiRouter.get('/pages/:filename/revisions/:revisionId', requireViewer, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { filename, revisionId } = req.params;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const revision = await findPageRevision(sessionId, filename, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Field-level diff of a revision against the previous revision (default),
+// the current page (compareTo=current) or another revision (compareTo=<revisionId>)
+wikiRouter.get('/pages/:filename/revisions/:revisionId/diff', requireViewer, async (req, res) => {
+  try {
+    const { sessionId, compareTo = 'previous' } = req.query;
+    const { filename, revisionId } = req.params;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const revision = await findPageRevision(sessionId, filename, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let from;
+    let to;
+    if (compareTo === 'previous') {
+      const previous = await getPreviousPageRevision(revision);
+      from = previous ? { id: previous.id, data: previous.data } : { id: null, data: {} };
+      to = { id: revision.id, data: revision.data };
+    } else if (compareTo === 'current') {
+      const page = await getWikiPage(filename, sessionId);
+      if (!page) {
+        return res.status(404).json({ error: 'Page not found' });
+      }
+      from = { id: revision.id, data: revision.data };
+      to = { id: 'current', data: page };
+    } else {
+      const other = await findPageRevision(sessionId, filename, compareTo);
+      if (!other) {
+        return res.status(404).json({ error: 'Revision to compare against not found' });
+      }
+      // Always diff from the older revision to the newer one
+      [from, to] = other.id < revision.id
+        ? [{ id: other.id, data: other.data }, { id: revision.id, data: revision.data }]
+        : [{ id: revision.id, data: revision.data }, { id: other.id, data: other.data }];
+    }
+
+    res.json({
+      from: from.id,
+      to: to.id,
+      diff: diffPages(from.data, to.data)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Restore a wiki page to the content of an earlier revision
+wikiRouter.post('/pages/:filename/revisions/:revisionId/restore', requireEditor, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { filename, revisionId } = req.params;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    const revision = await findPageRevision(sessionId, filename, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Restored through ShareDB, so live editors see the old content come back
+    const success = await updatePage(sessionId, filename, revision.data, getRequestAuthor(req));
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to restore page' });
+    }
+
+    const page = await getWikiPage(filename, sessionId);
+    res.json({ success: true, page });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a page: change its title and/or filename, move its tags, comments and
+// history, and point every link to the old title at the new one
+wikiRouter.post('/pages/:filename/rename', requireEditor, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const { filename } = req.params;
+    const { newTitle, newFilename, keepOldTitleAsAlias = false } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    if (!newTitle?.trim() && !newFilename?.trim()) {
+      return res.status(400).json({ error: 'newTitle or newFilename is required' });
+    }
+
+    // Pending edits are saved under their own author first. Pages are found from
+    // their files; the ones the rename changes are rewritten as they are in ShareDB
+    const pages = await readSessionPages(sessionId);
+    const filePage = pages.find(p => p.filename === filename);
+    if (!filePage) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+    const page = await readLivePage(sessionId, filePage);
+
+    // Ensure .hml extension
+    let targetFilename = filename;
+    if (newFilename?.trim()) {
+      targetFilename = newFilename.trim().endsWith('.hml') ? newFilename.trim() : newFilename.trim() + '.hml';
+    }
+    if (path.basename(targetFilename) !== targetFilename || targetFilename.startsWith('.')) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+    if (targetFilename !== filename && pages.some(p => p.filename === targetFilename)) {
+      return res.status(409).json({ error: `A page named ${targetFilename} already exists` });
+    }
+
+    const oldTitle = page.title;
+    const title = newTitle?.trim() || oldTitle;
+    const titleChanged = title !== oldTitle;
+    if (titleChanged) {
+      const existing = findPageByTitle(pages, title);
+      if (existing && existing.filename !== filename) {
+        return res.status(409).json({ error: `"${title}" is already used by ${existing.filename}` });
+      }
+    }
+
+    if (!titleChanged && targetFilename === filename) {
+      return res.json({ success: true, page, updatedPages: [] });
+    }
+
+    const author = getRequestAuthor(req);
+
+    // Links that reach the page through its title; links through an alias keep working
+    const linksToPage = (target) => titleChanged &&
+      target.toLowerCase() === oldTitle.toLowerCase() &&
+      findPageByTitle(pages, target)?.filename === filename;
+
+    const aliases = (page.aliases || []).filter(alias => alias.toLowerCase() !== title.toLowerCase());
+    if (keepOldTitleAsAlias && titleChanged && !aliases.some(alias => alias.toLowerCase() === oldTitle.toLowerCase())) {
+      aliases.push(oldTitle);
+    }
+    const renamedPage = {
+      ...(rewritePageLinks(page, linksToPage, title) || page),
+      title,
+      aliases
+    };
+
+    // Move the page's records first so the save below lands in its existing history
+    if (targetFilename !== filename) {
+      await renamePageRecords(sessionId, filename, targetFilename);
+    }
+
+    // A moved page is created under its new filename, and the old page's documents deleted
+    const success = await updatePage(sessionId, targetFilename, renamedPage, author);
+    if (!success) {
+      if (targetFilename !== filename) {
+        await renamePageRecords(sessionId, targetFilename, filename);
+      }
+      return res.status(500).json({ error: 'Failed to rename page' });
+    }
+
+    if (targetFilename !== filename) {
+      await deletePageDocs(sessionId, filename);
+      await deleteWikiPage(filename, sessionId);
+    }
+
+    // Rewrite inbound links through ShareDB, so live editors get the new text
+    const updatedPages = [];
+    for (const other of pages) {
+      if (other.filename === filename || !rewritePageLinks(other, linksToPage, title)) continue;
+
+      const updated = rewritePageLinks(await readLivePage(sessionId, other), linksToPage, title);
+      if (!updated) continue;
+
+      if (await updatePage(sessionId, other.filename, updated, author)) {
+        updatedPages.push(other.filename);
+      }
+    }
+
+    console.log(`✏️  Renamed ${filename} to ${targetFilename} ("${title}"), updated links in ${updatedPages.length} pages`);
+
+    const savedPage = await getWikiPage(targetFilename, sessionId);
+    const tags = await getPageTags(sessionId, targetFilename);
+    res.json({
+      success: true,
+      page: { ...savedPage, links: getPageLinks(savedPage), tags },
+      updatedPages
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Create a new wiki page
-wikiRouter.post('/create', async (req, res) => {
+wikiRouter.post('/create', requireEditor, async (req, res) => {
   try {
     const { sessionId, filename, title } = req.body;
 
@@ -204,6 +673,12 @@ wikiRouter.post('/create', async (req, res) => {
 
     // Ensure .hml extension
     const fullFilename = filename.endsWith('.hml') ? filename : filename + '.hml';
+    if (path.basename(fullFilename) !== fullFilename || fullFilename.startsWith('.')) {
+      return res.status(400).json({ error: 'Invalid filename' });
+    }
+    if (await getWikiPage(fullFilename, sessionId)) {
+      return res.status(409).json({ error: `A page named ${fullFilename} already exists` });
+    }
 
     // Create empty page
     const pageData = {
@@ -214,7 +689,7 @@ wikiRouter.post('/create', async (req, res) => {
       sections: []
     };
 
-    const success = await saveWikiPage(fullFilename, pageData, sessionId);
+    const success = await updatePage(sessionId, fullFilename, pageData, getRequestAuthor(req));
     if (success) {
       res.json({ success: true, filename: fullFilename });
     } else {
@@ -226,7 +701,7 @@ wikiRouter.post('/create', async (req, res) => {
 });
 
 // Upload wiki files
-wikiRouter.post('/upload', upload.array('files'), async (req, res) => {
+wikiRouter.post('/upload', requireEditor, upload.array('files'), async (req, res) => {
   try {
     const { sessionId } = req.query;
 
@@ -250,7 +725,7 @@ wikiRouter.post('/upload', upload.array('files'), async (req, res) => {
     const uploadedFiles = [];
     const failedFiles = [];
 
-    // Validate and move files
+    // Validate and save files
     for (const file of req.files) {
       const validation = await validateHmlFile(file.path);
 
@@ -260,13 +735,22 @@ wikiRouter.post('/upload', upload.array('files'), async (req, res) => {
           ? file.originalname
           : file.originalname + '.hml';
 
-        const destPath = path.join(sessionDirectory, filename);
-
-        // Copy file from temp to session directory (works across filesystems)
-        await fs.copyFile(file.path, destPath);
-        // Delete the temp file after successful copy
+        const content = await fs.readFile(file.path, 'utf-8');
         await fs.unlink(file.path).catch(() => {});
 
+        if (path.basename(filename) !== filename || filename.startsWith('.')) {
+          failedFiles.push({ filename: file.originalname, reason: 'Invalid filename' });
+          continue;
+        }
+
+        // The page is saved through ShareDB like any other change, so anyone editing
+        // a replaced page sees the upload and no pending write brings the old one back
+        const page = parseWikiPage(content, filename);
+        if (!await updatePage(sessionId, filename, page, getRequestAuthor(req))) {
+          failedFiles.push({ filename: file.originalname, reason: 'Failed to save page' });
+          continue;
+        }
+
         uploadedFiles.push({
           filename: filename,
           originalName: file.originalname,
@@ -295,8 +779,84 @@ wikiRouter.post('/upload', upload.array('files'), async (req, res) => {
   }
 });
 
+// Import Markdown pages from .md files, a folder of them, or ZIP archives.
+// Front matter title, aliases and tags map onto the page; ## headings become
+// details and sections; relative .md links become wiki:// links.
+wikiRouter.post('/import/markdown', requireEditor, upload.array('files'), async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const failedFiles = [];
+    const markdownFiles = [];
+
+    for (const file of req.files) {
+      try {
+        markdownFiles.push(...await readMarkdownUpload(file));
+      } catch (readErr) {
+        failedFiles.push({ filename: file.originalname, reason: readErr.message });
+      } finally {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+
+    // Parse every file before saving so links between imported pages resolve
+    const parsedPages = [];
+    for (const markdownFile of markdownFiles) {
+      try {
+        const page = markdownToPage(markdownFile.content, markdownFile.name);
+        if (page.filename.startsWith('.')) {
+          throw new Error('Invalid filename');
+        }
+        if (parsedPages.some(p => p.filename === page.filename)) {
+          throw new Error(`Another imported file is also named ${page.filename}`);
+        }
+        parsedPages.push({ ...page, source: markdownFile.source });
+      } catch (parseErr) {
+        failedFiles.push({ filename: markdownFile.source, reason: parseErr.message });
+      }
+    }
+
+    const existingPages = await getAllWikiPages(sessionId);
+    const author = getRequestAuthor(req);
+    const uploadedFiles = [];
+
+    for (const { filename, tags, source, ...pageData } of resolveMarkdownLinks(parsedPages, existingPages)) {
+      // Pages are saved through ShareDB, so anyone editing a replaced page sees the import
+      const saved = await updatePage(sessionId, filename, pageData, author);
+      if (!saved) {
+        failedFiles.push({ filename: source, reason: 'Failed to save page' });
+        continue;
+      }
+
+      await setPageTags(sessionId, filename, tags);
+
+      uploadedFiles.push({ filename, originalName: source, title: pageData.title, tags });
+    }
+
+    console.log(`📥 Imported ${uploadedFiles.length} Markdown pages into session ${sessionId}`);
+
+    res.json({
+      success: true,
+      uploaded: uploadedFiles,
+      failed: failedFiles,
+      uploadedCount: uploadedFiles.length,
+      failedCount: failedFiles.length
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Delete a wiki page
-wikiRouter.delete('/pages/:filename', async (req, res) => {
+wikiRouter.delete('/pages/:filename', requireEditor, async (req, res) => {
   try {
     const { sessionId } = req.query;
     const { filename } = req.params;
@@ -305,6 +865,9 @@ wikiRouter.delete('/pages/:filename', async (req, res) => {
       return res.status(400).json({ error: 'sessionId is required' });
     }
 
+    // Without its documents, editors still open on the page can't write it back
+    await deletePageDocs(sessionId, filename);
+
     const success = await deleteWikiPage(filename, sessionId);
     if (success) {
       res.json({ success: true });
@@ -317,9 +880,11 @@ wikiRouter.delete('/pages/:filename', async (req, res) => {
 });
 
 // Download all wiki pages as a ZIP file (with optional tag filtering)
-wikiRouter.get('/download', async (req, res) => {
+// format=markdown exports one .md per page instead of the raw .hml files,
+// format=html a static read-only site
+wikiRouter.get('/download', requireViewer, async (req, res) => {
   try {
-    const { sessionId, tags } = req.query;
+    const { sessionId, tags, format = 'hml' } = req.query;
 
     if (!sessionId) {
       return res.status(400).json({ error: 'sessionId is required' });
@@ -334,9 +899,14 @@ wikiRouter.get('/download', async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    if (!['hml', 'markdown', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be hml, markdown or html' });
+    }
+
     // Set response headers for ZIP download
+    const archiveName = format === 'hml' ? `wiki-${sessionId}.zip` : `wiki-${sessionId}-${format}.zip`;
     res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="wiki-${sessionId}.zip"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
 
     // Create ZIP archive
     const archive = archiver('zip', {
@@ -369,9 +939,29 @@ wikiRouter.get('/download', async (req, res) => {
     }
 
     // Add filtered files to archive
-    for (const file of hmlFiles) {
-      const filePath = path.join(sessionDirectory, file);
-      archive.file(filePath, { name: file });
+    if (format === 'markdown') {
+      // Only links to exported pages become .md links; the rest stay wiki:// links
+      const pages = (await getAllWikiPages(sessionId)).filter(page => hmlFiles.includes(page.filename));
+      for (const page of pages) {
+        const pageTags = await getPageTags(sessionId, page.filename);
+        archive.append(pageToMarkdown(page, pageTags, pages), { name: toMarkdownFilename(page.filename) });
+      }
+    } else if (format === 'html') {
+      const allPages = await getAllWikiPages(sessionId);
+      const pages = allPages.filter(page => hmlFiles.includes(page.filename));
+      const tagsByFilename = {};
+      for (const page of pages) {
+        tagsByFilename[page.filename] = await getPageTags(sessionId, page.filename);
+      }
+
+      for (const file of buildStaticSite(pages, tagsByFilename, allPages)) {
+        archive.append(file.content, { name: file.name });
+      }
+    } else {
+      for (const file of hmlFiles) {
+        const filePath = path.join(sessionDirectory, file);
+        archive.file(filePath, { name: file });
+      }
     }
 
     // Finalize the archive
@@ -383,7 +973,7 @@ wikiRouter.get('/download', async (req, res) => {
 });
 
 // Get tags for a specific page
-wikiRouter.get('/pages/:filename/tags', async (req, res) => {
+wikiRouter.get('/pages/:filename/tags', requireViewer, async (req, res) => {
   try {
     const { sessionId } = req.query;
     const { filename } = req.params;
@@ -400,7 +990,7 @@ wikiRouter.get('/pages/:filename/tags', async (req, res) => {
 });
 
 // Set tags for a specific page
-wikiRouter.post('/pages/:filename/tags', async (req, res) => {
+wikiRouter.post('/pages/:filename/tags', requireEditor, async (req, res) => {
   try {
     const { sessionId } = req.query;
     const { filename } = req.params;
@@ -421,8 +1011,45 @@ wikiRouter.post('/pages/:filename/tags', async (req, res) => {
   }
 });
 
+// Get the pages and tags the current user watches in a session
+wikiRouter.get('/watches', requireViewer, async (req, res) => {
+  try {
+    const watches = await getUserWatches(req.user.uid, req.query.sessionId);
+    res.json(watches);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Watch a page (by filename) or a tag, to be notified when it changes
+wikiRouter.put('/watches/:targetType/:target', requireViewer, async (req, res) => {
+  try {
+    const { targetType, target } = req.params;
+
+    if (!WATCH_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: `targetType must be one of ${WATCH_TARGET_TYPES.join(', ')}` });
+    }
+
+    await addWatch(req.user.uid, req.query.sessionId, targetType, target);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stop watching a page or tag
+wikiRouter.delete('/watches/:targetType/:target', requireViewer, async (req, res) => {
+  try {
+    const { targetType, target } = req.params;
+    await removeWatch(req.user.uid, req.query.sessionId, targetType, target);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get all tags for a session
-wikiRouter.get('/tags', async (req, res) => {
+wikiRouter.get('/tags', requireViewer, async (req, res) => {
   try {
     const { sessionId } = req.query;
 
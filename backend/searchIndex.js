@@ -0,0 +1,131 @@
+import {
+  upsertPageSearchEntry,
+  deletePageSearchEntry,
+  deleteStalePageSearchEntries,
+  searchPageEntries
+} from './db.js';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+// Sessions whose index has been reconciled with the files on disk since startup.
+// Maps sessionId -> reindex promise so concurrent first searches share the work.
+const indexedSessions = new Map();
+
+/**
+ * Flatten page data into the text columns of the search index
+ */
+function toSearchEntry(pageData) {
+  return {
+    title: pageData.title || '',
+    aliases: (pageData.aliases || []).join('\n'),
+    definition: pageData.definition || '',
+    details: pageData.details || '',
+    sections: (pageData.sections || [])
+      .map(section => [section.title, section.content].filter(Boolean).join('\n'))
+      .join('\n')
+  };
+}
+
+/**
+ * Add or update a page in the search index
+ */
+export async function indexPage(sessionId, filename, pageData) {
+  await upsertPageSearchEntry(sessionId, filename, toSearchEntry(pageData));
+}
+
+/**
+ * Remove a page from the search index
+ */
+export async function removePageFromIndex(sessionId, filename) {
+  await deletePageSearchEntry(sessionId, filename);
+}
+
+/**
+ * Rebuild a session's index from its pages, dropping entries for files that no longer exist
+ * @param {string} sessionId - Session to reindex
+ * @param {Array} pages - All pages of the session, as returned by getAllWikiPages
+ */
+export async function reindexSession(sessionId, pages) {
+  for (const page of pages) {
+    await indexPage(sessionId, page.filename, page);
+  }
+  const removed = await deleteStalePageSearchEntries(sessionId, pages.map(page => page.filename));
+  console.log(`🔎 Indexed ${pages.length} pages for session ${sessionId}${removed ? ` (${removed} stale removed)` : ''}`);
+}
+
+/**
+ * Make sure a session has been indexed since the server started. Saves keep the
+ * index current afterwards, but files written while the server was down are
+ * only picked up here.
+ * @param {string} sessionId - Session to check
+ * @param {Function} loadPages - Async function returning all pages of the session
+ */
+export async function ensureSessionIndexed(sessionId, loadPages) {
+  if (!indexedSessions.has(sessionId)) {
+    const indexing = (async () => reindexSession(sessionId, await loadPages()))();
+    indexedSessions.set(sessionId, indexing);
+    indexing.catch(() => indexedSessions.delete(sessionId));
+  }
+  await indexedSessions.get(sessionId);
+}
+
+// Quote a lexeme for to_tsquery, optionally as a prefix match
+function toLexeme(word, prefix = false) {
+  return `'${word}'${prefix ? ':*' : ''}`;
+}
+
+function toWords(text) {
+  return text.match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Turn a user's search input into a to_tsquery expression:
+ * - "exact phrase" matches the words next to each other
+ * - term* matches words starting with term
+ * - -term excludes pages containing term
+ * - the last plain term also matches as a prefix, so results follow typing
+ * @returns {string|null} tsquery text, or null if the input has no searchable words
+ */
+export function buildTsQuery(input) {
+  const tokens = [...(input || '').matchAll(/(-?)"([^"]*)"?|(-?)(\S+)/g)];
+  const terms = [];
+
+  tokens.forEach((token, idx) => {
+    const isPhrase = token[2] !== undefined;
+    const negate = (isPhrase ? token[1] : token[3]) === '-';
+    const text = isPhrase ? token[2] : token[4];
+    const words = toWords(text);
+    if (words.length === 0) return;
+
+    // A phrase still being typed has no closing quote yet
+    const isLast = idx === tokens.length - 1;
+    const isOpen = isLast && !negate && (!isPhrase || !token[0].endsWith('"'));
+    const prefix = isOpen || (!isPhrase && text.endsWith('*'));
+
+    const term = words
+      .map((word, wordIdx) => toLexeme(word, prefix && wordIdx === words.length - 1))
+      .join(' <-> ');
+
+    terms.push(negate ? `!(${term})` : words.length > 1 ? `(${term})` : term);
+  });
+
+  if (terms.length === 0) return null;
+  return terms.join(' & ');
+}
+
+/**
+ * Ranked full-text search over a session's pages
+ * @param {string} sessionId - Session to search
+ * @param {string} query - User's search input
+ * @param {object} options - { limit, offset }
+ * @returns {Promise<{results: Array, total: number}>}
+ */
+export async function searchPages(sessionId, query, { limit = DEFAULT_SEARCH_LIMIT, offset = 0 } = {}) {
+  const tsQuery = buildTsQuery(query);
+  if (!tsQuery) {
+    return { results: [], total: 0 };
+  }
+
+  return searchPageEntries(sessionId, tsQuery, query.trim(), limit, offset);
+}
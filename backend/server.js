@@ -8,6 +8,7 @@ import { wikiRouter } from './routes/wiki.js';
 import { sessionRouter } from './routes/session.js';
 import { commentsRouter } from './routes/comments.js';
 import { usersRouter } from './routes/users.js';
+import { notificationsRouter } from './routes/notifications.js';
 import { initializeDatabase } from './db.js';
 import { startNotificationService } from './notifications.js';
 
@@ -25,6 +26,7 @@ app.use('/api/wiki', wikiRouter);
 app.use('/api/session', sessionRouter);
 app.use('/api/comments', commentsRouter);
 app.use('/api/users', usersRouter);
+app.use('/api/notifications', notificationsRouter);
 
 // Setup ShareDB WebSocket server
 setupShareDBWebSocket(wss);
@@ -1,8 +1,21 @@
 import ShareDB from 'sharedb';
 import { createRequire } from 'module';
-import WebSocket from 'ws';
 import WebSocketJSONStream from '@teamwork/websocket-json-stream';
-import { getWikiPage, saveWikiPage } from './wikiParser.js';
+import {
+  getWikiPage,
+  parsePageDocId,
+  getPageFieldContent,
+  getPageMeta,
+  META_FIELD
+} from './wikiParser.js';
+import { getYjsDocName, setupYjsConnection } from './yjsServer.js';
+import { getCachedSessionRole, hasSessionRole } from './permissions.js';
+import { admin } from './auth.js';
+import { updateAnchorsForOp } from './commentAnchors.js';
+import { isCommentsUrl, setupCommentsConnection } from './commentEvents.js';
+import { isNotificationsUrl, setupNotificationsConnection } from './notificationEvents.js';
+import { isPresenceUrl, setupPresenceConnection } from './presence.js';
+import { createDocFromFile, schedulePageFlush, setPageStoreBackend } from './pageStore.js';
 
 // Use require for CommonJS module
 const require = createRequire(import.meta.url);
@@ -27,11 +40,74 @@ console.log('🔧 Initializing ShareDB with PostgreSQL:', {
 const db = new ShareDBPostgres(dbConfig);
 
 const backend = new ShareDB({ db });
+setPageStoreBackend(backend);
 
 console.log('✅ ShareDB backend created with PostgreSQL database');
 
-// Map to track active connections and their user info
-const connections = new Map();
+/**
+ * Fill in a page document that doesn't exist in ShareDB yet from the page's file.
+ * From then on ShareDB has the page, and the file is written from it (see pageStore.js).
+ * Documents with nothing in the file to load from are left empty.
+ */
+async function loadSnapshotFromFile(snapshot) {
+  try {
+    // Field documents look like "sessionId/page.hml-definition",
+    // "sessionId/page.hml-meta" or "sessionId/page.hml-section-<sectionId>"
+    const docTarget = parsePageDocId(snapshot.id);
+    if (!docTarget || !docTarget.fieldName) return;
+
+    const { sessionId, filename: actualFilename, fieldName } = docTarget;
+    const pageData = await getWikiPage(actualFilename, sessionId);
+    if (!pageData) return;
+
+    let data;
+    if (fieldName === META_FIELD) {
+      data = getPageMeta(pageData);
+    } else {
+      // Sections that haven't been saved yet are created by the editor
+      const content = getPageFieldContent(pageData, docTarget);
+      if (content === undefined) return;
+      data = { content };
+    }
+
+    console.log(`📂 Loading ${actualFilename} field "${fieldName}" from disk into ShareDB`);
+    const created = await createDocFromFile(snapshot.id, data);
+    snapshot.type = created.type;
+    snapshot.v = created.v;
+    snapshot.data = created.data;
+  } catch (err) {
+    console.error(`Error loading ${snapshot.id} from disk:`, err);
+  }
+}
+
+/**
+ * Check that a client connection may access a wiki-pages document with at least
+ * the given role in its session. Server-side connections may access anything.
+ * @returns {Error|null} Why access is denied, or null when it is allowed
+ */
+async function checkDocAccess(agent, collection, id, requiredRole) {
+  if (agent.custom.isServer) return null;
+
+  if (collection !== 'wiki-pages') {
+    return new Error(`Unknown collection ${collection}`);
+  }
+
+  const docTarget = parsePageDocId(id);
+  if (!docTarget) {
+    return new Error('Invalid document ID');
+  }
+
+  const role = await getCachedSessionRole(
+    agent.custom.sessionRoles,
+    docTarget.sessionId,
+    agent.custom.author?.userId
+  );
+  if (hasSessionRole(role, requiredRole)) return null;
+
+  return new Error(requiredRole === 'viewer'
+    ? 'You are not a member of this session'
+    : 'You do not have permission to edit this session');
+}
 
 /**
  * Setup ShareDB WebSocket server
@@ -41,45 +117,28 @@ export function setupShareDBWebSocket(wss) {
   wss.on('connection', (ws, req) => {
     const url = req.url;
 
-    // Handle presence connections separately
-    if (url === '/presence') {
-      console.log('👥 Presence client connected');
-
-      ws.on('message', (message) => {
-        try {
-          const data = JSON.parse(message);
-
-          if (data.type === 'user-info') {
-            connections.set(ws, {
-              userId: data.userId,
-              userName: data.userName,
-              color: data.color,
-              filename: data.filename,
-              cursorPosition: data.cursorPosition || 0,
-              selectionEnd: data.selectionEnd || 0
-            });
-            broadcastPresence(wss);
-          } else if (data.type === 'cursor-update') {
-            // Update cursor position for this connection
-            const userInfo = connections.get(ws);
-            if (userInfo) {
-              userInfo.cursorPosition = data.cursorPosition;
-              userInfo.selectionEnd = data.selectionEnd;
-              userInfo.filename = data.filename;
-              broadcastPresence(wss);
-            }
-          }
-        } catch (err) {
-          console.error('Error handling presence message:', err);
-        }
-      });
+    // Handle presence (who's here, cursors)
+    if (isPresenceUrl(url)) {
+      setupPresenceConnection(ws);
+      return;
+    }
 
-      ws.on('close', () => {
-        console.log('👥 Presence client disconnected');
-        connections.delete(ws);
-        broadcastPresence(wss);
-      });
+    // Handle live comment updates
+    if (isCommentsUrl(url)) {
+      setupCommentsConnection(ws);
+      return;
+    }
+
+    // Handle in-app notifications
+    if (isNotificationsUrl(url)) {
+      setupNotificationsConnection(ws);
+      return;
+    }
 
+    // Handle Yjs (rich-text editor) connections: /<sessionId>/<filename>
+    const yjsDocName = getYjsDocName(url);
+    if (yjsDocName) {
+      setupYjsConnection(ws, req, yjsDocName);
       return;
     }
 
@@ -89,8 +148,8 @@ export function setupShareDBWebSocket(wss) {
     // Create a ShareDB stream from the WebSocket
     const stream = new WebSocketJSONStream(ws);
 
-    // Connect ShareDB to the stream
-    backend.listen(stream);
+    // Connect ShareDB to the stream; the upgrade request identifies the user
+    backend.listen(stream, req);
 
     ws.on('close', () => {
       console.log('📡 ShareDB client disconnected');
@@ -101,156 +160,117 @@ export function setupShareDBWebSocket(wss) {
     });
   });
 
-  // Setup middleware to load documents from file system if they don't exist in ShareDB yet
+  // Remember who is on the other end of each connection so saves can be attributed.
+  // Browser clients must pass a Firebase ID token in the socket URL (?token=) and
+  // are disconnected without one; server-side connections pass an
+  // { author, isServer } object (or nothing) as the connect request.
+  backend.use('connect', async (context, next) => {
+    const { agent, req } = context;
+
+    agent.custom.isServer = !req || req.isServer === true;
+    agent.custom.sessionRoles = new Map();
+
+    if (agent.custom.isServer) {
+      agent.custom.author = req?.author || null;
+      return next();
+    }
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (!token) {
+      console.log('🚫 Rejected ShareDB connection without a token');
+      return next(new Error('No authentication token provided'));
+    }
+
+    try {
+      const decodedToken = await admin.auth().verifyIdToken(token);
+      agent.custom.author = {
+        userId: decodedToken.uid,
+        name: decodedToken.name || decodedToken.email
+      };
+      next();
+    } catch (err) {
+      console.log('🚫 Rejected ShareDB connection with an invalid token:', err.message);
+      next(new Error('Invalid authentication token'));
+    }
+  });
+
+  // Session members may read documents; the server's own connections are trusted.
+  // Documents that don't exist in ShareDB yet are created from the page's file,
+  // once the reader is known to have access.
   backend.use('readSnapshots', async (context, next) => {
-    const { collection, snapshots } = context;
+    const { agent, collection, snapshots } = context;
 
-    if (collection === 'wiki-pages') {
-      // Process each snapshot request
+    try {
       for (const snapshot of snapshots) {
-        // If document doesn't exist in ShareDB (type is null), try loading from disk
-        if (snapshot.type === null && snapshot.id) {
-          try {
-            const parts = snapshot.id.split('/');
-            if (parts.length === 2) {
-              const [sessionId, filenameWithSuffix] = parts;
-
-              // Check if this is a field-specific document (e.g., "page.hml-definition")
-              let actualFilename = filenameWithSuffix;
-              let fieldName = null;
-
-              if (filenameWithSuffix.endsWith('-definition')) {
-                actualFilename = filenameWithSuffix.replace('-definition', '');
-                fieldName = 'definition';
-              } else if (filenameWithSuffix.endsWith('-details')) {
-                actualFilename = filenameWithSuffix.replace('-details', '');
-                fieldName = 'details';
-              }
-
-              const pageData = await getWikiPage(actualFilename, sessionId);
-
-              if (pageData) {
-                let content = '';
-                if (fieldName) {
-                  // Load specific field
-                  content = pageData[fieldName] || '';
-                  console.log(`📂 Loading ${actualFilename} field "${fieldName}" from disk into ShareDB`);
-                } else {
-                  // Load raw content for full page
-                  content = pageData.rawContent || '';
-                  console.log(`📂 Loading ${actualFilename} from disk into ShareDB`);
-                }
-
-                // Set the snapshot data to load from file
-                snapshot.type = 'json0';
-                snapshot.v = 1;
-                snapshot.data = { content };
-              }
-            }
-          } catch (err) {
-            console.error(`Error loading ${snapshot.id} from disk:`, err);
-          }
+        const denied = await checkDocAccess(agent, collection, snapshot.id, 'viewer');
+        if (denied) {
+          console.log(`🚫 Rejected read of ${snapshot.id} by ${agent.custom.author?.userId}`);
+          context.rejectSnapshotRead(snapshot, denied);
+          continue;
+        }
+
+        if (collection === 'wiki-pages' && snapshot.type === null && snapshot.id) {
+          await loadSnapshotFromFile(snapshot);
         }
       }
+      next();
+    } catch (err) {
+      next(err);
     }
-
-    next();
   });
 
-  // Setup middleware to sync ShareDB documents with file system
-  backend.use('apply', async (context, next) => {
-    // After an operation is applied, save to file system
-    const { collection, id } = context;
+  // Ops sent to a client, whether fetched or from a subscription; members removed
+  // since subscribing stop receiving them
+  backend.use('op', async (context, next) => {
+    const { agent, collection, id } = context;
 
-    console.log(`📝 ShareDB apply middleware called: collection=${collection}, id=${id}`);
+    try {
+      next(await checkDocAccess(agent, collection, id, 'viewer'));
+    } catch (err) {
+      next(err);
+    }
+  });
 
-    if (collection === 'wiki-pages') {
-      try {
-        // Extract sessionId and filename from document ID (format: sessionId/filename)
-        const parts = id.split('/');
-        if (parts.length !== 2) {
-          console.error('Invalid document ID format:', id);
-          return next();
-        }
+  // Only editors and owners may change documents; the server's own connections
+  // (saves through the API, restores, renames) are trusted
+  backend.use('submit', async (context, next) => {
+    const { agent, collection, id } = context;
 
-        const [sessionId, filenameWithSuffix] = parts;
+    // Pages are edited through their field and metadata documents, never as a whole
+    if (!agent.custom.isServer && collection === 'wiki-pages' && !parsePageDocId(id)?.fieldName) {
+      return next(new Error('Edit the page through its field documents'));
+    }
 
-        // Check if this is a field-specific document (e.g., "page.hml-definition")
-        let actualFilename = filenameWithSuffix;
-        let fieldName = null;
+    try {
+      const denied = await checkDocAccess(agent, collection, id, 'editor');
+      if (denied) {
+        console.log(`🚫 Rejected edit of ${id} by ${agent.custom.author?.userId}`);
+      }
+      next(denied);
+    } catch (err) {
+      next(err);
+    }
+  });
 
-        if (filenameWithSuffix.endsWith('-definition')) {
-          actualFilename = filenameWithSuffix.replace('-definition', '');
-          fieldName = 'definition';
-        } else if (filenameWithSuffix.endsWith('-details')) {
-          actualFilename = filenameWithSuffix.replace('-details', '');
-          fieldName = 'details';
-        }
+  // Once an op is committed, move the comments anchored to the document's text
+  // and queue the page to be written to its file
+  backend.use('afterWrite', (context, next) => {
+    const { agent, collection, id, op } = context;
 
-        console.log(`💾 Attempting to save ${actualFilename}${fieldName ? ` field "${fieldName}"` : ''} for session ${sessionId}`);
-
-        // Get the document
-        const doc = backend.connect().get(collection, id);
-        await new Promise((resolve) => {
-          doc.fetch(async (err) => {
-            if (err) {
-              console.error('Error fetching document:', err);
-              return resolve();
-            }
-
-            // Save to file system with sessionId
-            if (doc.data && doc.data.content !== undefined) {
-              try {
-                if (fieldName) {
-                  // For field-specific documents, we need to read the existing page,
-                  // update the specific field, and save it back
-                  const existingPage = await getWikiPage(actualFilename, sessionId);
-                  const pageData = existingPage || {};
-
-                  // Update the specific field
-                  pageData[fieldName] = doc.data.content;
-
-                  // Save the updated page
-                  await saveWikiPage(actualFilename, pageData, sessionId);
-                  console.log(`💾 Saved ${actualFilename} field "${fieldName}" to disk`);
-                } else {
-                  // For full page documents, save the content directly
-                  await saveWikiPage(actualFilename, doc.data, sessionId);
-                  console.log(`💾 Saved ${actualFilename} to disk`);
-                }
-              } catch (saveErr) {
-                console.error(`Error saving ${actualFilename}:`, saveErr.message);
-              }
-            }
-            resolve();
-          });
-        });
-      } catch (err) {
-        console.error('Error in apply middleware:', err);
+    if (collection === 'wiki-pages' && op && op.op) {
+      const docTarget = parsePageDocId(id);
+      if (docTarget && docTarget.fieldName) {
+        if (docTarget.fieldName !== META_FIELD) {
+          updateAnchorsForOp(docTarget, op.op);
+        }
+        schedulePageFlush(docTarget.sessionId, docTarget.filename, agent.custom.author || null);
       }
     }
 
     next();
   });
-  
-  console.log('✅ ShareDB WebSocket server initialized');
-}
 
-/**
- * Broadcast presence information to all connected clients
- */
-function broadcastPresence(wss) {
-  const users = Array.from(connections.values());
-  const message = JSON.stringify({
-    type: 'presence',
-    users: users
-  });
-  
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
+  console.log('✅ ShareDB WebSocket server initialized');
 }
 
 /**
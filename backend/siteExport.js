@@ -0,0 +1,322 @@
+import { findPageByTitle, getPageBacklinks } from './wikiParser.js';
+
+// Match wiki:// links with or without angle brackets, and external links
+const LINK_REGEX = /\[([^\]]+)\]\((?:wiki:\/\/<?([^>)]+)>?|(https?:\/\/[^)\s]+|mailto:[^)\s]+))\)/g;
+
+// Characters of each field kept in the search index
+const SEARCH_TEXT_CHARS = 2000;
+
+const STYLESHEET = `* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; background: #f9fafb; line-height: 1.6; }
+header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 16px 32px; display: flex; gap: 24px; align-items: center; }
+header a { color: white; text-decoration: none; font-weight: 600; }
+main { max-width: 860px; margin: 32px auto; padding: 32px; background: white; border-radius: 12px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+h1 { margin-top: 0; }
+h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-top: 32px; }
+a { color: #667eea; }
+.page-text { white-space: pre-wrap; }
+.aliases { color: #6b7280; font-size: 14px; }
+.tags { display: flex; flex-wrap: wrap; gap: 8px; margin: 12px 0; padding: 0; list-style: none; }
+.tags a { background: #eef2ff; color: #4338ca; padding: 2px 10px; border-radius: 9999px; font-size: 13px; text-decoration: none; }
+.broken-link { color: #dc2626; text-decoration: underline dotted; cursor: help; }
+.page-list { list-style: none; padding: 0; }
+.page-list li { padding: 10px 0; border-bottom: 1px solid #f3f4f6; }
+.page-list .excerpt { display: block; color: #6b7280; font-size: 14px; }
+.reference { color: #4b5563; font-size: 14px; margin: 4px 0 0 16px; }
+.field { color: #9ca3af; font-size: 12px; margin-right: 8px; }
+#search { width: 100%; padding: 10px 14px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 16px; }
+#search-results:empty { display: none; }
+footer { text-align: center; color: #9ca3af; font-size: 13px; margin-bottom: 32px; }
+`;
+
+const SEARCH_SCRIPT = `(function () {
+  var input = document.getElementById('search');
+  var results = document.getElementById('search-results');
+  var pageList = document.getElementById('all-pages');
+  var index = null;
+
+  fetch('search-index.json')
+    .then(function (response) { return response.json(); })
+    .then(function (data) { index = data; })
+    .catch(function () {
+      input.placeholder = 'Search needs the site to be served over HTTP';
+      input.disabled = true;
+    });
+
+  function matches(entry, words) {
+    var text = [entry.title, entry.aliases.join(' '), entry.tags.join(' '), entry.text].join(' ').toLowerCase();
+    return words.every(function (word) { return text.indexOf(word) !== -1; });
+  }
+
+  input.addEventListener('input', function () {
+    var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.innerHTML = '';
+    pageList.style.display = words.length ? 'none' : '';
+    if (!index || !words.length) return;
+
+    index.filter(function (entry) { return matches(entry, words); }).forEach(function (entry) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = entry.url;
+      link.textContent = entry.title;
+      item.appendChild(link);
+      results.appendChild(item);
+    });
+  });
+})();
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function slugify(name) {
+  return name.toLowerCase().trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'tag';
+}
+
+function toPageHtmlName(filename) {
+  return filename.replace(/\.hml$/, '') + '.html';
+}
+
+// Paths are relative to the site root; encode each segment for use in href
+function href(fromDir, sitePath) {
+  const encoded = sitePath.split('/').map(encodeURIComponent).join('/');
+  return fromDir ? `../${encoded}` : encoded;
+}
+
+function layout({ title, depth, body }) {
+  const root = depth ? '../' : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<header>
+<a href="${root}index.html">📝 Wiki</a>
+<a href="${root}tags/index.html">🏷️ Tags</a>
+</header>
+<main>
+${body}
+</main>
+<footer>Read-only snapshot exported from Wiki Jam</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render page text as HTML: text is escaped and keeps its line breaks, wiki
+ * links point at the exported page or are marked broken, external links stay links
+ */
+function renderText(text, site, fromDir) {
+  if (!text) return '';
+
+  let html = '';
+  let lastIndex = 0;
+  let match;
+
+  LINK_REGEX.lastIndex = 0;
+  while ((match = LINK_REGEX.exec(text)) !== null) {
+    const [fullText, linkText, target, url] = match;
+    html += escapeHtml(text.substring(lastIndex, match.index));
+    lastIndex = match.index + fullText.length;
+
+    if (url) {
+      html += `<a href="${escapeHtml(url)}" rel="noopener">${escapeHtml(linkText)}</a>`;
+      continue;
+    }
+
+    const page = findPageByTitle(site.pages, target);
+    if (page) {
+      html += `<a href="${href(fromDir, `pages/${toPageHtmlName(page.filename)}`)}">${escapeHtml(linkText)}</a>`;
+    } else {
+      const reason = findPageByTitle(site.allPages, target) ? 'Page not included in this export' : 'Page not found';
+      html += `<span class="broken-link" title="${escapeHtml(`${reason}: ${target}`)}">${escapeHtml(linkText)}</span>`;
+    }
+  }
+
+  return html + escapeHtml(text.substring(lastIndex));
+}
+
+function renderTagList(tags, site, fromDir) {
+  if (!tags.length) return '';
+  const items = tags.map(tag =>
+    `<li><a href="${href(fromDir, `tags/${site.tagFiles.get(tag)}`)}">🏷️ ${escapeHtml(tag)}</a></li>`
+  );
+  return `<ul class="tags">${items.join('')}</ul>`;
+}
+
+function renderPageList(pages, site, fromDir) {
+  const items = pages.map(page => {
+    const excerpt = page.definition ? page.definition.replace(LINK_REGEX, '$1').split('\n')[0] : '';
+    return `<li><a href="${href(fromDir, `pages/${toPageHtmlName(page.filename)}`)}">${escapeHtml(page.title)}</a>` +
+      (excerpt ? `<span class="excerpt">${escapeHtml(excerpt)}</span>` : '') +
+      '</li>';
+  });
+  return `<ul class="page-list">${items.join('\n')}</ul>`;
+}
+
+function renderPage(page, site) {
+  const tags = site.tagsByFilename[page.filename] || [];
+  const backlinks = site.backlinks.get(page.filename);
+  const parts = [`<h1>${escapeHtml(page.title)}</h1>`];
+
+  if (page.aliases?.length > 0) {
+    parts.push(`<p class="aliases">Also known as: ${page.aliases.map(escapeHtml).join(', ')}</p>`);
+  }
+  parts.push(renderTagList(tags, site, 'pages'));
+
+  if (page.definition) {
+    parts.push(`<div class="page-text">${renderText(page.definition, site, 'pages')}</div>`);
+  }
+  if (page.details) {
+    parts.push(`<h2>Details</h2>\n<div class="page-text">${renderText(page.details, site, 'pages')}</div>`);
+  }
+  (page.sections || []).forEach(section => {
+    parts.push(
+      `<h2 id="${escapeHtml(section.id)}">${escapeHtml(section.title || 'Untitled section')}</h2>\n` +
+      `<div class="page-text">${renderText(section.content, site, 'pages')}</div>`
+    );
+  });
+
+  const backlinksPage = href('pages', `backlinks/${toPageHtmlName(page.filename)}`);
+  parts.push(backlinks.length > 0
+    ? `<p><a href="${backlinksPage}">Linked from ${backlinks.length} page${backlinks.length !== 1 ? 's' : ''}</a></p>`
+    : '<p class="aliases">No other pages link here.</p>');
+
+  return layout({ title: page.title, depth: 1, body: parts.filter(Boolean).join('\n') });
+}
+
+function renderBacklinksPage(page, site) {
+  const items = site.backlinks.get(page.filename).map(backlink => {
+    const references = backlink.references.map(reference => {
+      const field = reference.field === 'section'
+        ? reference.sectionTitle || 'Untitled section'
+        : reference.field === 'definition' ? 'Definition' : 'Details';
+      return `<div class="reference"><span class="field">${escapeHtml(field)}</span>` +
+        `${escapeHtml(reference.before)}<strong>${escapeHtml(reference.linkText)}</strong>${escapeHtml(reference.after)}</div>`;
+    });
+    return `<li><a href="${href('backlinks', `pages/${toPageHtmlName(backlink.filename)}`)}">${escapeHtml(backlink.title)}</a>` +
+      `${references.join('')}</li>`;
+  });
+
+  return layout({
+    title: `Linked from: ${page.title}`,
+    depth: 1,
+    body: `<h1>Pages linking to <a href="${href('backlinks', `pages/${toPageHtmlName(page.filename)}`)}">${escapeHtml(page.title)}</a></h1>\n` +
+      `<ul class="page-list">${items.join('\n')}</ul>`
+  });
+}
+
+function renderIndex(site) {
+  return layout({
+    title: 'Wiki',
+    depth: 0,
+    body: `<h1>All pages</h1>
+<input id="search" type="search" placeholder="Search ${site.pages.length} pages..." autocomplete="off">
+<ul id="search-results" class="page-list"></ul>
+<div id="all-pages">
+${renderPageList(site.pages, site, null)}
+</div>
+<script src="search.js"></script>`
+  });
+}
+
+function renderTagIndex(site) {
+  const items = [...site.tagFiles.entries()].map(([tag, file]) => {
+    const count = site.pages.filter(page => (site.tagsByFilename[page.filename] || []).includes(tag)).length;
+    return `<li><a href="${encodeURIComponent(file)}">🏷️ ${escapeHtml(tag)}</a> <span class="excerpt">${count} page${count !== 1 ? 's' : ''}</span></li>`;
+  });
+
+  return layout({
+    title: 'Tags',
+    depth: 1,
+    body: `<h1>Tags</h1>\n${items.length > 0 ? `<ul class="page-list">${items.join('\n')}</ul>` : '<p>No tags yet.</p>'}`
+  });
+}
+
+function renderTagPage(tag, site) {
+  const pages = site.pages.filter(page => (site.tagsByFilename[page.filename] || []).includes(tag));
+  return layout({
+    title: `Tag: ${tag}`,
+    depth: 1,
+    body: `<h1>🏷️ ${escapeHtml(tag)}</h1>\n${renderPageList(pages, site, 'tags')}`
+  });
+}
+
+function buildSearchIndex(site) {
+  return site.pages.map(page => ({
+    title: page.title,
+    aliases: page.aliases || [],
+    tags: site.tagsByFilename[page.filename] || [],
+    url: `pages/${encodeURIComponent(toPageHtmlName(page.filename))}`,
+    text: [page.definition, page.details, ...(page.sections || []).flatMap(s => [s.title, s.content])]
+      .filter(Boolean)
+      .join('\n')
+      .replace(LINK_REGEX, '$1')
+      .slice(0, SEARCH_TEXT_CHARS)
+  }));
+}
+
+/**
+ * Render a read-only static HTML site for a set of pages
+ * @param {Array} pages - Pages to publish
+ * @param {object} tagsByFilename - Filename -> the page's tags
+ * @param {Array} allPages - Every page of the session, to tell unpublished pages from missing ones
+ * @returns {Array<{name, content}>} Files of the site, paths relative to its root
+ */
+export function buildStaticSite(pages, tagsByFilename, allPages = pages) {
+  const sortedPages = [...pages].sort((a, b) => a.title.localeCompare(b.title));
+
+  // Give every tag a file name, keeping them unique after slugifying
+  const tagFiles = new Map();
+  const usedNames = new Set(['index.html']);
+  [...new Set(sortedPages.flatMap(page => tagsByFilename[page.filename] || []))].sort().forEach(tag => {
+    let name = `${slugify(tag)}.html`;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${slugify(tag)}-${n}.html`;
+    }
+    usedNames.add(name);
+    tagFiles.set(tag, name);
+  });
+
+  const site = {
+    pages: sortedPages,
+    allPages,
+    tagsByFilename,
+    tagFiles,
+    backlinks: new Map(sortedPages.map(page => [page.filename, getPageBacklinks(sortedPages, page.filename)]))
+  };
+
+  const files = [
+    { name: 'index.html', content: renderIndex(site) },
+    { name: 'style.css', content: STYLESHEET },
+    { name: 'search.js', content: SEARCH_SCRIPT },
+    { name: 'search-index.json', content: JSON.stringify(buildSearchIndex(site)) },
+    { name: 'tags/index.html', content: renderTagIndex(site) }
+  ];
+
+  tagFiles.forEach((file, tag) => {
+    files.push({ name: `tags/${file}`, content: renderTagPage(tag, site) });
+  });
+
+  sortedPages.forEach(page => {
+    files.push({ name: `pages/${toPageHtmlName(page.filename)}`, content: renderPage(page, site) });
+    if (site.backlinks.get(page.filename).length > 0) {
+      files.push({ name: `backlinks/${toPageHtmlName(page.filename)}`, content: renderBacklinksPage(page, site) });
+    }
+  });
+
+  return files;
+}
@@ -2,6 +2,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
+import { recordRevision } from './revisions.js';
+import { indexPage, removePageFromIndex } from './searchIndex.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,6 +14,21 @@ export function getSessionDirectory(sessionId) {
   return path.join(__dirname, 'sessions', sessionId);
 }
 
+/**
+ * Give every section a stable ID so it can have its own collaborative document.
+ * Sections saved before IDs existed get one derived from their position.
+ */
+export function normalizeSections(sections) {
+  if (!Array.isArray(sections)) return [];
+
+  return sections.map((section, index) => ({
+    ...section,
+    id: section.id || `section-${index + 1}`,
+    title: section.title || '',
+    content: section.content || ''
+  }));
+}
+
 // Get the wiki path for a specific session
 async function getSessionWikiPath(sessionId) {
   const directory = getSessionDirectory(sessionId);
@@ -44,7 +61,7 @@ export async function getAllWikiPages(sessionId) {
               definition: parsed.definition.definition || '',
               details: parsed.definition.details || '',
               aliases: parsed.definition.aliases || [],
-              sections: parsed.definition.sections || []
+              sections: normalizeSections(parsed.definition.sections)
             };
           }
         } catch (err) {
@@ -62,30 +79,37 @@ export async function getAllWikiPages(sessionId) {
   }
 }
 
+/**
+ * Parse the contents of an .hml file into page data
+ * @returns {object|null} null if the YAML has no definition
+ */
+export function parseWikiPage(content, filename) {
+  const parsed = yaml.load(content);
+  if (!parsed || !parsed.definition) return null;
+
+  return {
+    filename,
+    title: parsed.definition.title || filename.replace('.hml', ''),
+    definition: parsed.definition.definition || '',
+    details: parsed.definition.details || '',
+    aliases: parsed.definition.aliases || [],
+    sections: normalizeSections(parsed.definition.sections)
+  };
+}
+
 export async function getWikiPage(filename, sessionId) {
   try {
     const wikiPath = await getSessionWikiPath(sessionId);
     const content = await fs.readFile(path.join(wikiPath, filename), 'utf-8');
-    const parsed = yaml.load(content);
-    
-    if (parsed && parsed.definition) {
-      return {
-        filename,
-        title: parsed.definition.title || filename.replace('.hml', ''),
-        definition: parsed.definition.definition || '',
-        details: parsed.definition.details || '',
-        aliases: parsed.definition.aliases || [],
-        sections: parsed.definition.sections || [],
-        rawContent: content
-      };
-    }
+    const page = parseWikiPage(content, filename);
+    if (page) return page;
   } catch (err) {
     console.error(`Error reading ${filename}:`, err);
     return null;
   }
 }
 
-export async function saveWikiPage(filename, pageData, sessionId) {
+export async function saveWikiPage(filename, pageData, sessionId, author = null) {
   try {
     // Get the session directory path
     const wikiPath = getSessionDirectory(sessionId);
@@ -113,6 +137,20 @@ export async function saveWikiPage(filename, pageData, sessionId) {
     const content = yaml.dump(yamlContent, { lineWidth: -1 });
     await fs.writeFile(path.join(wikiPath, filename), content, 'utf-8');
     console.log(`💾 Saved ${filename} to disk for session ${sessionId}`);
+
+    // Keep a revision of every save; history failures must not fail the save itself
+    try {
+      await recordRevision(sessionId, filename, pageData, author);
+    } catch (revisionErr) {
+      console.error(`Error recording revision of ${filename}:`, revisionErr.message);
+    }
+
+    try {
+      await indexPage(sessionId, filename, pageData);
+    } catch (indexErr) {
+      console.error(`Error indexing ${filename} for search:`, indexErr.message);
+    }
+
     return true;
   } catch (err) {
     console.error(`Error saving ${filename}:`, err);
@@ -120,6 +158,66 @@ export async function saveWikiPage(filename, pageData, sessionId) {
   }
 }
 
+// Page fields that are edited through their own collaborative document
+export const COLLABORATIVE_FIELDS = ['definition', 'details'];
+
+// The rest of a page - title, aliases and the list of sections - is edited through
+// its metadata document ("page.hml-meta"); section text has a document per section
+export const META_FIELD = 'meta';
+
+// Section documents look like "page.hml-section-<sectionId>"
+const SECTION_DOC_REGEX = /^(.+\.hml)-section-([^/]+)$/;
+
+/**
+ * Split a collaborative document ID ("sessionId/page.hml", "sessionId/page.hml-definition",
+ * "sessionId/page.hml-meta" or "sessionId/page.hml-section-<sectionId>") into its
+ * session, page filename, field name and, for sections, the section ID
+ */
+export function parsePageDocId(docId) {
+  const parts = docId.split('/');
+  if (parts.length !== 2) return null;
+
+  const [sessionId, filenameWithSuffix] = parts;
+
+  const sectionMatch = SECTION_DOC_REGEX.exec(filenameWithSuffix);
+  if (sectionMatch) {
+    return { sessionId, filename: sectionMatch[1], fieldName: 'sections', sectionId: sectionMatch[2] };
+  }
+
+  const fieldName = [...COLLABORATIVE_FIELDS, META_FIELD]
+    .find(field => filenameWithSuffix.endsWith(`-${field}`)) || null;
+  const filename = fieldName
+    ? filenameWithSuffix.slice(0, -(fieldName.length + 1))
+    : filenameWithSuffix;
+
+  return { sessionId, filename, fieldName, sectionId: null };
+}
+
+/**
+ * Title, aliases and section titles of a page, as kept in its metadata document
+ */
+export function getPageMeta(page) {
+  return {
+    title: page.title || '',
+    aliases: page.aliases || [],
+    sections: normalizeSections(page.sections).map(({ id, title }) => ({ id, title }))
+  };
+}
+
+/**
+ * Read the text a collaborative document edits from a page.
+ * Returns undefined when the target (e.g. a deleted section) no longer exists,
+ * or isn't a text document.
+ */
+export function getPageFieldContent(page, docTarget) {
+  if (docTarget.fieldName === META_FIELD) return undefined;
+  if (docTarget.fieldName === 'sections') {
+    const section = (page.sections || []).find(s => s.id === docTarget.sectionId);
+    return section ? section.content || '' : undefined;
+  }
+  return page[docTarget.fieldName] || '';
+}
+
 export function parseWikiLinks(text) {
   if (!text) return [];
   
@@ -131,7 +229,9 @@ export function parseWikiLinks(text) {
   while ((match = linkRegex.exec(text)) !== null) {
     links.push({
       text: match[1],
-      target: match[2]
+      target: match[2],
+      index: match.index,
+      length: match[0].length
     });
   }
   
@@ -179,11 +279,133 @@ export function getPageLinks(page) {
   return links;
 }
 
+/**
+ * Rewrite wiki links in text whose target matches a predicate
+ * @param {string} text - Text containing [text](wiki://target) links
+ * @param {Function} shouldRewrite - Called with each link target
+ * @param {string} newTarget - Target to point matching links at
+ * @returns {string} Text with matching links rewritten, display text kept
+ */
+export function rewriteWikiLinks(text, shouldRewrite, newTarget) {
+  if (!text) return text;
+
+  return text.replace(/\[([^\]]+)\]\(wiki:\/\/(<?)([^>)]+)>?\)/g, (fullText, linkText, bracket, target) => {
+    if (!shouldRewrite(target)) return fullText;
+
+    // Keep the link's original format (with or without angle brackets)
+    return `[${linkText}](wiki://${bracket ? `<${newTarget}>` : newTarget})`;
+  });
+}
+
+/**
+ * Apply rewriteWikiLinks to every linkable field of a page
+ * @returns {object|null} Updated page, or null if no link changed
+ */
+export function rewritePageLinks(page, shouldRewrite, newTarget) {
+  const updated = {
+    ...page,
+    definition: rewriteWikiLinks(page.definition, shouldRewrite, newTarget),
+    details: rewriteWikiLinks(page.details, shouldRewrite, newTarget),
+    sections: (page.sections || []).map(section => ({
+      ...section,
+      content: rewriteWikiLinks(section.content, shouldRewrite, newTarget)
+    }))
+  };
+
+  const changed = updated.definition !== page.definition ||
+    updated.details !== page.details ||
+    updated.sections.some((section, idx) => section.content !== page.sections[idx].content);
+
+  return changed ? updated : null;
+}
+
+// Characters of surrounding text kept on each side of a backlink reference
+const BACKLINK_CONTEXT_CHARS = 80;
+
+// Replace wiki link markup with its display text
+function stripWikiLinks(text) {
+  return text.replace(/\[([^\]]+)\]\(wiki:\/\/<?[^>)]+>?\)/g, '$1');
+}
+
+// Text around a link, limited to the line it is on
+function getLinkContext(text, link) {
+  const lineStart = text.lastIndexOf('\n', link.index - 1) + 1;
+  const lineEndIndex = text.indexOf('\n', link.index + link.length);
+  const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+  const start = Math.max(lineStart, link.index - BACKLINK_CONTEXT_CHARS);
+  const end = Math.min(lineEnd, link.index + link.length + BACKLINK_CONTEXT_CHARS);
+
+  return {
+    before: (start > lineStart ? '…' : '') + stripWikiLinks(text.substring(start, link.index)),
+    after: stripWikiLinks(text.substring(link.index + link.length, end)) + (end < lineEnd ? '…' : '')
+  };
+}
+
+/**
+ * List every wiki link on a page with the field it is in and the text around it
+ * @param {object} page - Wiki page
+ * @returns {Array<{target, field, sectionTitle, linkText, before, after}>}
+ */
+export function getLinkReferences(page) {
+  const fields = [
+    { field: 'definition', text: page.definition },
+    { field: 'details', text: page.details },
+    ...(page.sections || []).map(section => ({
+      field: 'section',
+      sectionTitle: section.title,
+      text: section.content
+    }))
+  ];
+
+  return fields.flatMap(({ field, sectionTitle, text }) =>
+    parseWikiLinks(text).map(link => ({
+      target: link.target,
+      field,
+      ...(sectionTitle !== undefined && { sectionTitle }),
+      linkText: link.text,
+      ...getLinkContext(text, link)
+    }))
+  );
+}
+
+/**
+ * Find every reference to a page from the other pages of a session.
+ * Link targets are resolved with findPageByTitle, so links to an alias count too.
+ * @param {Array} pages - All pages of the session
+ * @param {string} filename - Page to find references to
+ * @returns {Array<{filename, title, references: Array<{field, sectionTitle, linkText, before, after}>}>}
+ */
+export function getPageBacklinks(pages, filename) {
+  const backlinks = [];
+
+  pages.forEach(page => {
+    if (page.filename === filename) return;
+
+    const references = getLinkReferences(page)
+      .filter(reference => findPageByTitle(pages, reference.target)?.filename === filename)
+      .map(({ target, ...reference }) => reference);
+
+    if (references.length > 0) {
+      backlinks.push({ filename: page.filename, title: page.title, references });
+    }
+  });
+
+  return backlinks.sort((a, b) => a.title.localeCompare(b.title));
+}
+
 export async function deleteWikiPage(filename, sessionId) {
   try {
     const wikiPath = await getSessionWikiPath(sessionId);
     const filePath = path.join(wikiPath, filename);
     await fs.unlink(filePath);
+
+    try {
+      await removePageFromIndex(sessionId, filename);
+    } catch (indexErr) {
+      console.error(`Error removing ${filename} from search index:`, indexErr.message);
+    }
+
     return true;
   } catch (err) {
     console.error(`Error deleting ${filename}:`, err.message);
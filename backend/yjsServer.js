@@ -0,0 +1,407 @@
+import { createRequire } from 'module';
+import ShareDB from 'sharedb';
+import { parsePageDocId, META_FIELD } from './wikiParser.js';
+import { getYjsUpdates, storeYjsUpdate, replaceYjsUpdates } from './db.js';
+import { readPage, subscribeFieldDoc, submitSubscribedContent } from './pageStore.js';
+import { fragmentToText, fragmentBlockLines, textToBlocks, RICH_TEXT_FRAGMENT } from '../shared/richText.js';
+import { textChangeOp } from '../shared/textDiff.js';
+import { getCachedSessionRole, hasSessionRole } from './permissions.js';
+import { admin } from './auth.js';
+
+// Use require for CommonJS modules - y-websocket's server utils are CommonJS and
+// must share the same Yjs instance, so Yjs is required rather than imported too
+const require = createRequire(import.meta.url);
+const Y = require('yjs');
+const { setupWSConnection, setPersistence, getYDoc } = require('y-websocket/bin/utils');
+
+const json0 = ShareDB.types.map.json0;
+
+// Wait this long after the last edit before passing a field on to its ShareDB document
+const WRITE_BACK_DEBOUNCE_MS = 2000;
+
+// Transaction origins for changes that don't come from a client
+const PERSISTED_ORIGIN = 'persisted';
+const SEED_ORIGIN = 'seed';
+
+// How often an open connection re-checks whether its user may edit
+const PERMISSION_REFRESH_MS = 10 * 1000;
+
+// Close codes for connections that may not open the document
+const CLOSE_UNAUTHENTICATED = 4401;
+const CLOSE_FORBIDDEN = 4403;
+const CLOSE_INTERNAL_ERROR = 1011;
+
+// y-websocket message types: [messageSync, syncStep2 | update] carry document changes
+const MESSAGE_SYNC = 0;
+const SYNC_STEP_2 = 1;
+const SYNC_UPDATE = 2;
+
+// Pending write-backs per document: { timer, author }
+const pendingWrites = new Map();
+
+// The field's ShareDB document each loaded Yjs document is kept in step with:
+// ydoc -> { connection, doc, syncedText }, where syncedText is the document's text
+// as of the last time the two matched
+const rooms = new WeakMap();
+
+// Load promise per in-memory document, so concurrent first connections load it once
+const loadingDocs = new WeakMap();
+
+/**
+ * Get the Yjs document name from a websocket URL, or null if the URL isn't a Yjs room.
+ * y-websocket connects to "<server>/<room>", and rooms are "sessionId/filename[-field]".
+ * In production the server is reached through the /ws prefix.
+ */
+export function getYjsDocName(url) {
+  if (!url) return null;
+
+  let pathname = url.split('?')[0];
+  if (pathname.startsWith('/ws/')) {
+    pathname = pathname.slice(3);
+  }
+
+  const docName = decodeURIComponent(pathname.replace(/^\/+/, ''));
+  const parts = docName.split('/');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+  return docName;
+}
+
+// Yjs node for a node parsed by textToBlocks
+function toYNode(node) {
+  if (node.delta) {
+    const ytext = new Y.XmlText();
+    ytext.applyDelta(node.delta);
+    return ytext;
+  }
+
+  const element = new Y.XmlElement(node.nodeName);
+  Object.entries(node.attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  element.insert(0, node.children.map(toYNode));
+  return element;
+}
+
+// Yjs documents share their names with the page's ShareDB documents
+function isTextDoc(docTarget) {
+  return docTarget && docTarget.fieldName && docTarget.fieldName !== META_FIELD;
+}
+
+// Whether a page still has a field whose document doesn't exist yet. Sections
+// added in the editor have none until their text is typed.
+async function pageHasField(docTarget) {
+  const page = await readPage(docTarget.sessionId, docTarget.filename);
+  if (!page) return false;
+  return docTarget.fieldName !== 'sections' ||
+    page.sections.some(section => section.id === docTarget.sectionId);
+}
+
+// Pass the text to the field's ShareDB document, which has the page and writes its file
+async function writeBack(docName, ydoc, author) {
+  const room = rooms.get(ydoc);
+  if (!room) return;
+
+  // Don't recreate fields of pages deleted or renamed while the editor was open
+  if (!room.doc.type && !await pageHasField(parsePageDocId(docName))) return;
+
+  const content = fragmentToText(ydoc.getXmlFragment(RICH_TEXT_FRAGMENT));
+  if (room.doc.type && content === room.syncedText) return;
+
+  const submitted = submitSubscribedContent(room, content, author);
+  room.syncedText = content;
+  await submitted;
+  console.log(`💾 Saved ${room.doc.id} from Yjs document`);
+}
+
+/**
+ * Make a Yjs document read as its field's text, parsed back into headings, lists,
+ * marks and so on. Only the blocks that changed are replaced, so cursors in the
+ * rest of the document stay where they are.
+ */
+function resetFragment(ydoc, room, content) {
+  room.syncedText = content;
+
+  const fragment = ydoc.getXmlFragment(RICH_TEXT_FRAGMENT);
+  const blocks = fragmentBlockLines(fragment);
+  if (blocks.flat().join('\n') === content) return;
+
+  const nodes = fragment.toArray();
+  const newBlocks = textToBlocks(content);
+  const unchanged = (index, newBlock) => nodes[index].nodeName === newBlock.node.nodeName &&
+    blocks[index].join('\n') === newBlock.lines.join('\n');
+
+  // Blocks at the start and end that are still the same
+  let start = 0;
+  while (start < blocks.length && start < newBlocks.length && unchanged(start, newBlocks[start])) {
+    start++;
+  }
+
+  let end = blocks.length;
+  let newEnd = newBlocks.length;
+  while (end > start && newEnd > start && unchanged(end - 1, newBlocks[newEnd - 1])) {
+    end--;
+    newEnd--;
+  }
+
+  Y.transact(ydoc, () => {
+    fragment.delete(start, end - start);
+    fragment.insert(start, newBlocks.slice(start, newEnd).map(block => toYNode(block.node)));
+  }, SEED_ORIGIN);
+}
+
+/**
+ * Take in a change someone made to the field's ShareDB document outside this Yjs
+ * document (the plain-text editor, a restore, a rename). Edits made here and not
+ * yet written back are moved past the change and written first, like ShareDB
+ * merges concurrent ops, so neither side's edits are lost.
+ * @param {Array} op - json0 op the document's text was changed with
+ */
+function mergeShareDBChange(docName, ydoc, room, op) {
+  const pending = pendingWrites.get(docName);
+
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingWrites.delete(docName);
+
+    const text = fragmentToText(ydoc.getXmlFragment(RICH_TEXT_FRAGMENT));
+    const localOp = json0.transform(textChangeOp(room.syncedText, text), op, 'left');
+    const merged = json0.apply({ content: room.doc.data.content || '' }, localOp).content;
+    submitSubscribedContent(room, merged, pending.author).catch(err => {
+      console.error(`Error writing ${docName} back to ShareDB:`, err);
+    });
+  }
+
+  resetFragment(ydoc, room, room.doc.type ? room.doc.data.content || '' : '');
+}
+
+function scheduleWriteBack(docName, ydoc, author) {
+  const pending = pendingWrites.get(docName);
+  if (pending) {
+    clearTimeout(pending.timer);
+  }
+
+  const timer = setTimeout(() => {
+    pendingWrites.delete(docName);
+    writeBack(docName, ydoc, author).catch(err => {
+      console.error(`Error writing ${docName} back to ShareDB:`, err);
+    });
+  }, WRITE_BACK_DEBOUNCE_MS);
+
+  pendingWrites.set(docName, { timer, author });
+}
+
+async function flushWriteBack(docName, ydoc) {
+  const pending = pendingWrites.get(docName);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingWrites.delete(docName);
+  await writeBack(docName, ydoc, pending.author);
+}
+
+setPersistence({
+  provider: null,
+  bindState: (docName, ydoc) => {
+    ydoc.on('update', (update, origin) => {
+      if (origin === PERSISTED_ORIGIN) return;
+
+      storeYjsUpdate(docName, update).catch(() => {});
+
+      // Client edits arrive with their websocket connection as the origin
+      if (origin !== SEED_ORIGIN) {
+        scheduleWriteBack(docName, ydoc, origin?.author || null);
+      }
+    });
+  },
+  writeState: async (docName, ydoc) => {
+    // Last client left: flush pending edits, compact the update log and stop
+    // following the ShareDB document
+    const room = rooms.get(ydoc);
+    try {
+      await flushWriteBack(docName, ydoc);
+      await replaceYjsUpdates(docName, Y.encodeStateAsUpdate(ydoc));
+    } catch (err) {
+      console.error(`Error persisting Yjs document ${docName}:`, err);
+    }
+
+    if (room) {
+      rooms.delete(ydoc);
+      room.doc.whenNothingPending(() => room.connection.close());
+    }
+  }
+});
+
+/**
+ * Load a Yjs document's persisted updates and subscribe to the field's ShareDB
+ * document. If the field was changed through another editor since the document
+ * was last used, the document is reset to the ShareDB content; later changes
+ * are merged in as they happen.
+ */
+async function loadDocument(docName, ydoc) {
+  const updates = await getYjsUpdates(docName);
+  Y.transact(ydoc, () => {
+    updates.forEach(update => Y.applyUpdate(ydoc, update));
+  }, PERSISTED_ORIGIN);
+
+  const docTarget = parsePageDocId(docName);
+  if (!isTextDoc(docTarget)) return;
+
+  const { connection, doc } = await subscribeFieldDoc(docName);
+  const room = { connection, doc, syncedText: '' };
+
+  try {
+    if (doc.type && fragmentToText(ydoc.getXmlFragment(RICH_TEXT_FRAGMENT)) !== doc.data.content) {
+      console.log(`📂 Loading ${docTarget.filename} field "${docTarget.fieldName}" from ShareDB into Yjs`);
+    }
+    resetFragment(ydoc, room, doc.type ? doc.data.content || '' : '');
+  } catch (err) {
+    connection.close();
+    throw err;
+  }
+  rooms.set(ydoc, room);
+
+  // Changes from this server's own write-backs arrive with source true
+  doc.on('op', (op, source) => {
+    if (!source) mergeShareDBChange(docName, ydoc, room, op);
+  });
+  doc.on('create', (source) => {
+    if (!source) mergeShareDBChange(docName, ydoc, room, textChangeOp('', doc.data.content || ''));
+  });
+}
+
+function isDocumentUpdate(message) {
+  const data = new Uint8Array(message);
+  return data[0] === MESSAGE_SYNC && (data[1] === SYNC_STEP_2 || data[1] === SYNC_UPDATE);
+}
+
+/**
+ * Let a connection's verified user (see authenticate()) edit only while they have
+ * the editor role. Other members still receive the document and cursors; their
+ * updates are dropped. Users who are no longer members are disconnected.
+ */
+async function restrictToEditors(ws, docName) {
+  const docTarget = parsePageDocId(docName);
+  const roles = new Map();
+  let readOnly = true;
+
+  const refreshPermission = async () => {
+    try {
+      const role = docTarget
+        ? await getCachedSessionRole(roles, docTarget.sessionId, ws.author?.userId)
+        : null;
+      readOnly = !hasSessionRole(role, 'editor');
+
+      if (!hasSessionRole(role, 'viewer') && ws.readyState === ws.OPEN) {
+        console.log(`🚫 Disconnecting ${ws.author?.userId} from ${docName}: no longer a member`);
+        ws.close(CLOSE_FORBIDDEN, 'You are no longer a member of this session');
+      }
+    } catch (err) {
+      console.error(`Error checking edit permission for ${docName}:`, err);
+    }
+  };
+
+  await refreshPermission();
+  if (ws.readyState !== ws.OPEN) return;
+
+  const timer = setInterval(refreshPermission, PERMISSION_REFRESH_MS);
+  ws.on('close', () => clearInterval(timer));
+
+  // Filter the message listeners y-websocket registers from here on
+  const on = ws.on.bind(ws);
+  ws.on = (event, listener) => on(event, event !== 'message' ? listener : (message, ...args) => {
+    if (readOnly && isDocumentUpdate(message)) return;
+    listener(message, ...args);
+  });
+}
+
+/**
+ * Identify a connection from the Firebase ID token in its URL (?token=) and check
+ * that its user may read the document. Sets ws.author from the verified token.
+ * @returns {Promise<boolean>} false once the socket has been closed
+ */
+async function authenticate(ws, req, docName) {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (!token) {
+    console.log(`🚫 Rejected Yjs connection to ${docName} without a token`);
+    ws.close(CLOSE_UNAUTHENTICATED, 'No authentication token provided');
+    return false;
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(token);
+  } catch (err) {
+    console.log('🚫 Rejected Yjs connection with an invalid token:', err.message);
+    ws.close(CLOSE_UNAUTHENTICATED, 'Invalid authentication token');
+    return false;
+  }
+
+  ws.author = {
+    userId: decodedToken.uid,
+    name: decodedToken.name || decodedToken.email
+  };
+
+  const docTarget = parsePageDocId(docName);
+  const role = docTarget
+    ? await getCachedSessionRole(new Map(), docTarget.sessionId, ws.author.userId)
+    : null;
+  if (!hasSessionRole(role, 'viewer')) {
+    console.log(`🚫 Rejected Yjs connection to ${docName} by ${ws.author.userId}`);
+    ws.close(CLOSE_FORBIDDEN, 'You are not a member of this session');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handle a y-websocket client connection for a document
+ * @param {WebSocket} ws - Client websocket
+ * @param {IncomingMessage} req - Upgrade request (?token= with a Firebase ID token)
+ * @param {string} docName - Document name ("sessionId/filename[-field]")
+ */
+export async function setupYjsConnection(ws, req, docName) {
+  console.log(`📝 Yjs client connected to ${docName}`);
+
+  // Hold on to messages that arrive while the user is checked and the document loads
+  const pending = [];
+  const bufferMessage = (message) => pending.push(message);
+  ws.on('message', bufferMessage);
+
+  try {
+    if (!await authenticate(ws, req, docName)) return;
+  } catch (err) {
+    console.error(`Error checking access to ${docName}:`, err);
+    ws.close(CLOSE_FORBIDDEN, 'Could not check access');
+    return;
+  }
+
+  try {
+    const ydoc = getYDoc(docName);
+    if (!loadingDocs.has(ydoc)) {
+      // Forget a failed load, so the next connection tries again
+      loadingDocs.set(ydoc, loadDocument(docName, ydoc).catch(err => {
+        loadingDocs.delete(ydoc);
+        throw err;
+      }));
+    }
+    await loadingDocs.get(ydoc);
+  } catch (err) {
+    // Don't serve a document that isn't loaded: its edits would replace the field.
+    // The client reconnects and loads it again.
+    console.error(`Error loading Yjs document ${docName}:`, err);
+    ws.close(CLOSE_INTERNAL_ERROR, 'Could not load document');
+    return;
+  }
+
+  await restrictToEditors(ws, docName);
+
+  ws.off('message', bufferMessage);
+  if (ws.readyState !== ws.OPEN) return;
+
+  setupWSConnection(ws, req, { docName });
+  pending.forEach(message => ws.emit('message', message));
+
+  ws.on('close', () => {
+    console.log(`📝 Yjs client disconnected from ${docName}`);
+  });
+}
@@ -20,7 +20,11 @@ function App() {
             path="/session/:sessionId"
             element={
               sessionData ? (
-                <WikiSession sessionData={sessionData} />
+                <WikiSession
+                  key={sessionData.sessionId}
+                  sessionData={sessionData}
+                  onSessionStart={setSessionData}
+                />
               ) : (
                 <Navigate to="/" replace />
               )
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import './BacklinksPanel.css';
+
+const FIELD_LABELS = {
+  definition: 'Definition',
+  details: 'Details'
+};
+
+/**
+ * "What links here" for a wiki page
+ * - Lists the pages that link to this page (directly or through an alias)
+ * - Shows the text around each reference
+ */
+function BacklinksPanel({ sessionId, filename, token, onNavigate }) {
+  const [backlinks, setBacklinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBacklinks = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`/api/wiki/pages/${filename}/backlinks?sessionId=${sessionId}`, {
+          headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+        });
+        if (!response.ok) throw new Error('Failed to load backlinks');
+
+        const data = await response.json();
+        if (!cancelled) setBacklinks(data.backlinks || []);
+      } catch (err) {
+        console.error('Error loading backlinks:', err);
+        if (!cancelled) setBacklinks([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchBacklinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, filename, token]);
+
+  return (
+    <div className="preview-section backlinks-panel">
+      <h2>Linked From</h2>
+      {loading ? (
+        <p className="backlinks-empty">Loading...</p>
+      ) : backlinks.length === 0 ? (
+        <p className="backlinks-empty">No other pages link here.</p>
+      ) : (
+        <ul className="backlinks-list">
+          {backlinks.map(backlink => (
+            <li key={backlink.filename} className="backlink-item">
+              <button
+                type="button"
+                className="backlink-title"
+                onClick={() => onNavigate && onNavigate(backlink.title)}
+              >
+                {backlink.title}
+              </button>
+              {backlink.references.map((reference, idx) => (
+                <div key={idx} className="backlink-reference">
+                  <span className="backlink-field">
+                    {reference.field === 'section'
+                      ? reference.sectionTitle || 'Untitled section'
+                      : FIELD_LABELS[reference.field]}
+                  </span>
+                  <span className="backlink-context">
+                    {reference.before}
+                    <strong>{reference.linkText}</strong>
+                    {reference.after}
+                  </span>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BacklinksPanel;
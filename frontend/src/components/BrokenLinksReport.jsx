@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './BrokenLinksReport.css';
+
+const FIELD_LABELS = {
+  definition: 'Definition',
+  details: 'Details'
+};
+
+// Suggestions this close are almost certainly what the link meant
+const CONFIDENT_SCORE = 0.8;
+
+// Encode a fix choice as a <select> value: "create", "retarget:<filename>" or "alias:<filename>"
+function toFix(target, choice) {
+  const [action, filename] = choice.split(/:(.*)/s);
+  return { target, action, ...(filename && { filename }) };
+}
+
+function defaultChoice(brokenLink) {
+  const best = brokenLink.suggestions[0];
+  return best && best.score >= CONFIDENT_SCORE ? `retarget:${best.filename}` : 'create';
+}
+
+/**
+ * Session-wide broken link report
+ * - Lists every link target that doesn't resolve, with the pages linking to it
+ * - Suggests existing pages by fuzzy matching titles and aliases
+ * - Fixes links one at a time or in bulk: create a stub page, retarget the
+ *   links, or add the target as an alias
+ */
+function BrokenLinksReport({ sessionId, token, canEdit, onOpenPage, onFixed, onClose }) {
+  const [brokenLinks, setBrokenLinks] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const showReport = (links) => {
+    setBrokenLinks(links);
+    setChoices(Object.fromEntries(links.map(link => [link.target, defaultChoice(link)])));
+    setSelected(new Set());
+  };
+
+  useEffect(() => {
+    const fetchBrokenLinks = async () => {
+      try {
+        setLoading(true);
+        const data = await authenticatedFetch(`/api/wiki/links/broken?sessionId=${sessionId}`, {}, token);
+        showReport(data.brokenLinks || []);
+      } catch (err) {
+        setError('Failed to load broken links: ' + err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBrokenLinks();
+  }, [sessionId, token]);
+
+  const applyFixes = async (targets) => {
+    try {
+      setApplying(true);
+      setError('');
+      setMessage('');
+
+      const data = await authenticatedFetch(
+        `/api/wiki/links/fix?sessionId=${sessionId}`,
+        {
+          method: 'POST',
+          body: JSON.stringify({ fixes: targets.map(target => toFix(target, choices[target])) })
+        },
+        token
+      );
+
+      const failed = data.results.filter(result => !result.success);
+      const fixed = data.results.length - failed.length;
+      if (fixed > 0) {
+        setMessage(`Fixed ${fixed} broken link target${fixed !== 1 ? 's' : ''}`);
+      }
+      if (failed.length > 0) {
+        setError(failed.map(result => `${result.target}: ${result.error}`).join('; '));
+      }
+
+      showReport(data.brokenLinks || []);
+      if (fixed > 0 && onFixed) {
+        onFixed();
+      }
+    } catch (err) {
+      setError('Failed to fix links: ' + err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const toggleSelected = (target) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(target)) {
+        next.delete(target);
+      } else {
+        next.add(target);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = brokenLinks.length > 0 && selected.size === brokenLinks.length;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="broken-links-report" onClick={(e) => e.stopPropagation()}>
+        <div className="broken-links-header">
+          <h2>🔗 Broken Links</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="broken-links-error">{error}</div>}
+        {message && <div className="broken-links-message">{message}</div>}
+
+        {canEdit && brokenLinks.length > 0 && (
+          <div className="broken-links-toolbar">
+            <label className="broken-links-select-all">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? new Set() : new Set(brokenLinks.map(link => link.target)))}
+              />
+              Select all
+            </label>
+            <button
+              className="broken-links-apply-button"
+              onClick={() => applyFixes([...selected])}
+              disabled={applying || selected.size === 0}
+            >
+              {applying ? 'Fixing...' : `Apply ${selected.size} selected fix${selected.size !== 1 ? 'es' : ''}`}
+            </button>
+          </div>
+        )}
+
+        <div className="broken-links-body">
+          {loading ? (
+            <div className="broken-links-empty">Checking links...</div>
+          ) : brokenLinks.length === 0 ? (
+            <div className="broken-links-empty">✅ Every link in this session points to an existing page</div>
+          ) : (
+            brokenLinks.map(brokenLink => (
+              <div key={brokenLink.target} className="broken-link">
+                <div className="broken-link-header">
+                  {canEdit && (
+                    <input
+                      type="checkbox"
+                      checked={selected.has(brokenLink.target)}
+                      onChange={() => toggleSelected(brokenLink.target)}
+                    />
+                  )}
+                  <span className="broken-link-target">{brokenLink.target}</span>
+                  <span className="broken-link-count">
+                    {brokenLink.references.length} link{brokenLink.references.length !== 1 ? 's' : ''}
+                  </span>
+                </div>
+
+                <ul className="broken-link-references">
+                  {brokenLink.references.map((reference, idx) => (
+                    <li key={idx}>
+                      <button
+                        type="button"
+                        className="broken-link-source"
+                        onClick={() => onOpenPage(reference.filename)}
+                      >
+                        {reference.title}
+                      </button>
+                      <span className="broken-link-field">
+                        {reference.field === 'section'
+                          ? reference.sectionTitle || 'Untitled section'
+                          : FIELD_LABELS[reference.field]}
+                      </span>
+                      <span className="broken-link-context">
+                        {reference.before}
+                        <strong>{reference.linkText}</strong>
+                        {reference.after}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                {canEdit && (
+                  <div className="broken-link-fix">
+                    <select
+                      className="broken-link-fix-select"
+                      value={choices[brokenLink.target] || 'create'}
+                      onChange={(e) => setChoices(prev => ({ ...prev, [brokenLink.target]: e.target.value }))}
+                    >
+                      <option value="create">Create a stub page "{brokenLink.target}"</option>
+                      {brokenLink.suggestions.map(suggestion => (
+                        <React.Fragment key={suggestion.filename}>
+                          <option value={`retarget:${suggestion.filename}`}>
+                            Link to "{suggestion.title}"
+                            {suggestion.matchedAlias ? ` (alias "${suggestion.matchedName}")` : ''}
+                            {` — ${Math.round(suggestion.score * 100)}% match`}
+                          </option>
+                          <option value={`alias:${suggestion.filename}`}>
+                            Add "{brokenLink.target}" as an alias of "{suggestion.title}"
+                          </option>
+                        </React.Fragment>
+                      ))}
+                    </select>
+                    <button
+                      className="broken-link-fix-button"
+                      onClick={() => applyFixes([brokenLink.target])}
+                      disabled={applying}
+                    >
+                      Fix
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BrokenLinksReport;
@@ -1,27 +1,74 @@
-import { useEffect, useRef, useState } from 'react';
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
 import ShareDB from 'sharedb/lib/client';
 import ReconnectingWebSocket from 'reconnecting-websocket';
+import { useAuth } from '../contexts/AuthContext';
+import { splitHighlights, transformRange } from '../utils/textAnchors';
+import { opToChanges, textChangeOp } from '../../../shared/textDiff';
+import { usePresence } from '../utils/presence';
 import './CollaborativeEditor.css';
 
 /**
  * Collaborative text editor using ShareDB for real-time synchronization
+ * - highlights: [{ id, start, end, active }] ranges of the content to mark (e.g. commented text)
+ * - onSelectionChange: called with { start, end, text } when the selection changes
+ * - initialValue: content for a document that doesn't exist yet; after that the
+ *   document is the source of truth, and text is added to it through the ref's appendText
  */
-function CollaborativeEditor({ filename, initialValue, onChange, placeholder, className, sessionData }) {
+const CollaborativeEditor = forwardRef(function CollaborativeEditor({ filename, initialValue, onChange, placeholder, className, sessionData, highlights, onSelectionChange }, ref) {
+  const { user } = useAuth();
   const textareaRef = useRef(null);
-  const editorContainerRef = useRef(null);
   const [doc, setDoc] = useState(null);
   const [docReady, setDocReady] = useState(false);
-  const [users, setUsers] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
   const suppressChangeRef = useRef(false);
-  const presenceSocketRef = useRef(null);
+  const [content, setContent] = useState(initialValue || '');
 
-  // Generate a random user ID and color
+  // Random ID telling our own ops apart from remote ones, and a cursor color
   const userIdRef = useRef(`user-${Math.random().toString(36).substr(2, 9)}`);
   const userColorRef = useRef(`hsl(${Math.random() * 360}, 70%, 60%)`);
 
-  // Get username from sessionData or generate a fallback
-  const userName = sessionData?.username || 'User ' + userIdRef.current.substring(userIdRef.current.length - 4);
+  // Others editing this field, with their cursors
+  const { users, send: sendPresence } = usePresence(user, {
+    sessionId: sessionData?.sessionId,
+    doc: filename,
+    color: userColorRef.current
+  });
+
+  // Where each remote user's selection is now: user id -> { start, end }. Taken from
+  // their presence updates and moved through every op until their next update.
+  const [remoteSelections, setRemoteSelections] = useState({});
+  const reportedSelectionsRef = useRef({}); // user id -> the last { start, end } they sent
+
+  useEffect(() => {
+    const reported = {};
+    users.forEach(u => {
+      reported[u.id] = { start: u.cursorPosition || 0, end: Math.max(u.cursorPosition || 0, u.selectionEnd || 0) };
+    });
+
+    setRemoteSelections(prev => {
+      const next = {};
+      users.forEach(u => {
+        const last = reportedSelectionsRef.current[u.id];
+        const moved = last && last.start === reported[u.id].start && last.end === reported[u.id].end;
+        next[u.id] = moved && prev[u.id] ? prev[u.id] : reported[u.id];
+      });
+      return next;
+    });
+    reportedSelectionsRef.current = reported;
+  }, [users]);
+
+  const moveRemoteSelections = (op) => {
+    const changes = opToChanges(op);
+    if (changes.length === 0) return;
+
+    setRemoteSelections(prev => {
+      const next = {};
+      Object.entries(prev).forEach(([id, range]) => {
+        next[id] = changes.reduce((moved, change) => transformRange(moved, change), range);
+      });
+      return next;
+    });
+  };
 
   // Auto-resize textarea
   const autoResize = () => {
@@ -37,52 +84,47 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
     autoResize();
   }, [initialValue]);
 
-  // Watch for external changes to initialValue and update the document
-  useEffect(() => {
-    if (!doc || !docReady || !textareaRef.current || suppressChangeRef.current) return;
-
-    const currentContent = doc.data?.content || '';
-    const newContent = initialValue || '';
+  // Add text at the end of the document, e.g. an inserted link. Only the new text
+  // is submitted, so edits made meanwhile by others are kept.
+  useImperativeHandle(ref, () => ({
+    appendText(text) {
+      if (!doc || !doc.type || !textareaRef.current) return;
 
-    // Only update if the content is actually different
-    if (currentContent !== newContent) {
-      // Submit operation to replace entire content
-      const op = [{ p: ['content'], od: currentContent, oi: newContent }];
-      doc.submitOp(op, { source: userIdRef.current }, (err) => {
+      const currentContent = doc.data.content || '';
+      const newContent = currentContent ? `${currentContent}\n${text}` : text;
+      doc.submitOp(textChangeOp(currentContent, newContent), { source: userIdRef.current }, (err) => {
         if (err) {
-          console.error('Error updating document:', err);
-          return;
+          console.error('Error appending to document:', err);
         }
-
-        // Update textarea
-        suppressChangeRef.current = true;
-        textareaRef.current.value = newContent;
-        suppressChangeRef.current = false;
-
-        // Auto-resize after update
-        setTimeout(autoResize, 0);
       });
+
+      // The op is applied locally at once; show the document as it now is
+      suppressChangeRef.current = true;
+      textareaRef.current.value = doc.data.content || '';
+      setContent(doc.data.content || '');
+      if (onChange) {
+        onChange(doc.data.content || '');
+      }
+      suppressChangeRef.current = false;
+      setTimeout(autoResize, 0);
     }
-  }, [initialValue, doc, docReady]);
+  }), [doc, onChange]);
 
   // Send cursor position update
   const sendCursorUpdate = () => {
     const textarea = textareaRef.current;
-    const socket = presenceSocketRef.current;
 
-    if (textarea && socket && socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify({
+    if (textarea) {
+      sendPresence({
         type: 'cursor-update',
-        userId: userIdRef.current,
-        filename: filename,
         cursorPosition: textarea.selectionStart,
         selectionEnd: textarea.selectionEnd
-      }));
+      });
     }
   };
 
   useEffect(() => {
-    if (!filename) return;
+    if (!filename || !user) return;
 
     // Determine WebSocket URL based on environment
     const getWebSocketUrl = () => {
@@ -100,17 +142,14 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
 
     const wsBaseUrl = getWebSocketUrl();
 
-    // Create ShareDB WebSocket connection
-    const shareSocket = new ReconnectingWebSocket(wsBaseUrl);
+    // The server only accepts signed-in session members, and attributes saved
+    // revisions to the token's user. Each reconnect fetches a fresh token.
+    const shareSocket = new ReconnectingWebSocket(async () => {
+      const token = await user.getIdToken();
+      return `${wsBaseUrl}/?${new URLSearchParams({ token })}`;
+    });
     const shareConnection = new ShareDB.Connection(shareSocket);
 
-    // Create separate presence WebSocket connection
-    // In production, use /ws/presence; in development, use /presence
-    const presenceUrl = window.location.hostname === 'localhost' && window.location.port === '5173'
-      ? 'ws://localhost:3001/presence'
-      : `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws/presence`;
-    const presenceSocket = new ReconnectingWebSocket(presenceUrl);
-
     // Get or create the document - include sessionId in document ID
     const docId = `${sessionData.sessionId}/${filename}`;
     const shareDoc = shareConnection.get('wiki-pages', docId);
@@ -125,38 +164,6 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
       setIsConnected(false);
     });
 
-    // Store presence socket reference
-    presenceSocketRef.current = presenceSocket;
-
-    // Handle presence connection
-    presenceSocket.addEventListener('open', () => {
-      console.log('👥 Connected to presence server');
-
-      // Send user info
-      presenceSocket.send(JSON.stringify({
-        type: 'user-info',
-        userId: userIdRef.current,
-        userName: userName,
-        color: userColorRef.current,
-        filename: filename,
-        cursorPosition: 0,
-        selectionEnd: 0
-      }));
-    });
-
-    presenceSocket.addEventListener('message', (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        if (data.type === 'presence') {
-          // Filter users to only show those editing the same document
-          const documentUsers = (data.users || []).filter(u => u.filename === filename && u.userId !== userIdRef.current);
-          setUsers(documentUsers);
-        }
-      } catch (err) {
-        console.error('Error parsing presence message:', err);
-      }
-    });
-    
     // Subscribe to the document
     shareDoc.subscribe((err) => {
       if (err) {
@@ -181,6 +188,7 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
         if (textareaRef.current && shareDoc.data) {
           suppressChangeRef.current = true;
           textareaRef.current.value = shareDoc.data.content || '';
+          setContent(shareDoc.data.content || '');
           if (onChange) {
             onChange(shareDoc.data.content || '');
           }
@@ -194,20 +202,27 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
     
     // Listen for remote changes
     shareDoc.on('op', (op, source) => {
+      // Remote selections move with every edit, ours included
+      moveRemoteSelections(op);
+
       if (source === userIdRef.current) return; // Ignore own changes
 
       console.log('📥 Received operation:', op);
 
       if (textareaRef.current && shareDoc.data) {
         const textarea = textareaRef.current;
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
+
+        // Keep our cursor on the same text: move it through the remote edit
+        const selection = opToChanges(op).reduce(
+          (moved, change) => transformRange(moved, change),
+          { start: textarea.selectionStart, end: textarea.selectionEnd }
+        );
 
         suppressChangeRef.current = true;
         textarea.value = shareDoc.data.content || '';
+        setContent(shareDoc.data.content || '');
 
-        // Try to preserve cursor position
-        textarea.setSelectionRange(start, end);
+        textarea.setSelectionRange(selection.start, selection.end);
 
         if (onChange) {
           onChange(shareDoc.data.content || '');
@@ -227,9 +242,8 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
       shareDoc.destroy();
       shareConnection.close();
       shareSocket.close();
-      presenceSocket.close();
     };
-  }, [filename]);
+  }, [filename, user]);
   
   const handleChange = (e) => {
     if (suppressChangeRef.current) return;
@@ -237,8 +251,8 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
     const newValue = e.target.value;
 
     if (doc && doc.type) {
-      // Submit operation to ShareDB
-      const op = [{ p: ['content'], od: doc.data.content, oi: newValue }];
+      // Submit just the characters typed or deleted, so they merge with others' edits
+      const op = textChangeOp(doc.data.content || '', newValue);
       doc.submitOp(op, { source: userIdRef.current }, (err) => {
         if (err) {
           console.error('Error submitting operation:', err);
@@ -246,6 +260,7 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
       });
     }
 
+    setContent(newValue);
     if (onChange) {
       onChange(newValue);
     }
@@ -258,93 +273,30 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
   // Handle cursor/selection changes
   const handleSelect = () => {
     sendCursorUpdate();
-  };
-  
-  // Calculate cursor position in pixels accounting for line wrapping
-  const getCursorCoordinates = (position) => {
+
     const textarea = textareaRef.current;
-    const container = editorContainerRef.current;
-    if (!textarea || !container) return { top: 0, left: 0 };
-
-    // Use a hidden div that we temporarily make visible to measure cursor position
-    // This approach creates a contenteditable div that matches the textarea exactly
-    const computedStyle = window.getComputedStyle(textarea);
-    const measureDiv = document.createElement('div');
-
-    // Get padding values
-    const paddingTop = parseFloat(computedStyle.paddingTop);
-    const paddingLeft = parseFloat(computedStyle.paddingLeft);
-    const paddingRight = parseFloat(computedStyle.paddingRight);
-
-    // Calculate the content width
-    const totalWidth = parseFloat(computedStyle.width);
-    const borderLeft = parseFloat(computedStyle.borderLeftWidth);
-    const borderRight = parseFloat(computedStyle.borderRightWidth);
-    const contentWidth = totalWidth - paddingLeft - paddingRight - borderLeft - borderRight;
-
-    // Copy all styles to match textarea rendering exactly
-    measureDiv.contentEditable = 'true';
-    measureDiv.style.position = 'absolute';
-    measureDiv.style.visibility = 'hidden';
-    measureDiv.style.top = '-9999px';
-    measureDiv.style.left = '-9999px';
-    measureDiv.style.whiteSpace = 'pre-wrap'; // Match textarea wrapping
-    measureDiv.style.overflowWrap = 'break-word'; // Match textarea word breaking
-    measureDiv.style.width = `${contentWidth}px`;
-    measureDiv.style.font = computedStyle.font;
-    measureDiv.style.fontSize = computedStyle.fontSize;
-    measureDiv.style.fontFamily = computedStyle.fontFamily;
-    measureDiv.style.fontWeight = computedStyle.fontWeight;
-    measureDiv.style.lineHeight = computedStyle.lineHeight;
-    measureDiv.style.letterSpacing = computedStyle.letterSpacing;
-    measureDiv.style.padding = '0';
-    measureDiv.style.border = 'none';
-    measureDiv.style.margin = '0';
-    measureDiv.style.boxSizing = 'content-box';
-
-    document.body.appendChild(measureDiv);
-
-    // Set the text content
-    measureDiv.textContent = textarea.value;
-
-    // Create a range and set it to the cursor position
-    const range = document.createRange();
-    const textNode = measureDiv.firstChild;
-
-    if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-      // Set the range to the cursor position
-      const cursorPos = Math.min(position, textNode.length);
-      range.setStart(textNode, cursorPos);
-      range.setEnd(textNode, cursorPos);
-
-      // Get the bounding rect of the range (this is where the cursor would be)
-      const rangeRect = range.getBoundingClientRect();
-      const divRect = measureDiv.getBoundingClientRect();
-
-      // Calculate position relative to the div
-      const top = rangeRect.top - divRect.top;
-      const left = rangeRect.left - divRect.left;
-
-      // Clean up
-      document.body.removeChild(measureDiv);
-
-      // Get textarea's position relative to the editor container
-      const textareaRect = textarea.getBoundingClientRect();
-      const containerRect = container.getBoundingClientRect();
-      const textareaOffsetTop = textareaRect.top - containerRect.top;
-      const textareaOffsetLeft = textareaRect.left - containerRect.left;
-
-      // Add textarea padding and offset to get the final position relative to container
-      return {
-        top: top + paddingTop + textareaOffsetTop,
-        left: left + paddingLeft + textareaOffsetLeft
-      };
+    if (onSelectionChange && textarea) {
+      const { selectionStart: start, selectionEnd: end } = textarea;
+      onSelectionChange({ start, end, text: textarea.value.substring(start, end) });
     }
-
-    // Fallback if no text node
-    document.body.removeChild(measureDiv);
-    return { top: paddingTop, left: paddingLeft };
   };
+  
+  const visibleRanges = (highlights || []).filter(range => range.start < range.end);
+
+  // Other users' selections and carets, drawn over a copy of the text
+  const remoteUsers = users.filter(u => remoteSelections[u.id]);
+  const remoteRanges = remoteUsers.map(u => ({ id: u.id, color: u.color, ...remoteSelections[u.id] }));
+  const caretsAt = (position) => remoteUsers
+    .filter(u => Math.min(remoteSelections[u.id].end, content.length) === position)
+    .map(u => (
+      <span
+        key={`caret-${u.id}`}
+        className={`remote-caret ${u.status === 'away' ? 'away' : ''}`}
+        style={{ borderColor: u.color }}
+      >
+        <span className="remote-caret-label" style={{ backgroundColor: u.color }}>{u.userName}</span>
+      </span>
+    ));
 
   return (
     <div className="collaborative-editor">
@@ -358,12 +310,12 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
         {users.length > 0 && (
           <div className="active-users">
             <span className="users-label">Active users:</span>
-            {users.map((user, index) => (
+            {users.map(user => (
               <div
-                key={index}
-                className="user-avatar"
+                key={user.id}
+                className={`user-avatar ${user.status === 'away' ? 'away' : ''}`}
                 style={{ backgroundColor: user.color }}
-                title={user.userName}
+                title={user.status === 'away' ? `${user.userName} (away)` : user.userName}
               >
                 {user.userName.charAt(0)}
               </div>
@@ -371,7 +323,27 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
           </div>
         )}
       </div>
-      <div className="editor-container" ref={editorContainerRef}>
+      <div className={`editor-container ${visibleRanges.length > 0 ? 'has-highlights' : ''}`}>
+        {/* Highlights are drawn on a copy of the text behind the transparent textarea */}
+        {visibleRanges.length > 0 && (
+          <div className="editor-highlights" aria-hidden="true">
+            {splitHighlights(content, visibleRanges).map(segment => {
+              const text = content.substring(segment.start, segment.end);
+              if (segment.highlights.length === 0) return <span key={segment.start}>{text}</span>;
+              const active = segment.highlights.some(range => range.active);
+              return (
+                <mark
+                  key={segment.start}
+                  className={`editor-highlight ${active ? 'active' : ''}`}
+                  data-comment-ids={segment.highlights.map(range => range.id).join(' ')}
+                >
+                  {text}
+                </mark>
+              );
+            })}
+            {'\u200b'}
+          </div>
+        )}
         <textarea
           ref={textareaRef}
           onChange={handleChange}
@@ -382,31 +354,28 @@ function CollaborativeEditor({ filename, initialValue, onChange, placeholder, cl
           className={className}
           defaultValue={initialValue}
         />
-        {/* Render cursor indicators for other users */}
-        {users.map((user, index) => {
-          const coords = getCursorCoordinates(user.cursorPosition || 0);
-          return (
-            <div
-              key={index}
-              className="remote-cursor"
-              style={{
-                top: `${coords.top}px`,
-                left: `${coords.left}px`,
-                borderColor: user.color
-              }}
-            >
-              <div
-                className="cursor-label"
-                style={{ backgroundColor: user.color }}
-              >
-                {user.userName}
-              </div>
-            </div>
-          );
-        })}
+        {remoteUsers.length > 0 && (
+          <div className="editor-remote-layer" aria-hidden="true">
+            {splitHighlights(content, remoteRanges, remoteUsers.map(u => remoteSelections[u.id].end)).map(segment => {
+              const text = content.substring(segment.start, segment.end);
+              return (
+                <React.Fragment key={segment.start}>
+                  {caretsAt(segment.start)}
+                  {segment.highlights.length === 0 ? text : (
+                    <mark className="remote-selection" style={{ backgroundColor: segment.highlights[0].color }}>
+                      {text}
+                    </mark>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {caretsAt(content.length)}
+            {'\u200b'}
+          </div>
+        )}
       </div>
     </div>
   );
-}
+});
 
 export default CollaborativeEditor;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './Modal.css';
+import './CommentInbox.css';
+
+const STATUS_FILTERS = {
+  unresolved: 'Unresolved',
+  resolved: 'Resolved',
+  all: 'All threads'
+};
+
+/**
+ * Comment threads across every page of a session
+ * - Filter by resolved state, author, mentions of me, tasks and comment text
+ * - Clicking a thread opens its page at the commented text
+ */
+function CommentInbox({ sessionId, token, currentUserId, pages, onOpenThread, onClose }) {
+  const [threads, setThreads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [sessionUsers, setSessionUsers] = useState([]);
+  const [status, setStatus] = useState('unresolved');
+  const [authorId, setAuthorId] = useState('');
+  const [mentionsMe, setMentionsMe] = useState(false);
+  const [tasksOnly, setTasksOnly] = useState(false);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const titlesByFilename = new Map(pages.map(page => [page.filename, page.title]));
+
+  useEffect(() => {
+    authenticatedFetch(`/api/session/${sessionId}/users`, {}, token)
+      .then(data => setSessionUsers(data.users || []))
+      .catch(err => console.error('Failed to fetch session users:', err));
+  }, [sessionId, token]);
+
+  // Reload as the filters change; typing in the search box is debounced
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams();
+        if (status !== 'all') params.set('resolved', status === 'resolved' ? 'true' : 'false');
+        if (authorId) params.set('authorId', authorId);
+        if (mentionsMe && currentUserId) params.set('mentionedUserId', currentUserId);
+        if (tasksOnly) params.set('assigned', 'true');
+        if (query.trim()) params.set('q', query.trim());
+
+        const data = await authenticatedFetch(`/api/comments/session/${sessionId}?${params}`, {}, token);
+        if (cancelled) return;
+        setThreads(data.threads || []);
+        setTotal(data.total || 0);
+        setError('');
+      } catch (err) {
+        if (!cancelled) setError('Failed to load comments: ' + err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionId, token, currentUserId, status, authorId, mentionsMe, tasksOnly, query]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="comment-inbox" onClick={(e) => e.stopPropagation()}>
+        <div className="comment-inbox-header">
+          <h2>💬 All Comments</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="comment-inbox-filters">
+          <input
+            type="text"
+            className="comment-inbox-search"
+            placeholder="Search comments..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="comment-inbox-select">
+            {Object.entries(STATUS_FILTERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={authorId} onChange={(e) => setAuthorId(e.target.value)} className="comment-inbox-select">
+            <option value="">Anyone</option>
+            {sessionUsers.map(u => (
+              <option key={u.id} value={u.id}>{u.displayName || u.email}</option>
+            ))}
+          </select>
+          <label className="comment-inbox-toggle">
+            <input type="checkbox" checked={mentionsMe} onChange={(e) => setMentionsMe(e.target.checked)} />
+            Mentions me
+          </label>
+          <label className="comment-inbox-toggle">
+            <input type="checkbox" checked={tasksOnly} onChange={(e) => setTasksOnly(e.target.checked)} />
+            Assigned
+          </label>
+        </div>
+
+        {error && <div className="comment-inbox-error">{error}</div>}
+
+        <div className="comment-inbox-body">
+          {loading && threads.length === 0 ? (
+            <div className="comment-inbox-empty">Loading comments...</div>
+          ) : threads.length === 0 ? (
+            <div className="comment-inbox-empty">
+              {total === 0 ? 'No comments in this session yet' : 'No threads match these filters'}
+            </div>
+          ) : (
+            threads.map(thread => (
+              <button
+                key={thread.id}
+                type="button"
+                className={`comment-inbox-thread ${thread.resolved ? 'resolved' : ''}`}
+                onClick={() => onOpenThread(thread)}
+              >
+                <div className="comment-inbox-thread-header">
+                  <span className="comment-inbox-page">
+                    📄 {titlesByFilename.get(thread.pageFilename) || thread.pageFilename}
+                  </span>
+                  {thread.resolved && <span className="comment-inbox-badge">Resolved</span>}
+                  {thread.taskStatus && <span className="comment-inbox-badge task">Task</span>}
+                  <span className="comment-inbox-date">{new Date(thread.lastActivityAt).toLocaleString()}</span>
+                </div>
+                {thread.anchorField && (
+                  <div className={`comment-inbox-anchor ${thread.detached ? 'detached' : ''}`}>
+                    “{thread.anchorText || '…'}”
+                  </div>
+                )}
+                <div className="comment-inbox-content">
+                  <strong>{thread.userDisplayName || thread.userEmail}:</strong> {thread.content}
+                </div>
+                {thread.replies.length > 0 && (
+                  <div className="comment-inbox-replies">
+                    {thread.replies.length} repl{thread.replies.length === 1 ? 'y' : 'ies'}
+                  </div>
+                )}
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CommentInbox;
@@ -1,9 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
+import ReconnectingWebSocket from 'reconnecting-websocket';
 import { useAuth } from '../contexts/AuthContext';
-import { authenticatedFetch } from '../utils/api';
+import { authenticatedFetch, getWebSocketUrl } from '../utils/api';
+import { TASK_STATUS_LABELS } from './TaskList';
 import './CommentsSidebar.css';
 
-function CommentsSidebar({ sessionId, pageFilename }) {
+// Emoji offered for reactions; the server accepts the same set
+const REACTION_EMOJIS = ['👍', '❤️', '🎉', '😄', '👀', '🚀'];
+
+/**
+ * Comment threads of a page
+ * - anchor: { field, start, end, text } selection the next new comment is about;
+ *   without one, comments are about the whole page
+ * - anchorFields: fields of the page that still exist, to tell detached anchors apart
+ * - onCommentsChange: called with the comments whenever they change, to highlight anchors
+ * - hidden: keep following live updates while the sidebar isn't shown
+ * - onUnreadChange: called with the number of unread comments from other users
+ * - isOwner: session owners may edit and delete anyone's comments
+ */
+function CommentsSidebar({
+  sessionId,
+  pageFilename,
+  canComment = true,
+  isOwner = false,
+  anchor = null,
+  onClearAnchor,
+  anchorFields = [],
+  onCommentsChange,
+  activeCommentId = null,
+  onSelectComment,
+  hidden = false,
+  onUnreadChange
+}) {
   const { token, user } = useAuth();
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -16,6 +44,13 @@ function CommentsSidebar({ sessionId, pageFilename }) {
   const [mentionStartIndex, setMentionStartIndex] = useState(-1);
   const [selectedMentionIndex, setSelectedMentionIndex] = useState(0);
   const [isAssigned, setIsAssigned] = useState(false);
+  const [dueDate, setDueDate] = useState('');
+  const [unreadIds, setUnreadIds] = useState(new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [historyId, setHistoryId] = useState(null);
+  const [history, setHistory] = useState(null); // previous versions of historyId's comment
+  const [reactingId, setReactingId] = useState(null); // comment whose emoji picker is open
   const textareaRef = useRef(null);
   const dropdownRef = useRef(null);
 
@@ -60,9 +95,80 @@ function CommentsSidebar({ sessionId, pageFilename }) {
       }
     };
 
+    setUnreadIds(new Set());
     fetchComments();
   }, [sessionId, pageFilename, token]);
 
+  // Apply comment changes made by anyone viewing this page as they happen
+  useEffect(() => {
+    if (!sessionId || !pageFilename || !token) return;
+
+    const socket = new ReconnectingWebSocket(getWebSocketUrl('/comments'));
+
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify({ type: 'subscribe', token, sessionId, pageFilename }));
+    });
+
+    socket.addEventListener('message', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type === 'error') {
+          console.error('Comment updates unavailable:', data.error);
+        } else if (data.type === 'comment-event' && data.pageFilename === pageFilename) {
+          applyCommentEvent(data);
+        }
+      } catch (err) {
+        console.error('Error parsing comment event:', err);
+      }
+    });
+
+    return () => socket.close();
+  }, [sessionId, pageFilename, token]);
+
+  useEffect(() => {
+    if (onUnreadChange) {
+      onUnreadChange(unreadIds.size);
+    }
+  }, [unreadIds, onUnreadChange]);
+
+  useEffect(() => {
+    if (onCommentsChange) {
+      onCommentsChange(comments);
+    }
+  }, [comments, onCommentsChange]);
+
+  const applyCommentEvent = ({ event, comment, actorId }) => {
+    if (event === 'created') {
+      setComments(prev => prev.some(c => c.id === comment.id) ? prev : [...prev, comment]);
+      if (actorId !== user?.uid) {
+        setUnreadIds(prev => new Set(prev).add(comment.id));
+      }
+    } else if (event === 'updated') {
+      setComments(prev => prev.map(c => c.id === comment.id ? { ...c, ...comment } : c));
+    } else if (event === 'deleted') {
+      // Replies are deleted with their comment
+      setComments(prev => prev.filter(c => c.id !== comment.id && c.parentCommentId !== comment.id));
+      markRead(comment.id);
+    }
+  };
+
+  const markRead = (commentId) => {
+    setUnreadIds(prev => {
+      if (!prev.has(commentId)) return prev;
+      const next = new Set(prev);
+      next.delete(commentId);
+      return next;
+    });
+  };
+
+  const handleCommentClick = (e, comment) => {
+    e.stopPropagation();
+    markRead(comment.id);
+    if (!comment.parentCommentId && comment.anchorField && onSelectComment) {
+      onSelectComment(comment.id);
+    }
+  };
+
   // Fuzzy search for users
   const fuzzySearchUsers = (query) => {
     if (!query) return sessionUsers.slice(0, 5);
@@ -202,6 +308,8 @@ function CommentsSidebar({ sessionId, pageFilename }) {
 
     try {
       const mentions = extractMentions(newComment);
+      // Replies belong to their thread's anchor
+      const commentAnchor = replyTo ? null : anchor;
 
       const data = await authenticatedFetch(
         '/api/comments',
@@ -212,19 +320,26 @@ function CommentsSidebar({ sessionId, pageFilename }) {
             pageFilename,
             content: newComment,
             parentCommentId: replyTo,
-            positionStart: 0,
-            positionEnd: 0,
+            positionStart: commentAnchor ? commentAnchor.start : 0,
+            positionEnd: commentAnchor ? commentAnchor.end : 0,
+            ...(commentAnchor && { anchorField: commentAnchor.field, anchorText: commentAnchor.text }),
             mentions,
-            assigned: isAssigned
+            assigned: isAssigned,
+            ...(isAssigned && dueDate && { dueDate })
           })
         },
         token
       );
 
-      setComments([...comments, data.comment]);
+      // The live update for this comment may have arrived first
+      setComments(prev => prev.some(c => c.id === data.comment.id) ? prev : [...prev, data.comment]);
       setNewComment('');
       setReplyTo(null);
       setIsAssigned(false);
+      setDueDate('');
+      if (commentAnchor && onClearAnchor) {
+        onClearAnchor();
+      }
     } catch (err) {
       setError('Failed to add comment');
       console.error(err);
@@ -243,7 +358,7 @@ function CommentsSidebar({ sessionId, pageFilename }) {
         token
       );
 
-      setComments(comments.map(c => 
+      setComments(prev => prev.map(c =>
         c.id === commentId ? { ...c, resolved: !currentStatus } : c
       ));
     } catch (err) {
@@ -252,6 +367,103 @@ function CommentsSidebar({ sessionId, pageFilename }) {
     }
   };
 
+  const canManage = (comment) => canComment && (comment.userId === user?.uid || isOwner);
+
+  const startEditing = (comment) => {
+    setEditingId(comment.id);
+    setEditContent(comment.content);
+  };
+
+  // Save an edited comment
+  const handleSaveEdit = async (commentId) => {
+    if (!editContent.trim()) return;
+
+    try {
+      const data = await authenticatedFetch(
+        `/api/comments/${commentId}`,
+        {
+          method: 'PUT',
+          body: JSON.stringify({ content: editContent })
+        },
+        token
+      );
+
+      setComments(prev => prev.map(c =>
+        c.id === commentId && c.content !== editContent
+          ? { ...c, content: editContent, updatedAt: data.updatedAt, edited: true }
+          : c
+      ));
+      setEditingId(null);
+      if (historyId === commentId) {
+        setHistoryId(null);
+      }
+    } catch (err) {
+      setError('Failed to update comment: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  // Show or hide the previous versions of an edited comment
+  const handleToggleHistory = async (commentId) => {
+    if (historyId === commentId) {
+      setHistoryId(null);
+      return;
+    }
+
+    setHistoryId(commentId);
+    setHistory(null);
+    try {
+      const data = await authenticatedFetch(`/api/comments/${commentId}/history`, {}, token);
+      setHistory(data.edits || []);
+    } catch (err) {
+      setError('Failed to load comment history');
+      setHistoryId(null);
+      console.error(err);
+    }
+  };
+
+  // Change an assigned comment's status or due date
+  const handleUpdateTask = async (commentId, changes) => {
+    try {
+      const data = await authenticatedFetch(
+        `/api/comments/${commentId}/task`,
+        {
+          method: 'PATCH',
+          body: JSON.stringify(changes)
+        },
+        token
+      );
+
+      setComments(prev => prev.map(c => (c.id === commentId ? { ...c, ...data.task } : c)));
+    } catch (err) {
+      setError('Failed to update task: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  // Add the emoji to a comment's reactions, or take it back if it's already mine
+  const handleToggleReaction = async (comment, emoji) => {
+    const mine = (comment.reactions || []).some(r => r.emoji === emoji && r.users.some(u => u.id === user?.uid));
+    setReactingId(null);
+
+    try {
+      const data = await authenticatedFetch(
+        mine
+          ? `/api/comments/${comment.id}/reactions/${encodeURIComponent(emoji)}`
+          : `/api/comments/${comment.id}/reactions`,
+        mine
+          ? { method: 'DELETE' }
+          : { method: 'POST', body: JSON.stringify({ emoji }) },
+        token
+      );
+
+      setComments(prev => prev.map(c => (c.id === comment.id ? { ...c, reactions: data.reactions } : c)));
+    } catch (err) {
+      setError('Failed to update reaction: ' + err.message);
+      console.error(err);
+    }
+  };
+
   // Delete comment
   const handleDeleteComment = async (commentId) => {
     if (!confirm('Are you sure you want to delete this comment?')) return;
@@ -263,9 +475,9 @@ function CommentsSidebar({ sessionId, pageFilename }) {
         token
       );
 
-      setComments(comments.filter(c => c.id !== commentId));
+      setComments(prev => prev.filter(c => c.id !== commentId && c.parentCommentId !== commentId));
     } catch (err) {
-      setError('Failed to delete comment');
+      setError('Failed to delete comment: ' + err.message);
       console.error(err);
     }
   };
@@ -295,8 +507,24 @@ function CommentsSidebar({ sessionId, pageFilename }) {
     return threads;
   };
 
+  // The text a thread is about: detached once that text or its section was deleted
+  const renderAnchor = (comment) => {
+    const detached = comment.detached || !anchorFields.includes(comment.anchorField);
+    return (
+      <div className={`comment-anchor ${detached ? 'comment-anchor-detached' : ''}`}>
+        <div className="comment-anchor-text">“{comment.anchorText || '…'}”</div>
+        {detached && <div className="comment-anchor-note">The commented text was deleted</div>}
+      </div>
+    );
+  };
+
   const renderComment = (comment, isReply = false) => (
-    <div key={comment.id} className={`comment ${isReply ? 'comment-reply' : ''} ${comment.resolved ? 'comment-resolved' : ''}`}>
+    <div
+      key={comment.id}
+      data-comment-id={comment.id}
+      className={`comment ${isReply ? 'comment-reply' : ''} ${comment.resolved ? 'comment-resolved' : ''} ${comment.id === activeCommentId ? 'comment-active' : ''} ${unreadIds.has(comment.id) ? 'comment-unread' : ''}`}
+      onClick={(e) => handleCommentClick(e, comment)}
+    >
       <div className="comment-header">
         <div className="comment-author">
           <div className="comment-avatar">
@@ -304,10 +532,22 @@ function CommentsSidebar({ sessionId, pageFilename }) {
           </div>
           <div>
             <div className="comment-author-name">{comment.userDisplayName || comment.userEmail || 'Unknown'}</div>
-            <div className="comment-date">{new Date(comment.createdAt).toLocaleString()}</div>
+            <div className="comment-date">
+              {new Date(comment.createdAt).toLocaleString()}
+              {comment.edited && (
+                <button
+                  type="button"
+                  className="comment-edited"
+                  onClick={() => handleToggleHistory(comment.id)}
+                  title="Show previous versions"
+                >
+                  (edited)
+                </button>
+              )}
+            </div>
           </div>
         </div>
-        {comment.userId === user?.uid && (
+        {canManage(comment) && (
           <button
             onClick={() => handleDeleteComment(comment.id)}
             className="comment-delete"
@@ -318,19 +558,132 @@ function CommentsSidebar({ sessionId, pageFilename }) {
         )}
       </div>
       
-      <div className="comment-content">{comment.content}</div>
-      
-      <div className="comment-actions">
-        <button onClick={() => setReplyTo(comment.id)} className="comment-action-btn">
-          Reply
-        </button>
-        <button 
-          onClick={() => handleToggleResolve(comment.id, comment.resolved)}
-          className="comment-action-btn"
-        >
-          {comment.resolved ? 'Unresolve' : 'Resolve'}
-        </button>
-      </div>
+      {!isReply && comment.anchorField && renderAnchor(comment)}
+
+      {editingId === comment.id ? (
+        <div className="comment-edit">
+          <textarea
+            value={editContent}
+            onChange={(e) => setEditContent(e.target.value)}
+            className="comment-input"
+            rows={3}
+            autoFocus
+          />
+          <div className="comment-actions">
+            <button onClick={() => handleSaveEdit(comment.id)} className="comment-action-btn" disabled={!editContent.trim()}>
+              Save
+            </button>
+            <button onClick={() => setEditingId(null)} className="comment-action-btn">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="comment-content">{comment.content}</div>
+      )}
+
+      {comment.taskStatus && (
+        <div className={`comment-task comment-task-${comment.taskStatus}`}>
+          <span className="comment-task-assignees">
+            ✅ {comment.assignees.map(a => a.displayName || a.email).join(', ')}
+          </span>
+          {canComment ? (
+            <>
+              <select
+                value={comment.taskStatus}
+                onChange={(e) => handleUpdateTask(comment.id, { status: e.target.value })}
+                className="comment-task-status"
+              >
+                {Object.entries(TASK_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={comment.dueDate || ''}
+                onChange={(e) => handleUpdateTask(comment.id, { dueDate: e.target.value || null })}
+                className="comment-task-due"
+                title="Due date"
+              />
+            </>
+          ) : (
+            <span className="comment-task-label">
+              {TASK_STATUS_LABELS[comment.taskStatus]}
+              {comment.dueDate && ` · due ${comment.dueDate}`}
+            </span>
+          )}
+        </div>
+      )}
+
+      {historyId === comment.id && (
+        <div className="comment-history">
+          {history === null ? (
+            <div className="comment-history-empty">Loading previous versions...</div>
+          ) : history.length === 0 ? (
+            <div className="comment-history-empty">No previous versions</div>
+          ) : (
+            history.map((edit, idx) => (
+              <div key={idx} className="comment-history-entry">
+                <div className="comment-history-meta">
+                  Before {edit.editedByName ? `${edit.editedByName}'s` : 'an'} edit on {new Date(edit.editedAt).toLocaleString()}
+                </div>
+                <div className="comment-history-content">{edit.content}</div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {(comment.reactions?.length > 0 || reactingId === comment.id) && (
+        <div className="comment-reactions">
+          {(comment.reactions || []).map(reaction => (
+            <button
+              key={reaction.emoji}
+              type="button"
+              className={`comment-reaction ${reaction.users.some(u => u.id === user?.uid) ? 'comment-reaction-mine' : ''}`}
+              onClick={() => handleToggleReaction(comment, reaction.emoji)}
+              disabled={!canComment}
+              title={reaction.users.map(u => u.name).join(', ')}
+            >
+              {reaction.emoji} {reaction.users.length}
+            </button>
+          ))}
+          {reactingId === comment.id && (
+            <div className="comment-reaction-picker">
+              {REACTION_EMOJIS.map(emoji => (
+                <button key={emoji} type="button" onClick={() => handleToggleReaction(comment, emoji)}>
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {canComment && editingId !== comment.id && (
+        <div className="comment-actions">
+          <button onClick={() => setReplyTo(comment.id)} className="comment-action-btn">
+            Reply
+          </button>
+          <button 
+            onClick={() => handleToggleResolve(comment.id, comment.resolved)}
+            className="comment-action-btn"
+          >
+            {comment.resolved ? 'Unresolve' : 'Resolve'}
+          </button>
+          <button
+            onClick={() => setReactingId(reactingId === comment.id ? null : comment.id)}
+            className="comment-action-btn"
+          >
+            React
+          </button>
+          {canManage(comment) && (
+            <button onClick={() => startEditing(comment)} className="comment-action-btn">
+              Edit
+            </button>
+          )}
+        </div>
+      )}
 
       {comment.replies && comment.replies.length > 0 && (
         <div className="comment-replies">
@@ -343,10 +696,21 @@ function CommentsSidebar({ sessionId, pageFilename }) {
   const threads = organizeThreads();
 
   return (
-    <div className="comments-sidebar">
+    <div className={`comments-sidebar ${hidden ? 'comments-sidebar-hidden' : ''}`}>
       <div className="comments-header">
         <h3>Comments</h3>
-        <span className="comments-count">{comments.length}</span>
+        <div className="comments-header-badges">
+          {unreadIds.size > 0 && (
+            <button
+              className="comments-unread"
+              onClick={() => setUnreadIds(new Set())}
+              title="Mark all as read"
+            >
+              {unreadIds.size} new
+            </button>
+          )}
+          <span className="comments-count">{comments.length}</span>
+        </div>
       </div>
 
       {error && <div className="comments-error">{error}</div>}
@@ -361,61 +725,84 @@ function CommentsSidebar({ sessionId, pageFilename }) {
         )}
       </div>
 
-      <form onSubmit={handleAddComment} className="comment-form">
-        {replyTo && (
-          <div className="reply-indicator">
-            Replying to comment
-            <button type="button" onClick={() => setReplyTo(null)}>Cancel</button>
-          </div>
-        )}
-        <div className="comment-input-wrapper">
-          <textarea
-            ref={textareaRef}
-            value={newComment}
-            onChange={handleTextareaChange}
-            onKeyDown={handleTextareaKeyDown}
-            placeholder="Add a comment... (use @ to mention)"
-            className="comment-input"
-            rows={3}
-          />
-          {showMentionDropdown && (
-            <div ref={dropdownRef} className="mention-dropdown">
-              {filteredUsers.map((user, index) => (
-                <div
-                  key={user.email}
-                  className={`mention-item ${index === selectedMentionIndex ? 'selected' : ''}`}
-                  onClick={() => selectMention(user.email)}
-                  onMouseEnter={() => setSelectedMentionIndex(index)}
-                >
-                  <div className="mention-user-avatar">
-                    {(user.displayName || user.email).charAt(0).toUpperCase()}
-                  </div>
-                  <div className="mention-user-info">
-                    <div className="mention-user-name">{user.displayName || user.email}</div>
-                    <div className="mention-user-email">{user.email}</div>
+      {canComment ? (
+        <form onSubmit={handleAddComment} className="comment-form">
+          {replyTo && (
+            <div className="reply-indicator">
+              Replying to comment
+              <button type="button" onClick={() => setReplyTo(null)}>Cancel</button>
+            </div>
+          )}
+          {!replyTo && anchor && (
+            <div className="reply-indicator comment-anchor-indicator">
+              <span className="comment-anchor-text">Commenting on “{anchor.text}”</span>
+              <button type="button" onClick={onClearAnchor}>Cancel</button>
+            </div>
+          )}
+          <div className="comment-input-wrapper">
+            <textarea
+              ref={textareaRef}
+              value={newComment}
+              onChange={handleTextareaChange}
+              onKeyDown={handleTextareaKeyDown}
+              placeholder="Add a comment... (use @ to mention)"
+              className="comment-input"
+              rows={3}
+            />
+            {showMentionDropdown && (
+              <div ref={dropdownRef} className="mention-dropdown">
+                {filteredUsers.map((user, index) => (
+                  <div
+                    key={user.email}
+                    className={`mention-item ${index === selectedMentionIndex ? 'selected' : ''}`}
+                    onClick={() => selectMention(user.email)}
+                    onMouseEnter={() => setSelectedMentionIndex(index)}
+                  >
+                    <div className="mention-user-avatar">
+                      {(user.displayName || user.email).charAt(0).toUpperCase()}
+                    </div>
+                    <div className="mention-user-info">
+                      <div className="mention-user-name">{user.displayName || user.email}</div>
+                      <div className="mention-user-email">{user.email}</div>
+                    </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
+            )}
+          </div>
+          {extractMentions(newComment).length > 0 && (
+            <div className="comment-assign-wrapper">
+              <label className="comment-assign-label">
+                <input
+                  type="checkbox"
+                  checked={isAssigned}
+                  onChange={(e) => setIsAssigned(e.target.checked)}
+                  className="comment-assign-checkbox"
+                />
+                <span>Assign to mentioned users (send email notification)</span>
+              </label>
+              {isAssigned && (
+                <label className="comment-assign-label">
+                  <span>Due</span>
+                  <input
+                    type="date"
+                    value={dueDate}
+                    onChange={(e) => setDueDate(e.target.value)}
+                    className="comment-task-due"
+                  />
+                </label>
+              )}
             </div>
           )}
+          <button type="submit" className="comment-submit" disabled={!newComment.trim()}>
+            {replyTo ? 'Reply' : 'Comment'}
+          </button>
+        </form>
+      ) : (
+        <div className="comments-read-only">
+          Viewers can read comments but not add them
         </div>
-        {extractMentions(newComment).length > 0 && (
-          <div className="comment-assign-wrapper">
-            <label className="comment-assign-label">
-              <input
-                type="checkbox"
-                checked={isAssigned}
-                onChange={(e) => setIsAssigned(e.target.checked)}
-                className="comment-assign-checkbox"
-              />
-              <span>Assign to mentioned users (send email notification)</span>
-            </label>
-          </div>
-        )}
-        <button type="submit" className="comment-submit" disabled={!newComment.trim()}>
-          {replyTo ? 'Reply' : 'Comment'}
-        </button>
-      </form>
+      )}
     </div>
   );
 }
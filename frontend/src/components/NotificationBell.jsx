@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ReconnectingWebSocket from 'reconnecting-websocket';
+import { authenticatedFetch, getWebSocketUrl } from '../utils/api';
+import './NotificationBell.css';
+
+const EVENT_LABELS = {
+  mention: 'mentioned you',
+  assignment: 'assigned you a comment',
+  reply: 'replied to your comment',
+  page_change: 'changed'
+};
+
+/**
+ * Bell with the user's in-app notifications, updated live
+ * - onOpen: called with a notification when it's clicked, to show its page and comment
+ */
+function NotificationBell({ token, onOpen }) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const readIdsRef = useRef(new Set()); // read here and echoed back by the server; count them once
+
+  useEffect(() => {
+    if (!token) return;
+
+    authenticatedFetch('/api/notifications?limit=30', {}, token)
+      .then(data => {
+        setNotifications(data.notifications || []);
+        setUnreadCount(data.unreadCount || 0);
+      })
+      .catch(err => console.error('Failed to fetch notifications:', err));
+  }, [token]);
+
+  // New notifications, and notifications read in other tabs
+  useEffect(() => {
+    if (!token) return;
+
+    const socket = new ReconnectingWebSocket(getWebSocketUrl('/notifications'));
+
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify({ type: 'subscribe', token }));
+    });
+
+    socket.addEventListener('message', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type === 'notification') {
+          setNotifications(prev => prev.some(n => n.id === data.notification.id) ? prev : [data.notification, ...prev]);
+          setUnreadCount(prev => prev + 1);
+        } else if (data.type === 'notifications-read') {
+          applyRead(data.ids);
+        } else if (data.type === 'error') {
+          console.error('Notification updates unavailable:', data.error);
+        }
+      } catch (err) {
+        console.error('Error parsing notification:', err);
+      }
+    });
+
+    return () => socket.close();
+  }, [token]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  // ids: the notifications now read, or null for all of them
+  const applyRead = (ids) => {
+    if (ids === null) {
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnreadCount(0);
+      return;
+    }
+
+    const newlyRead = ids.filter(id => !readIdsRef.current.has(id));
+    newlyRead.forEach(id => readIdsRef.current.add(id));
+    setNotifications(prev => prev.map(n => (ids.includes(n.id) ? { ...n, read: true } : n)));
+    setUnreadCount(prev => Math.max(0, prev - newlyRead.length));
+  };
+
+  const handleClick = async (notification) => {
+    setOpen(false);
+    onOpen(notification);
+
+    if (notification.read) return;
+    try {
+      await authenticatedFetch(`/api/notifications/${notification.id}/read`, { method: 'POST' }, token);
+      applyRead([notification.id]);
+    } catch (err) {
+      console.error('Failed to mark notification read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await authenticatedFetch('/api/notifications/read-all', { method: 'POST' }, token);
+      applyRead(null);
+    } catch (err) {
+      console.error('Failed to mark notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="notification-bell-button"
+        onClick={() => setOpen(!open)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && <span className="notification-bell-badge">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-bell-dropdown">
+          <div className="notification-bell-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button className="notification-bell-mark-all" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <div className="notification-bell-empty">No notifications</div>
+          ) : (
+            notifications.map(notification => (
+              <button
+                key={notification.id}
+                className={`notification-bell-item ${notification.read ? '' : 'unread'}`}
+                onClick={() => handleClick(notification)}
+              >
+                <div className="notification-bell-text">
+                  <strong>{notification.actorName || 'Someone'}</strong>{' '}
+                  {EVENT_LABELS[notification.eventType] || notification.eventType}{' '}
+                  {notification.eventType === 'page_change' ? '' : 'on '}
+                  <strong>{(notification.pageFilename || '').replace(/\.hml$/, '')}</strong>
+                </div>
+                {notification.summary && (
+                  <div className="notification-bell-summary">{notification.summary}</div>
+                )}
+                <div className="notification-bell-date">{new Date(notification.createdAt).toLocaleString()}</div>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
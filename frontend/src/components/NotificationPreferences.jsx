@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './Modal.css';
+import './NotificationPreferences.css';
+
+const EVENT_TYPES = {
+  mention: { label: 'Mentions', description: 'Someone @mentions you in a comment' },
+  assignment: { label: 'Assignments', description: 'A comment is assigned to you as a task' },
+  reply: { label: 'Replies', description: 'Someone replies to your comment' },
+  page_change: { label: 'Watched pages', description: 'A page you watch is changed' }
+};
+
+const DELIVERIES = {
+  instant: 'Instant',
+  digest: 'Daily digest',
+  off: 'Off'
+};
+
+/**
+ * Choose how to be emailed about each kind of event: right away, in one
+ * daily digest, or not at all
+ */
+function NotificationPreferences({ token, onClose }) {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    authenticatedFetch('/api/users/me/notification-preferences', {}, token)
+      .then(data => setPreferences(data.preferences))
+      .catch(err => setError('Failed to load notification settings: ' + err.message));
+  }, [token]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await authenticatedFetch(
+        '/api/users/me/notification-preferences',
+        { method: 'PUT', body: JSON.stringify({ preferences }) },
+        token
+      );
+      onClose();
+    } catch (err) {
+      setError('Failed to save notification settings: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header modal-header-info">
+          <h2>🔔 Email Notifications</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="notification-preferences-error">{error}</div>}
+          {!preferences ? (
+            !error && <div className="notification-preferences-loading">Loading...</div>
+          ) : (
+            <table className="notification-preferences">
+              <thead>
+                <tr>
+                  <th></th>
+                  {Object.values(DELIVERIES).map(label => <th key={label}>{label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(EVENT_TYPES).map(([eventType, { label, description }]) => (
+                  <tr key={eventType}>
+                    <td>
+                      <div className="notification-preferences-label">{label}</div>
+                      <div className="notification-preferences-description">{description}</div>
+                    </td>
+                    {Object.keys(DELIVERIES).map(delivery => (
+                      <td key={delivery} className="notification-preferences-choice">
+                        <input
+                          type="radio"
+                          name={eventType}
+                          checked={preferences[eventType] === delivery}
+                          onChange={() => setPreferences(prev => ({ ...prev, [eventType]: delivery }))}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="modal-button secondary" onClick={onClose}>Cancel</button>
+          <button className="modal-button" onClick={handleSave} disabled={!preferences || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationPreferences;
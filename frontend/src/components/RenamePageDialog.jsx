@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './RenamePageDialog.css';
+
+/**
+ * Dialog for renaming a wiki page
+ * - Changes the title and/or filename
+ * - Links to the old title in other pages are rewritten by the server
+ * - Optionally keeps the old title as an alias
+ */
+function RenamePageDialog({ sessionId, page, token, onRenamed, onClose }) {
+  const [title, setTitle] = useState(page.title || '');
+  const [filename, setFilename] = useState(page.filename.replace(/\.hml$/, ''));
+  const [keepOldTitleAsAlias, setKeepOldTitleAsAlias] = useState(true);
+  const [backlinkCount, setBacklinkCount] = useState(null);
+  const [renaming, setRenaming] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchBacklinks = async () => {
+      try {
+        const response = await fetch(`/api/wiki/pages/${page.filename}/backlinks?sessionId=${sessionId}`, {
+          headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        setBacklinkCount((data.backlinks || []).length);
+      } catch (err) {
+        console.error('Error loading backlinks:', err);
+      }
+    };
+
+    fetchBacklinks();
+  }, [sessionId, page.filename, token]);
+
+  const titleChanged = title.trim() && title.trim() !== page.title;
+  const filenameChanged = filename.trim() && `${filename.trim().replace(/\.hml$/, '')}.hml` !== page.filename;
+
+  const handleRename = async () => {
+    if (!titleChanged && !filenameChanged) {
+      onClose();
+      return;
+    }
+
+    try {
+      setRenaming(true);
+      setError('');
+      const data = await authenticatedFetch(
+        `/api/wiki/pages/${page.filename}/rename?sessionId=${sessionId}`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            newTitle: title.trim(),
+            newFilename: filename.trim(),
+            keepOldTitleAsAlias
+          })
+        },
+        token
+      );
+      onRenamed(data.page, data.updatedPages || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRenaming(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="rename-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="rename-dialog-header">
+          <h2>✏️ Rename Page</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="rename-dialog-body">
+          <label htmlFor="rename-title">Title</label>
+          <input
+            id="rename-title"
+            type="text"
+            className="form-input"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            autoFocus
+          />
+
+          <label htmlFor="rename-filename">Filename (without .hml extension)</label>
+          <input
+            id="rename-filename"
+            type="text"
+            className="form-input"
+            value={filename}
+            onChange={(e) => setFilename(e.target.value)}
+          />
+
+          <label className="rename-checkbox">
+            <input
+              type="checkbox"
+              checked={keepOldTitleAsAlias}
+              onChange={(e) => setKeepOldTitleAsAlias(e.target.checked)}
+              disabled={!titleChanged}
+            />
+            Keep "{page.title}" as an alias
+          </label>
+
+          {titleChanged && backlinkCount > 0 && (
+            <p className="rename-note">
+              Links in {backlinkCount} page{backlinkCount !== 1 ? 's' : ''} that point to "{page.title}" will be updated.
+            </p>
+          )}
+
+          {error && <p className="rename-error">{error}</p>}
+        </div>
+
+        <div className="rename-dialog-footer">
+          <button className="rename-cancel-button" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="rename-confirm-button"
+            onClick={handleRename}
+            disabled={renaming || (!titleChanged && !filenameChanged)}
+          >
+            {renaming ? 'Renaming...' : 'Rename'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RenamePageDialog;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './RevisionHistory.css';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  definition: 'Definition',
+  details: 'Details',
+  aliases: 'Aliases',
+  sections: 'Sections'
+};
+
+/**
+ * Revision history panel for a wiki page
+ * - Lists every saved revision with author and time
+ * - Shows what changed in the selected revision
+ * - Restores the page to the selected revision
+ */
+function RevisionHistory({ sessionId, filename, token, onRestore, onClose, canRestore = true }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState('previous'); // 'previous' or 'current'
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const data = await authenticatedFetch(
+          `/api/wiki/pages/${filename}/revisions?sessionId=${sessionId}`,
+          {},
+          token
+        );
+        setRevisions(data.revisions || []);
+        if (data.revisions && data.revisions.length > 0) {
+          setSelectedId(data.revisions[0].id);
+        }
+      } catch (err) {
+        setError('Failed to load revisions');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [sessionId, filename, token]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const fetchDiff = async () => {
+      try {
+        const data = await authenticatedFetch(
+          `/api/wiki/pages/${filename}/revisions/${selectedId}/diff?sessionId=${sessionId}&compareTo=${compareTo}`,
+          {},
+          token
+        );
+        setDiff(data.diff);
+      } catch (err) {
+        setError('Failed to load changes');
+        console.error(err);
+      }
+    };
+
+    fetchDiff();
+  }, [selectedId, compareTo, sessionId, filename, token]);
+
+  const handleRestore = async () => {
+    if (!selectedId) return;
+    if (!confirm('Restore the page to this revision? The current content will be kept in the history.')) return;
+
+    try {
+      setRestoring(true);
+      const data = await authenticatedFetch(
+        `/api/wiki/pages/${filename}/revisions/${selectedId}/restore?sessionId=${sessionId}`,
+        { method: 'POST' },
+        token
+      );
+      onRestore(data.page);
+    } catch (err) {
+      setError('Failed to restore revision: ' + err.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const renderLines = (lines) => (
+    <pre className="revision-diff-lines">
+      {lines.map((line, idx) => (
+        <div key={idx} className={`revision-diff-line revision-diff-${line.type}`}>
+          <span className="revision-diff-marker">
+            {line.type === 'add' ? '+' : line.type === 'remove' ? '−' : ' '}
+          </span>
+          {line.text || ' '}
+        </div>
+      ))}
+    </pre>
+  );
+
+  const renderFieldDiff = (field, change) => {
+    if (!change.changed) return null;
+
+    if (field === 'aliases') {
+      return (
+        <div className="revision-diff-aliases">
+          {change.removed.map(alias => (
+            <span key={`-${alias}`} className="revision-alias revision-diff-remove">− {alias}</span>
+          ))}
+          {change.added.map(alias => (
+            <span key={`+${alias}`} className="revision-alias revision-diff-add">+ {alias}</span>
+          ))}
+        </div>
+      );
+    }
+
+    if (field === 'sections') {
+      return change.sections
+        .filter(section => section.status !== 'unchanged')
+        .map((section, idx) => (
+          <div key={`${section.status}-${idx}`} className="revision-diff-section">
+            <div className="revision-diff-section-title">
+              {section.previousTitle !== undefined && (
+                <span className="revision-diff-remove">{section.previousTitle || 'Untitled section'}</span>
+              )}
+              {section.previousTitle !== undefined && ' → '}
+              {section.title || 'Untitled section'} <span className="revision-diff-status">({section.status})</span>
+            </div>
+            {renderLines(section.lines)}
+          </div>
+        ));
+    }
+
+    return renderLines(change.lines);
+  };
+
+  const selectedIndex = revisions.findIndex(r => r.id === selectedId);
+  const changedFields = diff ? Object.keys(FIELD_LABELS).filter(field => diff[field].changed) : [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="revision-history" onClick={(e) => e.stopPropagation()}>
+        <div className="revision-history-header">
+          <h2>🕘 History: {filename}</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="revision-history-error">{error}</div>}
+
+        <div className="revision-history-body">
+          <div className="revision-list">
+            {loading ? (
+              <div className="revision-empty">Loading revisions...</div>
+            ) : revisions.length === 0 ? (
+              <div className="revision-empty">No revisions yet</div>
+            ) : (
+              revisions.map((revision, idx) => (
+                <div
+                  key={revision.id}
+                  className={`revision-item ${revision.id === selectedId ? 'selected' : ''}`}
+                  onClick={() => setSelectedId(revision.id)}
+                >
+                  <div className="revision-item-author">
+                    {revision.authorName || 'Unknown author'}
+                    {idx === 0 && <span className="revision-current-badge">Latest</span>}
+                  </div>
+                  <div className="revision-item-date">
+                    {new Date(revision.updatedAt).toLocaleString()}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          <div className="revision-diff">
+            {selectedId && (
+              <div className="revision-diff-toolbar">
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                  className="revision-compare-select"
+                >
+                  <option value="previous">Changes in this revision</option>
+                  <option value="current">Compare with current page</option>
+                </select>
+                {canRestore && (
+                  <button
+                    className="revision-restore-button"
+                    onClick={handleRestore}
+                    disabled={restoring || selectedIndex === 0}
+                    title={selectedIndex === 0 ? 'This is the latest revision' : 'Restore this revision'}
+                  >
+                    {restoring ? 'Restoring...' : '↩️ Restore this revision'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {diff && changedFields.length === 0 && (
+              <div className="revision-empty">No differences</div>
+            )}
+
+            {diff && changedFields.map(field => (
+              <div key={field} className="revision-diff-field">
+                <h3>{FIELD_LABELS[field]}</h3>
+                {renderFieldDiff(field, diff[field])}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RevisionHistory;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './SessionMembers.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  commenter: 'Commenter',
+  viewer: 'Viewer'
+};
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Can edit pages and manage members',
+  editor: 'Can create, edit, rename and delete pages',
+  commenter: 'Can read pages and add comments',
+  viewer: 'Can only read pages and comments'
+};
+
+/**
+ * Members of a session and their roles
+ * - Everyone sees who is in the session
+ * - Owners can promote, demote and remove members
+ */
+function SessionMembers({ sessionId, token, currentUserId, onClose }) {
+  const [members, setMembers] = useState([]);
+  const [myRole, setMyRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadMembers = useCallback(async () => {
+    try {
+      const data = await authenticatedFetch(`/api/session/${sessionId}/members`, {}, token);
+      setMembers(data.members || []);
+      setMyRole(data.role);
+    } catch (err) {
+      setError('Failed to load members: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId, token]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      setError('');
+      await authenticatedFetch(
+        `/api/session/${sessionId}/members/${member.id}`,
+        { method: 'PUT', body: JSON.stringify({ role }) },
+        token
+      );
+      setMembers(prev => prev.map(m => (m.id === member.id ? { ...m, role } : m)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!confirm(`Remove ${member.displayName || member.email} from this session?`)) return;
+
+    try {
+      setError('');
+      await authenticatedFetch(
+        `/api/session/${sessionId}/members/${member.id}`,
+        { method: 'DELETE' },
+        token
+      );
+      setMembers(prev => prev.map(m => (m.id === member.id ? { ...m, role: 'removed' } : m)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const isOwner = myRole === 'owner';
+  const activeMembers = members.filter(m => m.role !== 'removed');
+  const removedMembers = members.filter(m => m.role === 'removed');
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="session-members" onClick={(e) => e.stopPropagation()}>
+        <div className="session-members-header">
+          <h2>👥 Members</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="session-members-error">{error}</div>}
+
+        <div className="session-members-body">
+          {loading ? (
+            <div className="session-members-empty">Loading members...</div>
+          ) : (
+            <>
+              {activeMembers.map(member => (
+                <div key={member.id} className="member-row">
+                  <div className="member-avatar">
+                    {(member.displayName || member.email || 'U').charAt(0).toUpperCase()}
+                  </div>
+                  <div className="member-info">
+                    <div className="member-name">
+                      {member.displayName || member.email}
+                      {member.id === currentUserId && <span className="member-you"> (you)</span>}
+                    </div>
+                    <div className="member-email">{member.email}</div>
+                  </div>
+                  {isOwner && !member.isCreator ? (
+                    <>
+                      <select
+                        className="member-role-select"
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        title={ROLE_DESCRIPTIONS[member.role]}
+                      >
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        className="member-remove-button"
+                        onClick={() => handleRemove(member)}
+                        title="Remove from session"
+                      >
+                        ×
+                      </button>
+                    </>
+                  ) : (
+                    <span className={`member-role-badge role-${member.role}`} title={ROLE_DESCRIPTIONS[member.role]}>
+                      {ROLE_LABELS[member.role]}
+                      {member.isCreator && ' · Creator'}
+                    </span>
+                  )}
+                </div>
+              ))}
+
+              {isOwner && removedMembers.length > 0 && (
+                <>
+                  <h3 className="session-members-subheading">Removed</h3>
+                  {removedMembers.map(member => (
+                    <div key={member.id} className="member-row member-removed">
+                      <div className="member-avatar">
+                        {(member.displayName || member.email || 'U').charAt(0).toUpperCase()}
+                      </div>
+                      <div className="member-info">
+                        <div className="member-name">{member.displayName || member.email}</div>
+                        <div className="member-email">{member.email}</div>
+                      </div>
+                      <button
+                        className="member-restore-button"
+                        onClick={() => handleRoleChange(member, 'viewer')}
+                      >
+                        Restore as viewer
+                      </button>
+                    </div>
+                  ))}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionMembers;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authenticatedFetch } from '../utils/api';
+import './Modal.css';
+import './TaskList.css';
+
+export const TASK_STATUS_LABELS = {
+  open: 'Open',
+  'in-progress': 'In progress',
+  done: 'Done'
+};
+
+function isOverdue(task) {
+  return task.dueDate && task.taskStatus !== 'done' && task.dueDate < new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Assigned comments as tasks
+ * - Without a sessionId: my tasks across all my sessions
+ * - With a sessionId: tasks in that session, mine or everyone's
+ * - Filter by status and change a task's status in place
+ */
+function TaskList({ token, sessionId = null, onOpenTask, onClose }) {
+  const [tasks, setTasks] = useState([]);
+  const [status, setStatus] = useState('');
+  const [everyone, setEveryone] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadTasks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      if (sessionId) params.set('sessionId', sessionId);
+      if (status) params.set('status', status);
+      if (everyone) params.set('userId', 'any');
+
+      const data = await authenticatedFetch(`/api/comments/assigned?${params}`, {}, token);
+      setTasks(data.tasks || []);
+    } catch (err) {
+      setError('Failed to load tasks: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token, sessionId, status, everyone]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const handleStatusChange = async (task, newStatus) => {
+    try {
+      setError('');
+      const data = await authenticatedFetch(
+        `/api/comments/${task.id}/task`,
+        { method: 'PATCH', body: JSON.stringify({ status: newStatus }) },
+        token
+      );
+      setTasks(prev => prev
+        .map(t => (t.id === task.id ? { ...t, ...data.task } : t))
+        .filter(t => !status || t.taskStatus === status));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="task-list" onClick={(e) => e.stopPropagation()}>
+        <div className="task-list-header">
+          <h2>✅ {sessionId ? 'Tasks' : 'My Tasks'}</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="task-list-filters">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="task-list-select">
+            <option value="">All statuses</option>
+            {Object.entries(TASK_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {sessionId && (
+            <select
+              value={everyone ? 'any' : 'me'}
+              onChange={(e) => setEveryone(e.target.value === 'any')}
+              className="task-list-select"
+            >
+              <option value="me">Assigned to me</option>
+              <option value="any">Assigned to anyone</option>
+            </select>
+          )}
+        </div>
+
+        {error && <div className="task-list-error">{error}</div>}
+
+        <div className="task-list-body">
+          {loading ? (
+            <div className="task-list-empty">Loading tasks...</div>
+          ) : tasks.length === 0 ? (
+            <div className="task-list-empty">No tasks</div>
+          ) : (
+            tasks.map(task => (
+              <div key={task.id} className={`task-item task-${task.taskStatus}`}>
+                <div className="task-item-main">
+                  <button type="button" className="task-item-content" onClick={() => onOpenTask(task)}>
+                    {task.content}
+                  </button>
+                  <div className="task-item-meta">
+                    <span>📄 {task.pageFilename.replace(/\.hml$/, '')}</span>
+                    {!sessionId && <span>📚 {task.sessionId}</span>}
+                    <span>From {task.userDisplayName || task.userEmail}</span>
+                    {everyone && task.assignees.length > 0 && (
+                      <span>→ {task.assignees.map(a => a.displayName || a.email).join(', ')}</span>
+                    )}
+                    {task.dueDate && (
+                      <span className={isOverdue(task) ? 'task-overdue' : ''}>
+                        📅 Due {new Date(`${task.dueDate}T00:00:00`).toLocaleDateString()}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <select
+                  value={task.taskStatus}
+                  onChange={(e) => handleStatusChange(task, e.target.value)}
+                  className="task-status-select"
+                >
+                  {Object.entries(TASK_STATUS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TaskList;
@@ -1,4 +1,4 @@
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useEditor, EditorContent } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import Collaboration from '@tiptap/extension-collaboration';
@@ -12,27 +12,35 @@ import tippy from 'tippy.js';
 import 'tippy.js/dist/tippy.css';
 import { useAuth } from '../contexts/AuthContext';
 import MentionList from './MentionList';
+import { fragmentToText, RICH_TEXT_FRAGMENT } from '../../../shared/richText';
 import './TiptapCollaborativeEditor.css';
 
-function TiptapCollaborativeEditor({ 
-  sessionId, 
-  pageFilename, 
+/**
+ * Rich-text editor for one field of a page, synced through the field's Yjs document
+ * - field: the field's document suffix ('definition', 'details' or 'section-<id>')
+ * - onChange: called with the field's plain text (as stored in the page) when it changes
+ */
+function TiptapCollaborativeEditor({
+  sessionId,
+  pageFilename,
+  field,
   placeholder = 'Start typing...',
-  onUpdate 
+  onChange
 }) {
   const { user } = useAuth();
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
   const [users, setUsers] = useState([]);
   const [sessionUsers, setSessionUsers] = useState([]);
-  const ydocRef = useRef(null);
-  const providerRef = useRef(null);
+  // Yjs document and provider; the editor is only created once both exist
+  const [collab, setCollab] = useState(null);
 
   // Initialize Yjs document and WebSocket provider
   useEffect(() => {
-    if (!sessionId || !pageFilename) return;
+    if (!sessionId || !pageFilename || !field || !user) return;
 
     // Create Yjs document
     const ydoc = new Y.Doc();
-    ydocRef.current = ydoc;
 
     // Determine WebSocket URL
     const getWebSocketUrl = () => {
@@ -47,15 +55,30 @@ function TiptapCollaborativeEditor({
     };
 
     const wsUrl = getWebSocketUrl();
-    const docName = `${sessionId}/${pageFilename}`;
+    // One room per field, named like the field's ShareDB document
+    const docName = `${sessionId}/${pageFilename}-${field}`;
+    const userName = user?.displayName || user?.email || 'Anonymous';
 
-    // Create WebSocket provider
-    const provider = new WebsocketProvider(wsUrl, docName, ydoc);
-    providerRef.current = provider;
+    // The server only lets session members in, and attributes saved revisions to the
+    // token's user. y-websocket keeps one URL, so put a fresh token in it before each connect.
+    const provider = new WebsocketProvider(wsUrl, docName, ydoc, { connect: false });
+    let destroyed = false;
+    const refreshToken = async () => {
+      const token = await user.getIdToken();
+      provider.url = `${wsUrl}/${docName}?${new URLSearchParams({ token })}`;
+    };
+    refreshToken()
+      .then(() => {
+        if (!destroyed) provider.connect();
+      })
+      .catch(err => console.error('Error getting token for the editor:', err));
+    provider.on('connection-close', () => {
+      refreshToken().catch(err => console.error('Error refreshing editor token:', err));
+    });
 
     // Set user awareness info
     provider.awareness.setLocalStateField('user', {
-      name: user?.displayName || user?.email || 'Anonymous',
+      name: userName,
       color: `hsl(${Math.random() * 360}, 70%, 60%)`
     });
 
@@ -65,11 +88,27 @@ function TiptapCollaborativeEditor({
       setUsers(states.map(state => state.user).filter(Boolean));
     });
 
+    // Report the field's text once the server's copy has arrived, so an empty
+    // document that hasn't synced yet never reads as a cleared field
+    const fragment = ydoc.getXmlFragment(RICH_TEXT_FRAGMENT);
+    const reportText = () => {
+      if (provider.synced && onChangeRef.current) {
+        onChangeRef.current(fragmentToText(fragment));
+      }
+    };
+    fragment.observeDeep(reportText);
+    provider.on('sync', reportText);
+
+    setCollab({ ydoc, provider });
+
     return () => {
+      destroyed = true;
+      setCollab(null);
+      fragment.unobserveDeep(reportText);
       provider.destroy();
       ydoc.destroy();
     };
-  }, [sessionId, pageFilename, user]);
+  }, [sessionId, pageFilename, field, user]);
 
   // Fetch session users for mentions
   const { token } = useAuth();
@@ -97,6 +136,25 @@ function TiptapCollaborativeEditor({
     }
   }, [sessionId, token]);
 
+  if (!collab) {
+    return <div className="tiptap-loading">Loading editor...</div>;
+  }
+
+  return (
+    <TiptapEditorContent
+      ydoc={collab.ydoc}
+      provider={collab.provider}
+      users={users}
+      sessionUsers={sessionUsers}
+      placeholder={placeholder}
+    />
+  );
+}
+
+/**
+ * The Tiptap editor itself, bound to an already connected Yjs document
+ */
+function TiptapEditorContent({ ydoc, provider, users, sessionUsers, placeholder }) {
   // Initialize Tiptap editor
   const editor = useEditor({
     extensions: [
@@ -104,10 +162,11 @@ function TiptapCollaborativeEditor({
         history: false, // Disable history as Yjs handles it
       }),
       Collaboration.configure({
-        document: ydocRef.current,
+        document: ydoc,
+        field: RICH_TEXT_FRAGMENT,
       }),
       CollaborationCursor.configure({
-        provider: providerRef.current,
+        provider,
       }),
       Link.configure({
         openOnClick: false,
@@ -216,12 +275,7 @@ function TiptapCollaborativeEditor({
         },
       }),
     ],
-    onUpdate: ({ editor }) => {
-      if (onUpdate) {
-        onUpdate(editor.getHTML());
-      }
-    },
-  }, [ydocRef.current, providerRef.current, sessionUsers]);
+  }, [ydoc, provider, sessionUsers]);
 
   if (!editor) {
     return <div className="tiptap-loading">Loading editor...</div>;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './WhosHere.css';
+
+// The same color for a person every time
+function colorFor(userId) {
+  const hash = [...userId].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 360, 0);
+  return `hsl(${hash}, 60%, 55%)`;
+}
+
+/**
+ * Who else is in the session and which page each of them is viewing
+ * - users: the session's presence list (see usePresence)
+ * - onOpenPage: called with a filename to open the page someone is on
+ */
+function WhosHere({ users, onOpenPage }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  // One entry per person; someone in several tabs shows where they were last active
+  const people = [...users
+    .reduce((byUser, u) => {
+      const current = byUser.get(u.userId);
+      if (!current || (current.status === 'away' && u.status !== 'away')) {
+        byUser.set(u.userId, u);
+      }
+      return byUser;
+    }, new Map())
+    .values()]
+    .sort((a, b) => (a.status === 'away') - (b.status === 'away') || a.userName.localeCompare(b.userName));
+
+  if (people.length === 0) return null;
+
+  return (
+    <div className="whos-here" ref={containerRef}>
+      <button
+        className="whos-here-button"
+        onClick={() => setOpen(!open)}
+        title="Who's here"
+      >
+        {people.slice(0, 4).map(person => (
+          <span
+            key={person.userId}
+            className={`whos-here-avatar ${person.status === 'away' ? 'away' : ''}`}
+            style={{ backgroundColor: colorFor(person.userId) }}
+          >
+            {person.userName.charAt(0)}
+          </span>
+        ))}
+        {people.length > 4 && <span className="whos-here-more">+{people.length - 4}</span>}
+      </button>
+
+      {open && (
+        <div className="whos-here-dropdown">
+          <div className="whos-here-header">Who's here</div>
+          {people.map(person => (
+            <div key={person.userId} className="whos-here-item">
+              <span className={`whos-here-status ${person.status === 'away' ? 'away' : ''}`} />
+              <span className="whos-here-name">{person.userName}</span>
+              {person.filename ? (
+                <button
+                  className="whos-here-page"
+                  onClick={() => {
+                    setOpen(false);
+                    onOpenPage(person.filename);
+                  }}
+                  title="Open this page"
+                >
+                  {person.filename.replace(/\.hml$/, '')}
+                </button>
+              ) : (
+                <span className="whos-here-page idle">Browsing pages</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WhosHere;
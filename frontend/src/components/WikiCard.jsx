@@ -1,4 +1,5 @@
 import React from 'react';
+import { splitHighlights } from '../utils/wikiUtils';
 import './WikiCard.css';
 
 function WikiCard({ page, onClick }) {
@@ -8,10 +9,17 @@ function WikiCard({ page, onClick }) {
     return text.substring(0, maxLength) + '...';
   };
 
+  // Search results carry highlighted title and snippet ("<mark>" around matches)
+  const renderHighlights = (text) => splitHighlights(text).map((part, idx) => (
+    part.highlighted ? <mark key={idx} className="wiki-card-highlight">{part.text}</mark> : part.text
+  ));
+
   return (
     <div className="wiki-card" onClick={onClick}>
       <div className="wiki-card-header">
-        <h3 className="wiki-card-title">{page.title}</h3>
+        <h3 className="wiki-card-title">
+          {page.titleHighlight ? renderHighlights(page.titleHighlight) : page.title}
+        </h3>
         {page.linkCount > 0 && (
           <span className="wiki-card-links">
             🔗 {page.linkCount}
@@ -20,7 +28,7 @@ function WikiCard({ page, onClick }) {
       </div>
       
       <p className="wiki-card-definition">
-        {truncateText(page.definition)}
+        {page.snippet ? renderHighlights(page.snippet) : truncateText(page.definition)}
       </p>
 
       {page.aliases && page.aliases.length > 0 && (
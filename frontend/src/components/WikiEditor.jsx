@@ -5,28 +5,55 @@ import CommentsSidebar from './CommentsSidebar';
 import Modal from './Modal';
 import WikiLink from './WikiLink';
 import LinkEditDialog from './LinkEditDialog';
+import RevisionHistory from './RevisionHistory';
+import BacklinksPanel from './BacklinksPanel';
+import RenamePageDialog from './RenamePageDialog';
+import { useAuth } from '../contexts/AuthContext';
 import { parseWikiLinks } from '../utils/wikiUtils';
+import { transformRange, splitHighlights } from '../utils/textAnchors';
+import { diffText, textChangeOp } from '../../../shared/textDiff';
+import { usePageMeta } from '../utils/pageMeta';
 import './WikiEditor.css';
 
-function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLinkClick, initialMode = 'preview' }) {
+function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLinkClick, onRenamed, initialMode = 'preview', role, focusCommentId = null, watching = false, onToggleWatch }) {
+  const { token, user } = useAuth();
+  const canEdit = role === 'owner' || role === 'editor';
+  const canComment = canEdit || role === 'commenter';
   const [title, setTitle] = useState(page.title || '');
   const [definition, setDefinition] = useState(page.definition || '');
   const [details, setDetails] = useState(page.details || '');
   const [aliases, setAliases] = useState(page.aliases || []);
+  const [sections, setSections] = useState(page.sections || []);
   const [newAlias, setNewAlias] = useState('');
   const [tags, setTags] = useState(page.tags || []);
   const [newTag, setNewTag] = useState('');
   const [isEditing, setIsEditing] = useState(initialMode === 'edit');
+  const isLiveEditing = isEditing && canEdit;
+  const [richText, setRichText] = useState(false); // edit fields in the rich-text editor
   const [isSaving, setIsSaving] = useState(false);
   const [brokenLinks, setBrokenLinks] = useState(new Set());
   const [showComments, setShowComments] = useState(true);
+  const [unreadComments, setUnreadComments] = useState(0);
   const [showLinkDialog, setShowLinkDialog] = useState(false);
   const [linkDialogPosition, setLinkDialogPosition] = useState({ x: 0, y: 0 });
-  const [linkInsertField, setLinkInsertField] = useState(null); // 'definition' or 'details'
+  const [linkInsertField, setLinkInsertField] = useState(null); // 'definition', 'details' or 'section-<id>'
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [textSelection, setTextSelection] = useState(null); // { field, start, end, text }
+  const [commentAnchor, setCommentAnchor] = useState(null); // selection the new comment is about
+  const [commentAnchors, setCommentAnchors] = useState([]); // [{ id, field, start, end }]
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const fieldTextsRef = useRef({});
+  const fieldEditorsRef = useRef({}); // field -> its plain-text editor, for inserting links
+  const pendingScrollRef = useRef(null); // comment to scroll into view once rendered
+  const [showRenameDialog, setShowRenameDialog] = useState(false);
   const saveTimeoutRef = useRef(null);
   const currentPageRef = useRef(page.filename);
   const isInitialLoadRef = useRef(true);
 
+  // While editing, title, aliases and sections live in the page's metadata document
+  // (and field text in each field's document); the server writes the file
+  const { meta, submit: submitMeta } = usePageMeta(user, sessionData.sessionId, page.filename, isLiveEditing);
+
   // Modal state
   const [modalState, setModalState] = useState({
     isOpen: false,
@@ -60,59 +87,271 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
       setDefinition(page.definition || '');
       setDetails(page.details || '');
       setAliases(page.aliases || []);
+      setSections(page.sections || []);
       setTags(page.tags || []);
       setNewAlias('');
       setNewTag('');
       setIsEditing(initialMode === 'edit'); // Set mode based on initialMode prop
+      setTextSelection(null);
+      setCommentAnchor(null);
+      setCommentAnchors([]);
+      setActiveCommentId(null);
+      fieldTextsRef.current = {};
     } else {
       // Even if filename hasn't changed, update aliases and tags in case they were modified
-      setAliases(page.aliases || []);
+      if (!meta) {
+        setAliases(page.aliases || []);
+      }
       setTags(page.tags || []);
     }
   }, [page, initialMode]);
 
-  // Render text with clickable wiki links using WikiLink component
-  const renderWithLinks = (text) => {
-    if (!text) return null;
-    const links = parseWikiLinks(text);
-    if (links.length === 0) return text;
+  // Follow the metadata document, our own edits and everyone else's. Section text
+  // comes from the section editors, so keep what we have by section ID.
+  useEffect(() => {
+    if (!meta) return;
 
-    const parts = [];
-    let lastIndex = 0;
+    setTitle(meta.title || '');
+    setAliases(meta.aliases || []);
+    setSections(prev => (meta.sections || []).map(section => ({
+      ...section,
+      content: prev.find(s => s.id === section.id)?.content || ''
+    })));
+  }, [meta]);
+
+  // Text of each field a comment can be anchored to, keyed like the comment's anchorField
+  const getFieldTexts = () => {
+    const texts = { definition, details };
+    sections.forEach(section => {
+      texts[`section-${section.id}`] = section.content || '';
+    });
+    return texts;
+  };
+
+  // Keep comment highlights on the same text while the page is edited. The
+  // server moves the stored anchors the same way as the edits reach ShareDB.
+  useEffect(() => {
+    const texts = getFieldTexts();
+    const previous = fieldTextsRef.current;
+    fieldTextsRef.current = texts;
+
+    const moveRange = (range) => {
+      const oldText = previous[range.field];
+      const newText = texts[range.field];
+      if (oldText === undefined || newText === undefined) return range;
+      const change = diffText(oldText, newText);
+      return change ? { ...range, ...transformRange(range, change) } : range;
+    };
+
+    setCommentAnchors(prev => {
+      const next = prev.map(moveRange);
+      return next.some((anchor, idx) => anchor !== prev[idx]) ? next : prev;
+    });
+    setCommentAnchor(prev => prev && moveRange(prev));
+  }, [definition, details, sections]);
+
+  // Anchors of open, attached comment threads, keeping the ranges already moved locally
+  const handleCommentsChange = useCallback((comments) => {
+    setCommentAnchors(prev => comments
+      .filter(comment => comment.anchorField && !comment.parentCommentId && !comment.resolved && !comment.detached)
+      .map(comment => prev.find(anchor => anchor.id === comment.id) || {
+        id: comment.id,
+        field: comment.anchorField,
+        start: comment.positionStart,
+        end: comment.positionEnd
+      }));
+  }, []);
+
+  // Make a comment active and scroll it and its highlighted text into view
+  const focusComment = (commentId) => {
+    setActiveCommentId(commentId);
+    pendingScrollRef.current = commentId;
+  };
+
+  // Show the comment asked for from outside the editor, e.g. from the comment inbox
+  useEffect(() => {
+    if (!focusCommentId) return;
+    setShowComments(true);
+    focusComment(focusCommentId);
+  }, [focusCommentId, page.filename]);
+
+  // The comments load after the page, so keep trying until the comment is rendered
+  useEffect(() => {
+    const commentId = pendingScrollRef.current;
+    if (!commentId) return;
+
+    const item = document.querySelector(`[data-comment-id="${commentId}"]`);
+    if (!item) return;
+
+    pendingScrollRef.current = null;
+    item.scrollIntoView({ block: 'nearest' });
+    const highlight = document.querySelector(`[data-comment-ids~="${commentId}"]`);
+    if (highlight) {
+      highlight.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  });
 
-    links.forEach((link, idx) => {
-      // Add text before the link
-      if (link.index > lastIndex) {
-        parts.push(
-          <span key={`text-${idx}`}>
-            {text.substring(lastIndex, link.index)}
-          </span>
-        );
+  const getHighlights = (field) => commentAnchors
+    .filter(anchor => anchor.field === field && anchor.start < anchor.end)
+    .map(anchor => ({ ...anchor, active: anchor.id === activeCommentId }));
+
+  // Remember a selection in an editor field, or select the comment under the caret
+  const handleEditorSelection = (field) => ({ start, end, text }) => {
+    if (start < end) {
+      setTextSelection({ field, start, end, text });
+      return;
+    }
+    setTextSelection(null);
+    const highlight = getHighlights(field).find(h => h.start <= start && h.end >= start);
+    if (highlight) {
+      setActiveCommentId(highlight.id);
+    }
+  };
+
+  // Editor for one field: the rich-text editor, or the plain-text one with comment
+  // highlights and comments on a selection. Both edit the same field document.
+  const renderFieldEditor = (field, value, onChange, placeholder) => (richText ? (
+    <TiptapCollaborativeEditor
+      sessionId={sessionData.sessionId}
+      pageFilename={page.filename}
+      field={field}
+      placeholder={placeholder}
+      onChange={onChange}
+    />
+  ) : (
+    <CollaborativeEditor
+      ref={(editor) => { fieldEditorsRef.current[field] = editor; }}
+      filename={`${page.filename}-${field}`}
+      initialValue={value}
+      onChange={onChange}
+      placeholder={placeholder}
+      className="form-textarea"
+      sessionData={sessionData}
+      highlights={getHighlights(field)}
+      onSelectionChange={handleEditorSelection(field)}
+    />
+  ));
+
+  const handleToggleRichText = () => {
+    setTextSelection(null);
+    setRichText(!richText);
+  };
+
+  // Map a DOM selection boundary in the preview to an offset in the raw field text.
+  // Links count as a whole: a boundary inside one snaps to its start or end.
+  const toRawOffset = (node, offset, isEnd, fieldLength) => {
+    if (node.nodeType !== Node.TEXT_NODE) {
+      const child = node.childNodes[offset];
+      if (!child) {
+        const element = node.closest?.('[data-raw-start]');
+        return element ? Number(element.dataset.rawEnd ?? element.dataset.rawStart) : fieldLength;
       }
+      const element = child.matches?.('[data-raw-start]') ? child : child.querySelector?.('[data-raw-start]');
+      return element ? Number(element.dataset.rawStart) : null;
+    }
 
-      // Add the WikiLink component
-      parts.push(
-        <WikiLink
-          key={`link-${idx}`}
-          pageName={link.pageName}
-          displayText={link.displayText}
-          sessionId={sessionData.sessionId}
-          onNavigate={onWikiLinkClick}
-          onCreatePage={handleCreatePageFromLink}
-        />
+    const element = node.parentElement?.closest('[data-raw-start]');
+    if (!element) return null;
+    if (element.dataset.rawEnd !== undefined) {
+      return Number(isEnd ? element.dataset.rawEnd : element.dataset.rawStart);
+    }
+    return Number(element.dataset.rawStart) + offset;
+  };
+
+  // Remember a selection made in the preview so commenters can comment on it
+  const handlePreviewMouseUp = () => {
+    if (!canComment) return;
+
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      setTextSelection(null);
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const startField = range.startContainer.parentElement?.closest('[data-anchor-field]');
+    const endField = range.endContainer.parentElement?.closest('[data-anchor-field]')
+      || (range.endContainer.nodeType !== Node.TEXT_NODE && range.endContainer.closest?.('[data-anchor-field]'));
+    if (!startField || startField !== endField) {
+      setTextSelection(null);
+      return;
+    }
+
+    const field = startField.dataset.anchorField;
+    const text = getFieldTexts()[field] || '';
+    const start = toRawOffset(range.startContainer, range.startOffset, false, text.length);
+    const end = toRawOffset(range.endContainer, range.endOffset, true, text.length);
+    if (start === null || end === null || start >= end) {
+      setTextSelection(null);
+      return;
+    }
+
+    setTextSelection({ field, start, end, text: text.substring(start, end) });
+  };
+
+  const handleCommentOnSelection = () => {
+    setCommentAnchor(textSelection);
+    setTextSelection(null);
+    setShowComments(true);
+  };
+
+  // Render a field in preview with wiki links and comment highlights. Text is
+  // wrapped in spans that record their offset in the raw text (see toRawOffset).
+  const renderAnchoredText = (text, field) => {
+    if (!text) return null;
+
+    const segments = splitHighlights(text, getHighlights(field));
+    const links = parseWikiLinks(text);
+    const parts = [];
+
+    const wrapHighlight = (key, highlights, children) => {
+      if (highlights.length === 0) return <React.Fragment key={key}>{children}</React.Fragment>;
+      return (
+        <mark
+          key={key}
+          className={`comment-highlight ${highlights.some(h => h.active) ? 'active' : ''}`}
+          data-comment-ids={highlights.map(h => h.id).join(' ')}
+          onClick={() => setActiveCommentId(highlights[0].id)}
+        >
+          {children}
+        </mark>
       );
+    };
 
-      lastIndex = link.index + link.fullText.length;
-    });
+    const pushText = (start, end) => {
+      segments.forEach(segment => {
+        const from = Math.max(segment.start, start);
+        const to = Math.min(segment.end, end);
+        if (from >= to) return;
+        parts.push(wrapHighlight(`text-${from}`, segment.highlights, (
+          <span data-raw-start={from}>{text.substring(from, to)}</span>
+        )));
+      });
+    };
+
+    let lastIndex = 0;
+    links.forEach((link) => {
+      const linkEnd = link.index + link.fullText.length;
+      pushText(lastIndex, link.index);
 
-    // Add remaining text
-    if (lastIndex < text.length) {
-      parts.push(
-        <span key="text-end">
-          {text.substring(lastIndex)}
+      const highlights = segments
+        .filter(segment => segment.start < linkEnd && segment.end > link.index)
+        .flatMap(segment => segment.highlights);
+      parts.push(wrapHighlight(`link-${link.index}`, highlights, (
+        <span data-raw-start={link.index} data-raw-end={linkEnd}>
+          <WikiLink
+            pageName={link.pageName}
+            displayText={link.displayText}
+            sessionId={sessionData.sessionId}
+            onNavigate={onWikiLinkClick}
+            onCreatePage={canEdit ? handleCreatePageFromLink : undefined}
+          />
         </span>
-      );
-    }
+      )));
+
+      lastIndex = linkEnd;
+    });
+    pushText(lastIndex, text.length);
 
     return parts;
   };
@@ -129,7 +368,10 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
           const filename = `${pageName.toLowerCase().replace(/\s+/g, '-')}.hml`;
           const response = await fetch('/api/wiki/create', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+              'Content-Type': 'application/json',
+              ...(token && { 'Authorization': `Bearer ${token}` })
+            },
             body: JSON.stringify({
               sessionId: sessionData.sessionId,
               filename,
@@ -150,72 +392,55 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
     );
   };
 
-  const handleSave = useCallback(async (silent = false, targetFilename = null) => {
-    // Use targetFilename if provided, otherwise use current page
-    const filenameToSave = targetFilename || page.filename;
-
-    // Don't save if we've navigated away from this page
-    if (targetFilename && targetFilename !== currentPageRef.current) {
-      return;
-    }
-
-    if (!silent) {
-      setIsSaving(true);
+  const saveTags = useCallback(async (filename) => {
+    const response = await fetch(`/api/wiki/pages/${filename}/tags?sessionId=${sessionData.sessionId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify({ tags })
+    });
+    if (!response.ok) {
+      throw new Error('Failed to save tags');
     }
+  }, [tags, token, sessionData.sessionId]);
 
-    const updatedPage = {
-      filename: page.filename,
-      title,
-      definition,
-      details,
-      aliases,
-      sections: page.sections || []
-    };
+  // Page content is already saved as it is typed; this writes it to the file right
+  // away instead of once the edits settle, and saves the tags
+  const handleSave = async () => {
+    setIsSaving(true);
 
     try {
-      // Save page content
-      const response = await fetch(`/api/wiki/pages/${filenameToSave}?sessionId=${sessionData.sessionId}`, {
+      await saveTags(page.filename);
+
+      const response = await fetch(`/api/wiki/pages/${page.filename}/flush?sessionId=${sessionData.sessionId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(updatedPage)
+        headers: {
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        }
       });
 
       if (response.ok) {
-        // Save tags separately
-        await fetch(`/api/wiki/pages/${filenameToSave}/tags?sessionId=${sessionData.sessionId}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ tags })
-        });
-
-        if (!silent) {
-          showModal('✅ Success', (
-            <p style={{ color: '#059669' }}>Page saved successfully!</p>
-          ), 'success');
-        }
+        showModal('✅ Success', (
+          <p style={{ color: '#059669' }}>Page saved successfully!</p>
+        ), 'success');
       } else {
-        if (!silent) {
-          showModal('❌ Save Failed', (
-            <p style={{ color: '#dc2626' }}>Failed to save page</p>
-          ), 'error');
-        }
-        console.error('Failed to save:', filenameToSave);
+        showModal('❌ Save Failed', (
+          <p style={{ color: '#dc2626' }}>Failed to save page</p>
+        ), 'error');
       }
     } catch (err) {
       console.error('Error saving page:', err);
-      if (!silent) {
-        showModal('❌ Save Error', (
-          <p style={{ color: '#dc2626' }}>Failed to save page: {err.message}</p>
-        ), 'error');
-      }
+      showModal('❌ Save Error', (
+        <p style={{ color: '#dc2626' }}>Failed to save page: {err.message}</p>
+      ), 'error');
     } finally {
-      if (!silent) {
-        setIsSaving(false);
-      }
+      setIsSaving(false);
     }
-  }, [page, title, definition, details, aliases, tags]);
+  };
 
-  // Auto-save when content changes
+  // Auto-save tags when they change; they are kept outside the page's documents
   useEffect(() => {
     // Skip auto-save on initial load
     if (isInitialLoadRef.current) {
@@ -223,6 +448,9 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
       return;
     }
 
+    // Read-only members can't change the page
+    if (!canEdit) return;
+
     // Clear existing timeout
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current);
@@ -233,7 +461,9 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
 
     // Set new timeout to save after 1 second of no changes
     saveTimeoutRef.current = setTimeout(() => {
-      handleSave(true, filenameForSave); // true = silent save, pass filename
+      // Don't save if we've navigated away from this page
+      if (filenameForSave !== currentPageRef.current) return;
+      saveTags(filenameForSave).catch(err => console.error('Error saving tags:', err));
     }, 1000);
 
     // Cleanup on unmount
@@ -242,10 +472,17 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
         clearTimeout(saveTimeoutRef.current);
       }
     };
-  }, [title, definition, details, aliases, tags, handleSave, page.filename]);
+  }, [tags, saveTags, page.filename, canEdit]);
+
+  const handleTitleChange = (newTitle) => {
+    if (!meta) return;
+
+    setTitle(newTitle);
+    submitMeta(textChangeOp(meta.title || '', newTitle, ['title']));
+  };
 
   const handleAddAlias = () => {
-    if (!newAlias.trim()) return;
+    if (!newAlias.trim() || !meta) return;
 
     // Check if alias already exists
     if (aliases.includes(newAlias.trim())) {
@@ -256,11 +493,62 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
     }
 
     setAliases([...aliases, newAlias.trim()]);
+    submitMeta([{ p: ['aliases', meta.aliases.length], li: newAlias.trim() }]);
     setNewAlias('');
   };
 
   const handleRemoveAlias = (index) => {
+    if (!meta) return;
+
     setAliases(aliases.filter((_, i) => i !== index));
+    submitMeta([{ p: ['aliases', index], ld: meta.aliases[index] }]);
+  };
+
+  const handleAddSection = () => {
+    if (!meta) return;
+
+    const id = Math.random().toString(36).substr(2, 9);
+    setSections([...sections, { id, title: '', content: '' }]);
+    submitMeta([{ p: ['sections', meta.sections.length], li: { id, title: '' } }]);
+  };
+
+  const handleSectionTitleChange = (id, newTitle) => {
+    const index = meta ? meta.sections.findIndex(s => s.id === id) : -1;
+    if (index === -1) return;
+
+    setSections(prev => prev.map(s => (s.id === id ? { ...s, title: newTitle } : s)));
+    submitMeta(textChangeOp(meta.sections[index].title || '', newTitle, ['sections', index, 'title']));
+  };
+
+  const handleSectionContentChange = (id, content) => {
+    setSections(prev => prev.map(s => (s.id === id ? { ...s, content } : s)));
+  };
+
+  const handleMoveSection = (index, direction) => {
+    const target = index + direction;
+    if (!meta || target < 0 || target >= sections.length) return;
+
+    const reordered = [...sections];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setSections(reordered);
+    submitMeta([{ p: ['sections', index], lm: target }]);
+  };
+
+  const handleDeleteSection = (section) => {
+    showModal(
+      '⚠️ Delete Section',
+      (
+        <p>Are you sure you want to delete the section <strong>"{section.title || 'Untitled section'}"</strong>?</p>
+      ),
+      'warning',
+      () => {
+        const index = meta ? meta.sections.findIndex(s => s.id === section.id) : -1;
+        if (index === -1) return;
+
+        setSections(prev => prev.filter(s => s.id !== section.id));
+        submitMeta([{ p: ['sections', index], ld: meta.sections[index] }]);
+      }
+    );
   };
 
   const handleAddTag = () => {
@@ -310,27 +598,88 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
     }
     const linkText = `[${displayText}](${url})`;
 
-    // Append the link to the appropriate field
-    if (linkInsertField === 'definition') {
-      const newValue = definition ? `${definition}\n${linkText}` : linkText;
-      setDefinition(newValue);
-    } else if (linkInsertField === 'details') {
-      const newValue = details ? `${details}\n${linkText}` : linkText;
-      setDetails(newValue);
-    }
+    // Append the link through the field's document, so it merges with others' edits
+    fieldEditorsRef.current[linkInsertField]?.appendText(linkText);
 
     // Close dialog
     setShowLinkDialog(false);
     setLinkInsertField(null);
   };
 
-  const handleDelete = () => {
+  // Show content the server changed. While editing it arrives through the page's
+  // documents instead, which the editors follow.
+  const applyServerPage = (pageData) => {
+    if (isLiveEditing) return;
+
+    setTitle(pageData.title || '');
+    setDefinition(pageData.definition || '');
+    setDetails(pageData.details || '');
+    setAliases(pageData.aliases || []);
+    setSections(pageData.sections || []);
+  };
+
+  // Apply a restored revision to the editor state
+  const handleRevisionRestored = (restoredPage) => {
+    setShowRevisions(false);
+    if (!restoredPage) return;
+
+    applyServerPage(restoredPage);
+
+    showModal('✅ Restored', (
+      <p style={{ color: '#059669' }}>Page restored to the selected revision.</p>
+    ), 'success');
+  };
+
+  // The server renames the page as it is in ShareDB, edits not yet in the file included
+  const handleOpenRename = () => {
+    setShowRenameDialog(true);
+  };
+
+  const handlePageRenamed = (renamedPage, updatedPages) => {
+    setShowRenameDialog(false);
+
+    // The filename may be unchanged, so apply the new content here as well
+    applyServerPage(renamedPage);
+
+    if (onRenamed) {
+      onRenamed(page, renamedPage);
+    }
+
+    showModal('✅ Renamed', (
+      <p style={{ color: '#059669' }}>
+        Page renamed.
+        {updatedPages.length > 0 && ` Updated links in ${updatedPages.length} page${updatedPages.length !== 1 ? 's' : ''}.`}
+      </p>
+    ), 'success');
+  };
+
+  const handleDelete = async () => {
+    // Warn about pages that would be left with broken links
+    let backlinks = [];
+    try {
+      const response = await fetch(`/api/wiki/pages/${page.filename}/backlinks?sessionId=${sessionData.sessionId}`, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
+      if (response.ok) {
+        const data = await response.json();
+        backlinks = data.backlinks || [];
+      }
+    } catch (err) {
+      console.error('Error loading backlinks:', err);
+    }
+
     // Show confirmation modal
     showModal(
       '⚠️ Confirm Delete',
       (
         <div>
           <p>Are you sure you want to delete <strong>"{page.filename}"</strong>?</p>
+          {backlinks.length > 0 && (
+            <p style={{ marginTop: '12px' }}>
+              {backlinks.length} page{backlinks.length !== 1 ? 's' : ''} link here and will have broken links:{' '}
+              {backlinks.map(b => b.title).join(', ')}
+            </p>
+          )}
           <p style={{ color: '#dc2626', marginTop: '12px' }}>
             ⚠️ This action cannot be undone.
           </p>
@@ -341,7 +690,8 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
         // This function will be called when user confirms
         try {
           const response = await fetch(`/api/wiki/pages/${page.filename}?sessionId=${sessionData.sessionId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: token ? { 'Authorization': `Bearer ${token}` } : {}
           });
 
           if (!response.ok) throw new Error('Failed to delete page');
@@ -371,45 +721,101 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
           <button className="back-button" onClick={onBack}>
             ← {hasHistory ? 'Back' : 'Back to Pages'}
           </button>
-          <h2 className="editor-title">Editing: {page.filename}</h2>
-          <span className="auto-save-indicator">
-            {isSaving ? '💾 Saving...' : '✓ Auto-saved'}
-          </span>
+          <h2 className="editor-title">{canEdit ? 'Editing' : 'Viewing'}: {page.filename}</h2>
+          {canEdit ? (
+            <span className="auto-save-indicator">
+              {isSaving ? '💾 Saving...' : '✓ Auto-saved'}
+            </span>
+          ) : (
+            <span className="auto-save-indicator" title="Ask a session owner for the editor role to make changes">
+              🔒 Read-only
+            </span>
+          )}
         </div>
 
         <div className="editor-header-right">
-          <button
-            className={`mode-button ${isEditing ? 'active' : ''}`}
-            onClick={() => setIsEditing(true)}
-          >
-            ✏️ Edit
-          </button>
-          <button
-            className={`mode-button ${!isEditing ? 'active' : ''}`}
-            onClick={() => setIsEditing(false)}
-          >
-            👁️ Preview
-          </button>
+          {canEdit && (
+            <>
+              <button
+                className={`mode-button ${isEditing ? 'active' : ''}`}
+                onClick={() => setIsEditing(true)}
+              >
+                ✏️ Edit
+              </button>
+              <button
+                className={`mode-button ${!isEditing ? 'active' : ''}`}
+                onClick={() => setIsEditing(false)}
+              >
+                👁️ Preview
+              </button>
+              {isEditing && (
+                <button
+                  className={`mode-button ${richText ? 'active' : ''}`}
+                  onClick={handleToggleRichText}
+                  title={richText ? 'Edit as plain text, with comment highlights' : 'Edit with formatting'}
+                >
+                  🅰️ Rich Text
+                </button>
+              )}
+            </>
+          )}
+          {canComment && textSelection && (
+            <button
+              className="mode-button comment-selection-button"
+              onClick={handleCommentOnSelection}
+              title="Comment on the selected text"
+            >
+              💬 Comment on selection
+            </button>
+          )}
           <button
             className="mode-button"
             onClick={() => setShowComments(!showComments)}
             title={showComments ? 'Hide Comments' : 'Show Comments'}
           >
             💬 {showComments ? 'Hide' : 'Show'} Comments
+            {unreadComments > 0 && <span className="unread-badge">{unreadComments}</span>}
           </button>
-          <button className="save-button" onClick={() => handleSave(false)}>
-            💾 Save Now
-          </button>
-          <button className="delete-button" onClick={handleDelete}>
-            🗑️ Delete
+          <button
+            className="mode-button"
+            onClick={() => setShowRevisions(true)}
+            title="View revision history"
+          >
+            🕘 History
           </button>
+          {onToggleWatch && (
+            <button
+              className={`mode-button ${watching ? 'active' : ''}`}
+              onClick={onToggleWatch}
+              title={watching ? 'Stop getting notified of changes to this page' : 'Get notified when this page changes'}
+            >
+              👁️ {watching ? 'Watching' : 'Watch'}
+            </button>
+          )}
+          {canEdit && (
+            <>
+              <button
+                className="mode-button"
+                onClick={handleOpenRename}
+                title="Rename page"
+              >
+                ✏️ Rename
+              </button>
+              <button className="save-button" onClick={handleSave}>
+                💾 Save Now
+              </button>
+              <button className="delete-button" onClick={handleDelete}>
+                🗑️ Delete
+              </button>
+            </>
+          )}
         </div>
       </div>
 
       <div className="editor-container-with-sidebar">
         <div className="editor-main-content">
-        <div className="editor-form">
-          {isEditing ? (
+        <div className="editor-form" onMouseUp={isEditing && canEdit ? undefined : handlePreviewMouseUp}>
+          {isEditing && canEdit ? (
             <>
               <div className="form-group">
                 <label htmlFor="title">Title</label>
@@ -417,7 +823,7 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
                   id="title"
                   type="text"
                   value={title}
-                  onChange={(e) => setTitle(e.target.value)}
+                  onChange={(e) => handleTitleChange(e.target.value)}
                   className="form-input"
                   placeholder="Page title"
                 />
@@ -426,45 +832,105 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
               <div className="form-group">
                 <div className="form-group-header">
                   <label htmlFor="definition">Definition</label>
-                  <button
-                    type="button"
-                    className="insert-link-button"
-                    onClick={() => handleInsertLink('definition')}
-                    title="Insert Link (Ctrl+K)"
-                  >
-                    🔗 Insert Link
-                  </button>
+                  {!richText && (
+                    <button
+                      type="button"
+                      className="insert-link-button"
+                      onClick={() => handleInsertLink('definition')}
+                      title="Insert Link (Ctrl+K)"
+                    >
+                      🔗 Insert Link
+                    </button>
+                  )}
                 </div>
-                <CollaborativeEditor
-                  filename={`${page.filename}-definition`}
-                  initialValue={definition}
-                  onChange={setDefinition}
-                  placeholder="Brief definition of the concept"
-                  className="form-textarea"
-                  sessionData={sessionData}
-                />
+                {renderFieldEditor('definition', definition, setDefinition, 'Brief definition of the concept')}
               </div>
 
               <div className="form-group">
                 <div className="form-group-header">
                   <label htmlFor="details">Details</label>
+                  {!richText && (
+                    <button
+                      type="button"
+                      className="insert-link-button"
+                      onClick={() => handleInsertLink('details')}
+                      title="Insert Link (Ctrl+K)"
+                    >
+                      🔗 Insert Link
+                    </button>
+                  )}
+                </div>
+                {renderFieldEditor('details', details, setDetails, 'Detailed information, examples, and notes')}
+              </div>
+
+              <div className="form-group">
+                <div className="form-group-header">
+                  <label>Sections</label>
                   <button
                     type="button"
-                    className="insert-link-button"
-                    onClick={() => handleInsertLink('details')}
-                    title="Insert Link (Ctrl+K)"
+                    className="alias-add-button"
+                    onClick={handleAddSection}
                   >
-                    🔗 Insert Link
+                    + Add Section
                   </button>
                 </div>
-                <CollaborativeEditor
-                  filename={`${page.filename}-details`}
-                  initialValue={details}
-                  onChange={setDetails}
-                  placeholder="Detailed information, examples, and notes"
-                  className="form-textarea"
-                  sessionData={sessionData}
-                />
+                {sections.map((section, idx) => (
+                  <div key={section.id} className="section-editor">
+                    <div className="section-editor-header">
+                      <input
+                        type="text"
+                        value={section.title}
+                        onChange={(e) => handleSectionTitleChange(section.id, e.target.value)}
+                        className="form-input section-title-input"
+                        placeholder="Section title"
+                      />
+                      <div className="section-editor-actions">
+                        <button
+                          type="button"
+                          className="section-action-button"
+                          onClick={() => handleMoveSection(idx, -1)}
+                          disabled={idx === 0}
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="section-action-button"
+                          onClick={() => handleMoveSection(idx, 1)}
+                          disabled={idx === sections.length - 1}
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                        {!richText && (
+                          <button
+                            type="button"
+                            className="insert-link-button"
+                            onClick={() => handleInsertLink(`section-${section.id}`)}
+                            title="Insert Link"
+                          >
+                            🔗 Insert Link
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className="section-action-button section-delete-button"
+                          onClick={() => handleDeleteSection(section)}
+                          title="Delete section"
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    </div>
+                    {renderFieldEditor(
+                      `section-${section.id}`,
+                      section.content,
+                      (value) => handleSectionContentChange(section.id, value),
+                      'Section content'
+                    )}
+                  </div>
+                ))}
               </div>
 
               <div className="form-group">
@@ -562,17 +1028,26 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
               {definition && (
                 <div className="preview-section">
                   <h2>Definition</h2>
-                  <p className="preview-text">{renderWithLinks(definition)}</p>
+                  <p className="preview-text" data-anchor-field="definition">{renderAnchoredText(definition, 'definition')}</p>
                 </div>
               )}
 
               {details && (
                 <div className="preview-section">
                   <h2>Details</h2>
-                  <p className="preview-text">{renderWithLinks(details)}</p>
+                  <p className="preview-text" data-anchor-field="details">{renderAnchoredText(details, 'details')}</p>
                 </div>
               )}
 
+              {sections.map(section => (
+                <div key={section.id} className="preview-section">
+                  <h2>{section.title || 'Untitled section'}</h2>
+                  <p className="preview-text" data-anchor-field={`section-${section.id}`}>
+                    {renderAnchoredText(section.content, `section-${section.id}`)}
+                  </p>
+                </div>
+              ))}
+
               {aliases && aliases.length > 0 && (
                 <div className="preview-section">
                   <h2>Aliases</h2>
@@ -594,17 +1069,33 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
                   </div>
                 </div>
               )}
+
+              <BacklinksPanel
+                sessionId={sessionData.sessionId}
+                filename={page.filename}
+                token={token}
+                onNavigate={onWikiLinkClick}
+              />
             </>
           )}
         </div>
         </div>
 
-        {showComments && (
-          <CommentsSidebar
-            sessionId={sessionData.sessionId}
-            pageFilename={page.filename}
-          />
-        )}
+        {/* Stays mounted while hidden so it keeps following live updates */}
+        <CommentsSidebar
+          hidden={!showComments}
+          onUnreadChange={setUnreadComments}
+          sessionId={sessionData.sessionId}
+          pageFilename={page.filename}
+          canComment={canComment}
+          isOwner={role === 'owner'}
+          anchor={commentAnchor}
+          onClearAnchor={() => setCommentAnchor(null)}
+          anchorFields={Object.keys(getFieldTexts())}
+          onCommentsChange={handleCommentsChange}
+          activeCommentId={activeCommentId}
+          onSelectComment={focusComment}
+        />
       </div>
 
       {/* Modal for notifications */}
@@ -618,6 +1109,29 @@ function WikiEditor({ page, sessionData, onClose, onBack, hasHistory, onWikiLink
         {modalState.content}
       </Modal>
 
+      {/* Revision History */}
+      {showRevisions && (
+        <RevisionHistory
+          sessionId={sessionData.sessionId}
+          filename={page.filename}
+          token={token}
+          onRestore={handleRevisionRestored}
+          canRestore={canEdit}
+          onClose={() => setShowRevisions(false)}
+        />
+      )}
+
+      {/* Rename Dialog */}
+      {showRenameDialog && (
+        <RenamePageDialog
+          sessionId={sessionData.sessionId}
+          page={page}
+          token={token}
+          onRenamed={handlePageRenamed}
+          onClose={() => setShowRenameDialog(false)}
+        />
+      )}
+
       {/* Link Edit Dialog */}
       <LinkEditDialog
         show={showLinkDialog}
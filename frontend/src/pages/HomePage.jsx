@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import AuthForm from '../components/AuthForm';
+import TaskList from '../components/TaskList';
+import NotificationPreferences from '../components/NotificationPreferences';
 import './HomePage.css';
 
 function HomePage({ onSessionStart }) {
@@ -12,6 +14,8 @@ function HomePage({ onSessionStart }) {
   const [loading, setLoading] = useState(false);
   const [sessions, setSessions] = useState([]);
   const [loadingSessions, setLoadingSessions] = useState(false);
+  const [showTasks, setShowTasks] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
   const navigate = useNavigate();
   const { user, token, isAuthenticated, signOut: authSignOut } = useAuth();
 
@@ -47,6 +51,13 @@ function HomePage({ onSessionStart }) {
     navigate(`/session/${sessionId}`);
   };
 
+  // Open the page a task was commented on
+  const handleOpenTask = (task) => {
+    onSessionStart({ sessionId: task.sessionId, token });
+    const params = new URLSearchParams({ page: task.pageFilename, comment: task.id });
+    navigate(`/session/${task.sessionId}?${params}`);
+  };
+
   const handleCreateSession = async (e) => {
     e.preventDefault();
     setError('');
@@ -131,6 +142,9 @@ function HomePage({ onSessionStart }) {
             </div>
             <div className="user-info">
               <span className="user-email">{user?.email}</span>
+              <button onClick={() => setShowNotificationSettings(true)} className="notifications-button">
+                🔔 Notifications
+              </button>
               <button onClick={authSignOut} className="sign-out-button">
                 Sign Out
               </button>
@@ -167,8 +181,32 @@ function HomePage({ onSessionStart }) {
                 <span className="session-count">{sessions.length}</span>
               )}
             </button>
+
+            <button
+              className="option-card"
+              onClick={() => setShowTasks(true)}
+            >
+              <div className="option-icon">✅</div>
+              <h2>My Tasks</h2>
+              <p>Comments assigned to you in any session</p>
+            </button>
           </div>
         </div>
+
+        {showTasks && (
+          <TaskList
+            token={token}
+            onOpenTask={handleOpenTask}
+            onClose={() => setShowTasks(false)}
+          />
+        )}
+
+        {showNotificationSettings && (
+          <NotificationPreferences
+            token={token}
+            onClose={() => setShowNotificationSettings(false)}
+          />
+        )}
       </div>
     );
   }
@@ -1,29 +1,58 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import WikiCard from '../components/WikiCard';
 import WikiEditor from '../components/WikiEditor';
 import GraphView from '../components/GraphView';
 import SessionInfo from '../components/SessionInfo';
+import NotificationBell from '../components/NotificationBell';
+import WhosHere from '../components/WhosHere';
+import SessionMembers from '../components/SessionMembers';
+import BrokenLinksReport from '../components/BrokenLinksReport';
+import TaskList from '../components/TaskList';
+import CommentInbox from '../components/CommentInbox';
 import Modal from '../components/Modal';
+import { fetchSearchResults } from '../utils/wikiUtils';
+import { authenticatedFetch } from '../utils/api';
+import { usePresence } from '../utils/presence';
+import { useAuth } from '../contexts/AuthContext';
 import './WikiSession.css';
 
-function WikiSession({ sessionData }) {
+const SEARCH_PAGE_SIZE = 20;
+
+function WikiSession({ sessionData, onSessionStart }) {
   const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, token } = useAuth();
   const [pages, setPages] = useState([]);
   const [selectedPage, setSelectedPage] = useState(null);
   const [pageHistory, setPageHistory] = useState([]); // Track navigation history
   const [initialMode, setInitialMode] = useState('preview'); // 'preview' or 'edit'
   const [showGraph, setShowGraph] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showBrokenLinks, setShowBrokenLinks] = useState(false);
+  const [showTasks, setShowTasks] = useState(false);
+  const [showInbox, setShowInbox] = useState(false);
+  const [commentFocus, setCommentFocus] = useState(null); // { filename, commentId } to show when the page opens
+  const [role, setRole] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [searchLoading, setSearchLoading] = useState(false);
   const [showCreateDialog, setShowCreateDialog] = useState(false);
   const [newFileName, setNewFileName] = useState('');
   const [newFileTitle, setNewFileTitle] = useState('');
   const [availableTags, setAvailableTags] = useState([]);
   const [selectedTags, setSelectedTags] = useState([]);
   const [showFilterDropdown, setShowFilterDropdown] = useState(false);
+  const [watches, setWatches] = useState({ pages: [], tags: [] });
+  // Everyone else in the session, with the page they're viewing
+  const { users: presenceUsers } = usePresence(user, { sessionId, filename: selectedPage?.filename || null });
   const fileInputRef = React.useRef(null);
+  const markdownFilesInputRef = React.useRef(null);
+  const markdownFolderInputRef = React.useRef(null);
   const filterDropdownRef = React.useRef(null);
 
   // Modal state
@@ -43,9 +72,108 @@ function WikiSession({ sessionData }) {
   };
 
   useEffect(() => {
+    if (!token) return;
+
     loadPages();
     loadTags();
-  }, []);
+  }, [token]);
+
+  // Load the current user's role, which decides what they may change
+  useEffect(() => {
+    if (!token) return;
+
+    authenticatedFetch(`/api/session/${sessionId}/members`, {}, token)
+      .then(data => setRole(data.role))
+      .catch(err => console.error('Error loading session role:', err));
+  }, [sessionId, token]);
+
+  // Load the pages and tags the current user watches
+  useEffect(() => {
+    if (!token) return;
+
+    authenticatedFetch(`/api/wiki/watches?sessionId=${sessionId}`, {}, token)
+      .then(setWatches)
+      .catch(err => console.error('Error loading watches:', err));
+  }, [sessionId, token]);
+
+  const toggleWatch = async (targetType, target) => {
+    const key = targetType === 'page' ? 'pages' : 'tags';
+    const watching = watches[key].includes(target);
+
+    try {
+      await authenticatedFetch(
+        `/api/wiki/watches/${targetType}/${encodeURIComponent(target)}?sessionId=${sessionId}`,
+        { method: watching ? 'DELETE' : 'PUT' },
+        token
+      );
+      setWatches(prev => ({
+        ...prev,
+        [key]: watching ? prev[key].filter(t => t !== target) : [...prev[key], target]
+      }));
+    } catch (err) {
+      console.error('Error updating watch:', err);
+      showModal('❌ Error Updating Watch', (
+        <p style={{ color: '#dc2626' }}>{err.message}</p>
+      ), 'error');
+    }
+  };
+
+  const canEdit = role === 'owner' || role === 'editor';
+
+  // Open the page named in the URL (?page=<filename>&comment=<id>), e.g. from a task
+  useEffect(() => {
+    const filename = searchParams.get('page');
+    if (!filename || loading) return;
+
+    openPageAtComment(filename, searchParams.get('comment'));
+    setSearchParams({}, { replace: true });
+  }, [searchParams, loading, pages]);
+
+  // Run the full-text search on the server as the query changes (debounced)
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults([]);
+      setSearchTotal(0);
+      return;
+    }
+
+    let cancelled = false;
+    setSearchLoading(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const { results, total } = await fetchSearchResults(searchQuery, sessionId, { limit: SEARCH_PAGE_SIZE });
+        if (cancelled) return;
+        setSearchResults(results);
+        setSearchTotal(total);
+      } catch (err) {
+        if (!cancelled) console.error('Error searching pages:', err);
+      } finally {
+        if (!cancelled) setSearchLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, sessionId, pages]);
+
+  const loadMoreSearchResults = async () => {
+    try {
+      setSearchLoading(true);
+      const { results, total } = await fetchSearchResults(searchQuery, sessionId, {
+        limit: SEARCH_PAGE_SIZE,
+        offset: searchResults.length
+      });
+      setSearchResults(prev => [...prev, ...results]);
+      setSearchTotal(total);
+    } catch (err) {
+      console.error('Error loading more results:', err);
+    } finally {
+      setSearchLoading(false);
+    }
+  };
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -66,7 +194,9 @@ function WikiSession({ sessionData }) {
 
   const loadPages = async () => {
     try {
-      const response = await fetch(`/api/wiki/pages?sessionId=${sessionId}`);
+      const response = await fetch(`/api/wiki/pages?sessionId=${sessionId}`, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
       if (!response.ok) throw new Error('Failed to load pages');
 
       const data = await response.json();
@@ -80,7 +210,9 @@ function WikiSession({ sessionData }) {
 
   const loadTags = async () => {
     try {
-      const response = await fetch(`/api/wiki/tags?sessionId=${sessionId}`);
+      const response = await fetch(`/api/wiki/tags?sessionId=${sessionId}`, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
       if (!response.ok) throw new Error('Failed to load tags');
 
       const data = await response.json();
@@ -98,7 +230,9 @@ function WikiSession({ sessionData }) {
 
     // Fetch the latest page data from the server to ensure we have the most up-to-date content
     try {
-      const response = await fetch(`/api/wiki/pages/${page.filename}?sessionId=${sessionData.sessionId}`);
+      const response = await fetch(`/api/wiki/pages/${page.filename}?sessionId=${sessionData.sessionId}`, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
       if (response.ok) {
         const data = await response.json();
         setSelectedPage(data.page);
@@ -116,8 +250,35 @@ function WikiSession({ sessionData }) {
     setShowGraph(false); // Close graph when opening a page
   };
 
+  // Open a page and show one of its comments, scrolled to the text it's anchored to
+  const openPageAtComment = (filename, commentId) => {
+    const page = pages.find(p => p.filename === filename);
+    if (!page) return false;
+
+    setCommentFocus(commentId ? { filename, commentId } : null);
+    handlePageClick(page);
+    return true;
+  };
+
+  // Open the page and comment a notification is about, switching session if need be
+  const handleOpenNotification = (notification) => {
+    if (notification.sessionId === sessionId) {
+      if (notification.pageFilename) {
+        openPageAtComment(notification.pageFilename, notification.commentId);
+      }
+      return;
+    }
+
+    const params = new URLSearchParams();
+    if (notification.pageFilename) params.set('page', notification.pageFilename);
+    if (notification.commentId) params.set('comment', notification.commentId);
+    onSessionStart({ sessionId: notification.sessionId, token });
+    navigate(`/session/${notification.sessionId}?${params}`);
+  };
+
   const handleCloseEditor = () => {
     setSelectedPage(null);
+    setCommentFocus(null);
     setPageHistory([]); // Clear history when closing editor
     loadPages(); // Reload pages to get updated data
   };
@@ -133,7 +294,10 @@ function WikiSession({ sessionData }) {
     try {
       const response = await fetch('/api/wiki/create', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
         body: JSON.stringify({
           sessionId,
           filename: newFileName.trim(),
@@ -161,8 +325,8 @@ function WikiSession({ sessionData }) {
     }
   };
 
-  const handleUploadFiles = async (event) => {
-    const files = event.target.files;
+  // Send files to an upload endpoint and report which ones were accepted
+  const uploadPageFiles = async (files, url, { label, tip }) => {
     if (!files || files.length === 0) return;
 
     const formData = new FormData();
@@ -171,12 +335,13 @@ function WikiSession({ sessionData }) {
     }
 
     try {
-      const response = await fetch(`/api/wiki/upload?sessionId=${sessionId}`, {
+      const response = await fetch(url, {
         method: 'POST',
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
         body: formData
       });
 
-      if (!response.ok) throw new Error('Failed to upload files');
+      if (!response.ok) throw new Error(`Failed to ${label.toLowerCase()} files`);
 
       const data = await response.json();
 
@@ -185,17 +350,17 @@ function WikiSession({ sessionData }) {
       const hasFailures = data.failedCount > 0;
 
       let modalType = 'info';
-      let modalTitle = 'Upload Results';
+      let modalTitle = `${label} Results`;
 
       if (hasSuccess && !hasFailures) {
         modalType = 'success';
-        modalTitle = '✅ Upload Successful';
+        modalTitle = `✅ ${label} Successful`;
       } else if (hasFailures && !hasSuccess) {
         modalType = 'error';
-        modalTitle = '⚠️ Upload Failed';
+        modalTitle = `⚠️ ${label} Failed`;
       } else if (hasSuccess && hasFailures) {
         modalType = 'warning';
-        modalTitle = '⚠️ Partial Upload';
+        modalTitle = `⚠️ Partial ${label}`;
       }
 
       const content = (
@@ -203,7 +368,7 @@ function WikiSession({ sessionData }) {
           {hasSuccess && (
             <div style={{ marginBottom: hasFailures ? '20px' : '0' }}>
               <p style={{ color: '#059669', fontWeight: '600', marginBottom: '8px' }}>
-                ✅ Successfully uploaded {data.uploadedCount} file(s)
+                ✅ Successfully {label === 'Import' ? 'imported' : 'uploaded'} {data.uploadedCount} file(s)
               </p>
               <ul style={{ margin: '0', paddingLeft: '20px' }}>
                 {data.uploaded.map((file, idx) => (
@@ -218,7 +383,7 @@ function WikiSession({ sessionData }) {
           {hasFailures && (
             <div>
               <p style={{ color: '#dc2626', fontWeight: '600', marginBottom: '8px' }}>
-                ⚠️ Failed to upload {data.failedCount} file(s)
+                ⚠️ Failed to {label.toLowerCase()} {data.failedCount} file(s)
               </p>
               <ul style={{ margin: '0 0 16px 0', paddingLeft: '20px' }}>
                 {data.failed.map((file, idx) => (
@@ -238,7 +403,7 @@ function WikiSession({ sessionData }) {
                 fontSize: '14px',
                 color: '#92400e'
               }}>
-                💡 <strong>Tip:</strong> Only valid HML (YAML) files with a "definition" structure can be uploaded.
+                💡 <strong>Tip:</strong> {tip}
               </div>
             </div>
           )}
@@ -249,30 +414,71 @@ function WikiSession({ sessionData }) {
 
       if (data.uploadedCount > 0) {
         await loadPages();
-      }
-
-      // Reset file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
+        await loadTags();
       }
     } catch (err) {
-      showModal('❌ Upload Error', (
+      showModal(`❌ ${label} Error`, (
         <p style={{ color: '#dc2626' }}>{err.message}</p>
       ), 'error');
     }
   };
 
-  const handleDownloadZip = async () => {
+  const handleUploadFiles = async (event) => {
+    await uploadPageFiles(event.target.files, `/api/wiki/upload?sessionId=${sessionId}`, {
+      label: 'Upload',
+      tip: 'Only valid HML (YAML) files with a "definition" structure can be uploaded.'
+    });
+
+    // Reset file input
+    event.target.value = '';
+  };
+
+  const handleImportMarkdown = async (event) => {
+    closeModal();
+
+    // Folders can hold images and other files; only send the Markdown
+    const files = Array.from(event.target.files || []).filter(file => /\.(md|markdown|zip)$/i.test(file.name));
+    await uploadPageFiles(files, `/api/wiki/import/markdown?sessionId=${sessionId}`, {
+      label: 'Import',
+      tip: 'Only Markdown (.md) files, folders of them and ZIP archives of them can be imported.'
+    });
+
+    event.target.value = '';
+  };
+
+  const handleOpenMarkdownImport = () => {
+    showModal('📝 Import Markdown', (
+      <div>
+        <p style={{ marginBottom: '1rem' }}>
+          Each Markdown file becomes a page. Front matter <code>title</code>, <code>aliases</code> and <code>tags</code> are
+          kept, <code>## Details</code> and other <code>##</code> headings become the details and sections, and links
+          to other <code>.md</code> files become wiki links. Pages with the same filename are replaced.
+        </p>
+        <div style={{ display: 'flex', gap: '1rem' }}>
+          <button className="button button-primary" onClick={() => markdownFilesInputRef.current?.click()}>
+            📄 Choose files or ZIP
+          </button>
+          <button className="button button-secondary" onClick={() => markdownFolderInputRef.current?.click()}>
+            📁 Choose folder
+          </button>
+        </div>
+      </div>
+    ), 'info');
+  };
+
+  const handleDownloadZip = async (format = 'hml') => {
     try {
       // Build URL with optional tag filter
-      let url = `/api/wiki/download?sessionId=${sessionId}`;
+      let url = `/api/wiki/download?sessionId=${sessionId}&format=${format}`;
       if (selectedTags.length > 0) {
         selectedTags.forEach(tag => {
           url += `&tags=${encodeURIComponent(tag)}`;
         });
       }
 
-      const response = await fetch(url);
+      const response = await fetch(url, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
 
       if (!response.ok) throw new Error('Failed to download wiki');
 
@@ -283,7 +489,7 @@ function WikiSession({ sessionData }) {
       const downloadUrl = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = downloadUrl;
-      a.download = `wiki-${sessionId}.zip`;
+      a.download = format === 'hml' ? `wiki-${sessionId}.zip` : `wiki-${sessionId}-${format}.zip`;
       document.body.appendChild(a);
       a.click();
 
@@ -368,6 +574,13 @@ function WikiSession({ sessionData }) {
     ), 'warning');
   };
 
+  const handlePageRenamed = (oldPage, renamedPage) => {
+    // Keep the back button working for the renamed page
+    setPageHistory(prev => prev.map(p => (p.filename === oldPage.filename ? renamedPage : p)));
+    setSelectedPage(renamedPage);
+    loadPages();
+  };
+
   const handleBackButton = () => {
     if (pageHistory.length > 0) {
       // Go back to previous page
@@ -382,7 +595,9 @@ function WikiSession({ sessionData }) {
 
   const handleWikiLinkClick = async (title) => {
     try {
-      const response = await fetch(`/api/wiki/find/${encodeURIComponent(title)}?sessionId=${sessionId}`);
+      const response = await fetch(`/api/wiki/find/${encodeURIComponent(title)}?sessionId=${sessionId}`, {
+        headers: { ...(token && { 'Authorization': `Bearer ${token}` }) }
+      });
       if (!response.ok) {
         console.error('Page not found:', title);
         return;
@@ -400,18 +615,13 @@ function WikiSession({ sessionData }) {
     }
   };
 
-  const filteredPages = pages.filter(page => {
-    // Filter by search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      const matchesSearch = (
-        page.title.toLowerCase().includes(query) ||
-        page.definition.toLowerCase().includes(query) ||
-        (page.aliases && page.aliases.some(a => a.toLowerCase().includes(query)))
-      );
-      if (!matchesSearch) return false;
-    }
+  // While searching, show the ranked results merged with the loaded page data
+  const pagesByFilename = new Map(pages.map(page => [page.filename, page]));
+  const visiblePages = searchQuery.trim()
+    ? searchResults.map(result => ({ ...pagesByFilename.get(result.filename), ...result }))
+    : pages;
 
+  const filteredPages = visiblePages.filter(page => {
     // Filter by selected tags (page must have ALL selected tags)
     if (selectedTags.length > 0) {
       const pageTags = page.tags || [];
@@ -422,6 +632,9 @@ function WikiSession({ sessionData }) {
     return true;
   });
 
+  // The server knows how many pages match in total; tag filters only apply to loaded results
+  const matchCount = searchQuery.trim() && selectedTags.length === 0 ? searchTotal : filteredPages.length;
+
   if (showGraph) {
     return (
       <GraphView
@@ -441,7 +654,12 @@ function WikiSession({ sessionData }) {
         onBack={handleBackButton}
         hasHistory={pageHistory.length > 0}
         onWikiLinkClick={handleWikiLinkClick}
+        onRenamed={handlePageRenamed}
         initialMode={initialMode}
+        role={role}
+        focusCommentId={commentFocus?.filename === selectedPage.filename ? commentFocus.commentId : null}
+        watching={watches.pages.includes(selectedPage.filename)}
+        onToggleWatch={() => toggleWatch('page', selectedPage.filename)}
       />
     );
   }
@@ -451,7 +669,14 @@ function WikiSession({ sessionData }) {
       <div className="session-header">
         <div className="header-content">
           <h1>📝 Wiki Jam Session</h1>
-          <SessionInfo sessionData={sessionData} sessionId={sessionId} />
+          <div className="header-actions">
+            <WhosHere
+              users={presenceUsers.filter(u => u.userId !== user?.uid)}
+              onOpenPage={(filename) => openPageAtComment(filename, null)}
+            />
+            <NotificationBell token={token} onOpen={handleOpenNotification} />
+            <SessionInfo sessionData={sessionData} sessionId={sessionId} />
+          </div>
         </div>
       </div>
 
@@ -603,6 +828,18 @@ function WikiSession({ sessionData }) {
                               <span>🏷️</span>
                               <span>{tag}</span>
                             </span>
+                            <button
+                              className={`tag-watch-button ${watches.tags.includes(tag) ? 'watching' : ''}`}
+                              onClick={(e) => {
+                                e.preventDefault();
+                                toggleWatch('tag', tag);
+                              }}
+                              title={watches.tags.includes(tag)
+                                ? 'Stop watching pages with this tag'
+                                : 'Get notified when pages with this tag change'}
+                            >
+                              👁️
+                            </button>
                           </label>
                         );
                       })}
@@ -612,39 +849,80 @@ function WikiSession({ sessionData }) {
               </div>
             )}
 
+            {canEdit && (
+              <>
+                <button
+                  className="action-button"
+                  onClick={() => setShowCreateDialog(true)}
+                >
+                  ➕ New File
+                </button>
+                <button
+                  className="action-button"
+                  onClick={() => fileInputRef.current?.click()}
+                >
+                  📤 Upload
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept=".hml"
+                  style={{ display: 'none' }}
+                  onChange={handleUploadFiles}
+                />
+                <button
+                  className="action-button"
+                  onClick={handleOpenMarkdownImport}
+                >
+                  📝 Import Markdown
+                </button>
+                <input
+                  ref={markdownFilesInputRef}
+                  type="file"
+                  multiple
+                  accept=".md,.markdown,.zip"
+                  style={{ display: 'none' }}
+                  onChange={handleImportMarkdown}
+                />
+                <input
+                  ref={markdownFolderInputRef}
+                  type="file"
+                  webkitdirectory=""
+                  style={{ display: 'none' }}
+                  onChange={handleImportMarkdown}
+                />
+              </>
+            )}
             <button
               className="action-button"
-              onClick={() => setShowCreateDialog(true)}
+              onClick={loadPages}
+              disabled={loading}
             >
-              ➕ New File
+              🔄 Refresh
             </button>
             <button
               className="action-button"
-              onClick={() => fileInputRef.current?.click()}
+              onClick={() => handleDownloadZip('hml')}
+              disabled={pages.length === 0}
             >
-              📤 Upload
+              📥 Download ZIP
             </button>
-            <input
-              ref={fileInputRef}
-              type="file"
-              multiple
-              accept=".hml"
-              style={{ display: 'none' }}
-              onChange={handleUploadFiles}
-            />
             <button
               className="action-button"
-              onClick={loadPages}
-              disabled={loading}
+              onClick={() => handleDownloadZip('markdown')}
+              disabled={pages.length === 0}
+              title="Download pages as Markdown with front matter"
             >
-              🔄 Refresh
+              📥 Markdown
             </button>
             <button
               className="action-button"
-              onClick={handleDownloadZip}
+              onClick={() => handleDownloadZip('html')}
               disabled={pages.length === 0}
+              title="Download a read-only HTML site of the pages"
             >
-              📥 Download ZIP
+              🌐 HTML Site
             </button>
             <button
               className="graph-view-button"
@@ -652,6 +930,31 @@ function WikiSession({ sessionData }) {
             >
               📊 Graph View
             </button>
+            <button
+              className="action-button"
+              onClick={() => setShowBrokenLinks(true)}
+              disabled={pages.length === 0}
+            >
+              🔗 Broken Links
+            </button>
+            <button
+              className="action-button"
+              onClick={() => setShowInbox(true)}
+            >
+              💬 Comments
+            </button>
+            <button
+              className="action-button"
+              onClick={() => setShowTasks(true)}
+            >
+              ✅ Tasks
+            </button>
+            <button
+              className="action-button"
+              onClick={() => setShowMembers(true)}
+            >
+              👥 Members
+            </button>
             <button
               className="action-button button-danger"
               onClick={handleDeleteSession}
@@ -673,7 +976,7 @@ function WikiSession({ sessionData }) {
         {!loading && !error && (
           <>
             <div className="pages-count">
-              {filteredPages.length} page{filteredPages.length !== 1 ? 's' : ''}
+              {matchCount} page{matchCount !== 1 ? 's' : ''}
               {searchQuery && ` matching "${searchQuery}"`}
               {selectedTags.length > 0 && ` with tag${selectedTags.length !== 1 ? 's' : ''}: ${selectedTags.join(', ')}`}
             </div>
@@ -687,6 +990,18 @@ function WikiSession({ sessionData }) {
                 />
               ))}
             </div>
+
+            {searchQuery.trim() && searchResults.length < searchTotal && (
+              <div className="load-more">
+                <button
+                  className="action-button"
+                  onClick={loadMoreSearchResults}
+                  disabled={searchLoading}
+                >
+                  {searchLoading ? 'Loading...' : `Show more results (${searchTotal - searchResults.length} more)`}
+                </button>
+              </div>
+            )}
           </>
         )}
 
@@ -749,6 +1064,63 @@ function WikiSession({ sessionData }) {
         </div>
       )}
 
+      {showBrokenLinks && (
+        <BrokenLinksReport
+          sessionId={sessionId}
+          token={token}
+          canEdit={canEdit}
+          onOpenPage={(filename) => {
+            const page = pages.find(p => p.filename === filename);
+            if (page) {
+              setShowBrokenLinks(false);
+              handlePageClick(page);
+            }
+          }}
+          onFixed={() => {
+            loadPages();
+            loadTags();
+          }}
+          onClose={() => setShowBrokenLinks(false)}
+        />
+      )}
+
+      {showTasks && (
+        <TaskList
+          token={token}
+          sessionId={sessionId}
+          onOpenTask={(task) => {
+            if (openPageAtComment(task.pageFilename, task.id)) {
+              setShowTasks(false);
+            }
+          }}
+          onClose={() => setShowTasks(false)}
+        />
+      )}
+
+      {showInbox && (
+        <CommentInbox
+          sessionId={sessionId}
+          token={token}
+          currentUserId={user?.uid}
+          pages={pages}
+          onOpenThread={(thread) => {
+            if (openPageAtComment(thread.pageFilename, thread.id)) {
+              setShowInbox(false);
+            }
+          }}
+          onClose={() => setShowInbox(false)}
+        />
+      )}
+
+      {showMembers && (
+        <SessionMembers
+          sessionId={sessionId}
+          token={token}
+          currentUserId={user?.uid}
+          onClose={() => setShowMembers(false)}
+        />
+      )}
+
       {/* Modal for notifications */}
       <Modal
         isOpen={modalState.isOpen}
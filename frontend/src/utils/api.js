@@ -28,3 +28,18 @@ export async function authenticatedFetch(url, options = {}, token = null) {
   return response.json();
 }
 
+
+/**
+ * Get the URL of a backend websocket endpoint
+ * @param {string} path - Endpoint path, e.g. '/comments'
+ */
+export function getWebSocketUrl(path) {
+  // In development (localhost:5173), connect directly to backend
+  if (window.location.hostname === 'localhost' && window.location.port === '5173') {
+    return `ws://localhost:3001${path}`;
+  }
+
+  // In production (served via nginx or Cloudflare), websockets are under /ws
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/ws${path}`;
+}
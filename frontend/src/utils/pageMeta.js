@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+import ShareDB from 'sharedb/lib/client';
+import ReconnectingWebSocket from 'reconnecting-websocket';
+import { getWebSocketUrl } from './api';
+
+/**
+ * Subscribe to a page's metadata document ("page.hml-meta": { title, aliases,
+ * sections: [{ id, title }] }) while enabled. The server creates it from the
+ * page's file and writes the file from it, so edits go in as json0 ops.
+ * Returns { meta, submit }, where meta is null until the document has loaded and
+ * submit(op) applies an op locally at once and sends it to the server.
+ */
+export function usePageMeta(user, sessionId, filename, enabled = true) {
+  const [meta, setMeta] = useState(null);
+  const docRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || !user || !sessionId || !filename) return;
+
+    // Same socket as the field editors: the server wants a fresh token on every connect
+    const socket = new ReconnectingWebSocket(async () => {
+      const token = await user.getIdToken();
+      return `${getWebSocketUrl('')}/?${new URLSearchParams({ token })}`;
+    });
+    const connection = new ShareDB.Connection(socket);
+    const doc = connection.get('wiki-pages', `${sessionId}/${filename}-meta`);
+
+    // json0 changes the data in place, so hand React a copy
+    const update = () => setMeta(doc.type ? JSON.parse(JSON.stringify(doc.data)) : null);
+
+    doc.subscribe((err) => {
+      if (err) {
+        console.error('Error subscribing to page metadata:', err);
+        return;
+      }
+      docRef.current = doc;
+      update();
+    });
+    doc.on('op', update);
+
+    return () => {
+      docRef.current = null;
+      setMeta(null);
+      doc.destroy();
+      connection.close();
+      socket.close();
+    };
+  }, [user, sessionId, filename, enabled]);
+
+  const submit = (op) => {
+    const doc = docRef.current;
+    if (!doc || !doc.type || op.length === 0) return;
+
+    doc.submitOp(op, (err) => {
+      if (err) {
+        console.error('Error submitting page metadata change:', err);
+      }
+    });
+  };
+
+  return { meta, submit };
+}
@@ -0,0 +1,127 @@
+import { useEffect, useRef, useState } from 'react';
+import ReconnectingWebSocket from 'reconnecting-websocket';
+import { getWebSocketUrl } from './api';
+
+// Tell the server we're still around at most this often while the user is active
+const ACTIVITY_INTERVAL_MS = 30 * 1000;
+const ACTIVITY_EVENTS = ['keydown', 'mousedown', 'mousemove', 'scroll'];
+
+/**
+ * Apply a presence message from the server to a list of users: a full list
+ * ('presence') or the users who changed and the ids of those who left
+ * ('presence-delta'). Other messages leave the list as it is.
+ */
+export function applyPresenceMessage(users, data) {
+  if (data.type === 'presence') {
+    return data.users || [];
+  }
+  if (data.type !== 'presence-delta') {
+    return users;
+  }
+
+  const left = new Set(data.left || []);
+  const updated = new Map((data.updated || []).map(u => [u.id, u]));
+  const next = users
+    .filter(u => !left.has(u.id))
+    .map(u => updated.get(u.id) || u);
+  const added = [...updated.values()].filter(u => !users.some(existing => existing.id === u.id));
+
+  return [...next, ...added];
+}
+
+/**
+ * Join a presence room while mounted and keep track of the other users in it.
+ * - join: { sessionId, doc, color } to share a cursor in a document ("page.hml-definition"),
+ *   or { sessionId, filename } to share the page being viewed with the whole session
+ * Returns { users, send }, where send(message) reaches the server once joined.
+ */
+export function usePresence(user, { sessionId, doc = null, filename = null, color = null }) {
+  const [users, setUsers] = useState([]);
+  const socketRef = useRef(null);
+  const filenameRef = useRef(filename);
+  filenameRef.current = filename;
+
+  useEffect(() => {
+    if (!user || !sessionId) return;
+
+    const socket = new ReconnectingWebSocket(getWebSocketUrl('/presence'));
+    socketRef.current = socket;
+
+    const send = (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    socket.addEventListener('open', async () => {
+      send({
+        type: 'join',
+        token: await user.getIdToken(),
+        sessionId,
+        doc,
+        filename: filenameRef.current,
+        color
+      });
+    });
+
+    socket.addEventListener('message', (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type === 'error') {
+          console.error('Presence error:', data.error);
+          return;
+        }
+        setUsers(prev => applyPresenceMessage(prev, data));
+
+        // The page may have changed while we were joining
+        if (data.type === 'presence' && !doc) {
+          send({ type: 'view', filename: filenameRef.current });
+        }
+      } catch (err) {
+        console.error('Error parsing presence message:', err);
+      }
+    });
+
+    // Reconnecting starts over with a full list
+    socket.addEventListener('close', () => setUsers([]));
+
+    // Show as away while the tab is hidden, and as active again on input
+    let lastActivity = Date.now();
+    const handleActivity = () => {
+      if (Date.now() - lastActivity < ACTIVITY_INTERVAL_MS) return;
+      lastActivity = Date.now();
+      send({ type: 'activity' });
+    };
+    const handleVisibilityChange = () => {
+      lastActivity = Date.now();
+      send({ type: document.hidden ? 'away' : 'activity' });
+    };
+
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      socketRef.current = null;
+      socket.close();
+      setUsers([]);
+    };
+  }, [user, sessionId, doc]);
+
+  // Session rooms follow the page being viewed
+  useEffect(() => {
+    if (!doc) {
+      sendMessage({ type: 'view', filename });
+    }
+  }, [filename]);
+
+  const sendMessage = (message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  return { users, send: sendMessage };
+}
@@ -0,0 +1,49 @@
+/**
+ * Move a highlighted range through a text change, the way the server moves
+ * comment anchors. Text typed at either edge of the range stays outside it.
+ * @param {{start, end}} range
+ * @param {{index, deleted, inserted}} change - Change from diffText
+ * @returns {{start, end}} An empty range once all of its text is deleted
+ */
+export function transformRange(range, { index, deleted, inserted }) {
+  const moveStart = (position) => {
+    if (position < index) return position;
+    if (position < index + deleted) return index + inserted;
+    return position - deleted + inserted;
+  };
+  const moveEnd = (position) => {
+    if (position <= index) return position;
+    if (position <= index + deleted) return index;
+    return position - deleted + inserted;
+  };
+
+  const start = moveStart(range.start);
+  return { start, end: Math.max(start, moveEnd(range.end)) };
+}
+
+/**
+ * Split text at the edges of highlighted ranges
+ * @param {string} text
+ * @param {Array<{id, start, end}>} highlights
+ * @param {number[]} points - Further positions to split at, e.g. carets
+ * @returns {Array<{start, end, highlights}>} Consecutive segments covering the text,
+ *   each with the highlights that cover it
+ */
+export function splitHighlights(text, highlights, points = []) {
+  const valid = (highlights || []).filter(h => h.start < h.end && h.start < text.length);
+  const edges = new Set([0, text.length]);
+  points.forEach(point => edges.add(Math.max(0, Math.min(point, text.length))));
+  valid.forEach(h => {
+    edges.add(h.start);
+    edges.add(Math.min(h.end, text.length));
+  });
+
+  const sorted = [...edges].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i];
+    const end = sorted[i + 1];
+    segments.push({ start, end, highlights: valid.filter(h => h.start <= start && h.end >= end) });
+  }
+  return segments;
+}
@@ -1,3 +1,11 @@
+import { getCurrentUserToken } from '../firebase';
+
+// Reading pages is limited to session members, so send the signed-in user's token
+async function authHeaders() {
+  const token = await getCurrentUserToken();
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
 /**
  * Convert a title to a canonical ID (slug)
  * Examples:
@@ -58,7 +66,9 @@ export async function searchWikiPages(query, sessionId) {
   if (!query || !sessionId) return [];
   
   try {
-    const response = await fetch(`/api/wiki/search?sessionId=${sessionId}&query=${encodeURIComponent(query)}`);
+    const response = await fetch(`/api/wiki/search?sessionId=${sessionId}&query=${encodeURIComponent(query)}`, {
+      headers: await authHeaders()
+    });
     if (!response.ok) return [];
     
     const data = await response.json();
@@ -69,12 +79,43 @@ export async function searchWikiPages(query, sessionId) {
   }
 }
 
+/**
+ * Full-text search with pagination
+ * @returns {Promise<{results: Array, total: number}>}
+ */
+export async function fetchSearchResults(query, sessionId, { limit = 20, offset = 0 } = {}) {
+  const params = new URLSearchParams({ sessionId, query, limit, offset });
+  const response = await fetch(`/api/wiki/search?${params}`, {
+    headers: await authHeaders()
+  });
+  if (!response.ok) throw new Error('Search failed');
+
+  const data = await response.json();
+  return { results: data.results || [], total: data.total || 0 };
+}
+
+/**
+ * Split a search highlight ("foo <mark>bar</mark>") into plain and highlighted parts
+ */
+export function splitHighlights(text) {
+  if (!text) return [];
+
+  return text.split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^<mark>(.*)<\/mark>$/);
+      return match ? { text: match[1], highlighted: true } : { text: part, highlighted: false };
+    });
+}
+
 /**
  * Check if a wiki page exists
  */
 export async function checkPageExists(pageName, sessionId) {
   try {
-    const response = await fetch(`/api/wiki/find/${encodeURIComponent(pageName)}?sessionId=${sessionId}`);
+    const response = await fetch(`/api/wiki/find/${encodeURIComponent(pageName)}?sessionId=${sessionId}`, {
+      headers: await authHeaders()
+    });
     return response.ok;
   } catch (err) {
     return false;
@@ -86,7 +127,9 @@ export async function checkPageExists(pageName, sessionId) {
  */
 export async function fetchPagePreview(pageName, sessionId) {
   try {
-    const response = await fetch(`/api/wiki/find/${encodeURIComponent(pageName)}?sessionId=${sessionId}`);
+    const response = await fetch(`/api/wiki/find/${encodeURIComponent(pageName)}?sessionId=${sessionId}`, {
+      headers: await authHeaders()
+    });
     if (!response.ok) return null;
     
     const data = await response.json();
@@ -0,0 +1,298 @@
+// Plain text of the rich-text editor's Yjs documents, in the format stored in HML
+// files, and back. Shared by the backend (writing fields back and seeding documents)
+// and the frontend (following the text while editing). Nodes are told apart by
+// shape rather than with instanceof, since the two sides load different copies of Yjs.
+
+// Tiptap's Collaboration extension keeps the document in this XML fragment
+export const RICH_TEXT_FRAGMENT = 'default';
+
+// Y.XmlText stores overlapping marks as "name--hash" attributes
+function markName(attributeName) {
+  return attributeName.replace(/--[a-zA-Z0-9+/=]{8}$/, '');
+}
+
+function isXmlText(node) {
+  return typeof node.toDelta === 'function';
+}
+
+function isXmlElement(node) {
+  return typeof node.nodeName === 'string' && typeof node.toArray === 'function';
+}
+
+function inlineToText(node) {
+  if (isXmlText(node)) {
+    return node.toDelta().map(({ insert, attributes = {} }) => {
+      if (typeof insert !== 'string') return '';
+
+      let text = insert;
+      const marks = Object.keys(attributes).map(markName);
+      if (marks.includes('code')) text = `\`${text}\``;
+      if (marks.includes('bold')) text = `**${text}**`;
+      if (marks.includes('italic')) text = `*${text}*`;
+      if (marks.includes('strike')) text = `~~${text}~~`;
+
+      const linkKey = Object.keys(attributes).find(key => markName(key) === 'link');
+      if (linkKey && attributes[linkKey]?.href) {
+        text = `[${text}](${attributes[linkKey].href})`;
+      }
+      return text;
+    }).join('');
+  }
+
+  if (isXmlElement(node)) {
+    switch (node.nodeName) {
+      case 'hardBreak':
+        return '\n';
+      case 'mention':
+        return `@${node.getAttribute('label') || node.getAttribute('id') || ''}`;
+      default:
+        return node.toArray().map(inlineToText).join('');
+    }
+  }
+
+  return '';
+}
+
+function blockToLines(node) {
+  if (!isXmlElement(node)) {
+    return [inlineToText(node)];
+  }
+
+  const children = node.toArray();
+  switch (node.nodeName) {
+    case 'heading': {
+      const level = parseInt(node.getAttribute('level'), 10) || 1;
+      return [`${'#'.repeat(level)} ${children.map(inlineToText).join('')}`];
+    }
+    case 'bulletList':
+    case 'orderedList': {
+      const start = parseInt(node.getAttribute('start'), 10) || 1;
+      return children.flatMap((item, idx) => {
+        const prefix = node.nodeName === 'bulletList' ? '- ' : `${start + idx}. `;
+        const [first = '', ...rest] = item.toArray().flatMap(blockToLines);
+        return [prefix + first, ...rest.map(line => `  ${line}`)];
+      });
+    }
+    case 'blockquote':
+      return children.flatMap(blockToLines).map(line => `> ${line}`);
+    case 'codeBlock':
+      return ['```', ...children.map(inlineToText).join('').split('\n'), '```'];
+    case 'horizontalRule':
+      return ['---'];
+    default:
+      return [children.map(inlineToText).join('')];
+  }
+}
+
+/**
+ * The lines of plain text each top-level block of a Tiptap document fragment stands for
+ * @returns {string[][]}
+ */
+export function fragmentBlockLines(fragment) {
+  return fragment.toArray().map(blockToLines);
+}
+
+/**
+ * Convert a Tiptap document fragment into the plain-text format stored in HML files
+ */
+export function fragmentToText(fragment) {
+  return fragmentBlockLines(fragment).flat().join('\n');
+}
+
+// Nodes parsed from a field's text, shaped like the Yjs nodes they describe so the
+// functions above read them too
+function textNode(delta) {
+  return { delta, toDelta: () => delta };
+}
+
+function elementNode(nodeName, attributes = {}, children = []) {
+  return { nodeName, attributes, children, getAttribute: key => attributes[key], toArray: () => children };
+}
+
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/y;
+
+// Delimiters inlineToText wraps marked text in, outermost first
+const MARK_DELIMITERS = [['strike', '~~'], ['italic', '*'], ['bold', '**'], ['code', '`']];
+
+// The text and marks of one run written by inlineToText
+function unwrapMarks(text) {
+  const attributes = {};
+  for (const [mark, delimiter] of MARK_DELIMITERS) {
+    // "**text**" is bold only; italic bold text is "***text***"
+    if (mark === 'italic' && text.startsWith('**') && !text.startsWith('***')) continue;
+
+    if (text.length > delimiter.length * 2 && text.startsWith(delimiter) && text.endsWith(delimiter)) {
+      attributes[mark] = {};
+      text = text.slice(delimiter.length, -delimiter.length);
+    }
+  }
+  return { text, attributes };
+}
+
+// End of the marked run starting at `index`, or -1. Like Markdown, marked text
+// doesn't start or end with whitespace, so "2 * 3 * 4" stays plain.
+function markedRunEnd(line, index) {
+  const opener = ['~~', '***', '**', '*', '`'].find(delimiter => line.startsWith(delimiter, index));
+  if (!opener) return -1;
+
+  const close = line.indexOf(opener, index + opener.length + 1);
+  if (close === -1) return -1;
+
+  const text = line.slice(index + opener.length, close);
+  const edges = [text[0], text[text.length - 1]];
+  if (edges.some(char => /\s/.test(char) || char === opener[0])) return -1;
+  return close + opener.length;
+}
+
+// Text delta for one line: links, and with `withMarks` bold, italic, strike and code
+function parseLine(line, withMarks) {
+  const delta = [];
+  let plain = '';
+  let index = 0;
+
+  while (index < line.length) {
+    LINK_PATTERN.lastIndex = index;
+    const link = LINK_PATTERN.exec(line);
+    let end = -1;
+    let run = null;
+
+    if (link) {
+      const { text, attributes } = withMarks ? unwrapMarks(link[1]) : { text: link[1], attributes: {} };
+      run = { insert: text, attributes: { ...attributes, link: { href: link[2] } } };
+      end = index + link[0].length;
+    } else if (withMarks && (end = markedRunEnd(line, index)) !== -1) {
+      const { text, attributes } = unwrapMarks(line.slice(index, end));
+      run = { insert: text, attributes };
+    }
+
+    if (run) {
+      if (plain) delta.push({ insert: plain });
+      plain = '';
+      delta.push(run);
+      index = end;
+    } else {
+      plain += line[index];
+      index++;
+    }
+  }
+
+  if (plain) delta.push({ insert: plain });
+  return delta;
+}
+
+// Whether neighbouring runs have the same marks. The editor joins them, so they
+// wouldn't be written back the way they were read ("**a****b**" as "**ab**").
+function hasJoinedRuns(delta) {
+  const markSets = delta.map(({ attributes = {} }) => Object.keys(attributes).sort().join());
+  return markSets.some((marks, idx) => idx > 0 && marks === markSets[idx - 1]);
+}
+
+// Inline content of a block: the first reading of the line that writes it back unchanged
+function inlineNodes(line) {
+  if (!line) return [];
+
+  for (const withMarks of [true, false]) {
+    const delta = parseLine(line, withMarks);
+    const node = textNode(delta);
+    if (!hasJoinedRuns(delta) && inlineToText(node) === line) return [node];
+  }
+  return [textNode([{ insert: line }])];
+}
+
+function paragraphNode(line) {
+  return elementNode('paragraph', {}, inlineNodes(line));
+}
+
+function readList(lines, index) {
+  const ordered = /^(\d+)\. /.exec(lines[index]);
+  if (!ordered && !lines[index].startsWith('- ')) return null;
+
+  const start = ordered ? parseInt(ordered[1], 10) : 1;
+  const items = [];
+  let at = index;
+  while (at < lines.length) {
+    const prefix = ordered ? `${start + items.length}. ` : '- ';
+    if (!lines[at].startsWith(prefix)) break;
+
+    // Lines of an item after its first are indented by two spaces
+    let end = at + 1;
+    while (end < lines.length && lines[end].startsWith('  ')) end++;
+
+    const rest = lines.slice(at + 1, end).map(line => line.slice(2));
+    items.push(elementNode('listItem', {}, [
+      paragraphNode(lines[at].slice(prefix.length)),
+      ...parseBlocks(rest).map(block => block.node)
+    ]));
+    at = end;
+  }
+
+  // "01. " doesn't number an item the way it is written back
+  if (items.length === 0) return null;
+  return {
+    node: elementNode(ordered ? 'orderedList' : 'bulletList', ordered ? { start } : {}, items),
+    length: at - index
+  };
+}
+
+// The block starting at `lines[index]` and how many lines it takes, or null for a paragraph
+function readBlock(lines, index) {
+  const line = lines[index];
+
+  if (line === '```') {
+    const close = lines.indexOf('```', index + 2);
+    if (close === -1) return null;
+    const code = lines.slice(index + 1, close).join('\n');
+    return { node: elementNode('codeBlock', {}, code ? [textNode([{ insert: code }])] : []), length: close - index + 1 };
+  }
+
+  if (line === '---') {
+    return { node: elementNode('horizontalRule'), length: 1 };
+  }
+
+  const heading = /^(#{1,6}) (.*)$/.exec(line);
+  if (heading) {
+    return { node: elementNode('heading', { level: heading[1].length }, inlineNodes(heading[2])), length: 1 };
+  }
+
+  if (line.startsWith('> ')) {
+    let end = index;
+    while (end < lines.length && lines[end].startsWith('> ')) end++;
+    const quoted = parseBlocks(lines.slice(index, end).map(quotedLine => quotedLine.slice(2)));
+    return { node: elementNode('blockquote', {}, quoted.map(block => block.node)), length: end - index };
+  }
+
+  return readList(lines, index);
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const block = readBlock(lines, index);
+    const source = block && lines.slice(index, index + block.length);
+
+    // Text that wouldn't be written back the same stays as it is, one paragraph a line
+    if (block && blockToLines(block.node).join('\n') === source.join('\n')) {
+      blocks.push({ node: block.node, lines: source });
+      index += block.length;
+    } else {
+      blocks.push({ node: paragraphNode(lines[index]), lines: [lines[index]] });
+      index++;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse text in the format stored in HML files into the Tiptap blocks fragmentToText
+ * writes it from: headings, lists, quotes, code blocks, rules and paragraphs, with
+ * bold, italic, strike, code and links. Each block is written back as its source
+ * lines exactly, so the text survives a trip through the editor unchanged.
+ * @returns {{ node, lines: string[] }[]} Top-level blocks, with the lines each stands for.
+ *   Nodes are { nodeName, attributes, children } elements and { delta } text.
+ */
+export function textToBlocks(text) {
+  return parseBlocks(text.split('\n'));
+}
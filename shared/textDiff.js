@@ -0,0 +1,71 @@
+// Plain-text diffing and json0 text ops, shared by the backend (comment anchors,
+// page writes) and the frontend (editors, highlights), so both see the same changes
+
+/**
+ * Describe the change from one text to another as one replaced range
+ * @returns {{index, deleted, inserted}|null} null if the texts are equal
+ */
+export function diffText(oldText, newText) {
+  if (oldText === newText) return null;
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+  return {
+    index: prefix,
+    deleted: oldText.length - prefix - suffix,
+    inserted: newText.length - prefix - suffix
+  };
+}
+
+/**
+ * The json0 op that turns one text into another by deleting and inserting only
+ * the characters that differ (sd/si), so concurrent edits merge
+ * @param {Array} path - Path of the string in the document, its content by default
+ * @returns {Array} Op components on the string; empty if the texts are equal
+ */
+export function textChangeOp(oldText, newText, path = ['content']) {
+  const change = diffText(oldText, newText);
+  if (!change) return [];
+
+  const op = [];
+  if (change.deleted > 0) {
+    op.push({ p: [...path, change.index], sd: oldText.substring(change.index, change.index + change.deleted) });
+  }
+  if (change.inserted > 0) {
+    op.push({ p: [...path, change.index], si: newText.substring(change.index, change.index + change.inserted) });
+  }
+  return op;
+}
+
+/**
+ * Turn json0 op components on a field document's content into text changes.
+ * Handles character ops (si/sd) and whole-content replacement (od/oi).
+ */
+export function opToChanges(op) {
+  const changes = [];
+
+  (op || []).forEach(component => {
+    const [key, offset] = component.p || [];
+    if (key !== 'content') return;
+
+    if (typeof offset === 'number') {
+      if (typeof component.sd === 'string' && component.sd.length > 0) {
+        changes.push({ index: offset, deleted: component.sd.length, inserted: 0 });
+      }
+      if (typeof component.si === 'string' && component.si.length > 0) {
+        changes.push({ index: offset, deleted: 0, inserted: component.si.length });
+      }
+    } else if (typeof component.od === 'string' || typeof component.oi === 'string') {
+      const change = diffText(component.od || '', component.oi || '');
+      if (change) changes.push(change);
+    }
+  });
+
+  return changes;
+}